@@ -0,0 +1,188 @@
+/**
+ * Access Policy
+ * Authorization rules shared by every API route. Each signed-in user has one role:
+ *
+ * - student:  their own records only
+ * - school:   students whose OpenGrad school code matches their schoolCode
+ * - district: every school in their district
+ * - admin:    everything, including diagnostics (debug, enriched sheets, data quality, cache)
+ *
+ * A district's schools come from the user's "schools" list in the users file, or
+ * from the Mapping sheet's district column when one is configured in the column schema.
+ * Staff can also be limited to some cohorts (see cohorts.js) with a "cohorts" list.
+ */
+
+import { readMapping, cellValue } from './sheetsService.js';
+
+export const ROLES = {
+  STUDENT: 'student',
+  SCHOOL: 'school',
+  DISTRICT: 'district',
+  ADMIN: 'admin',
+};
+
+export class AccessDeniedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AccessDeniedError';
+  }
+}
+
+/**
+ * Student ID a request refers to. Students default to themselves.
+ */
+export function requestedStudentId(req) {
+  const studentId = req.query.studentId?.toString().trim();
+  if (studentId) return studentId;
+  return req.user?.role === ROLES.STUDENT ? req.user.username : null;
+}
+
+/**
+ * School code a request refers to. Coordinators default to their own school.
+ */
+export function requestedSchoolId(req) {
+  const schoolId = req.query.schoolId?.toString().trim();
+  if (schoolId) return schoolId;
+  return req.user?.role === ROLES.SCHOOL ? req.user.schoolCode : null;
+}
+
+/**
+ * School codes in a district officer's district
+ */
+export async function getDistrictSchools(source, user) {
+  if (Array.isArray(user.schools) && user.schools.length > 0) {
+    return new Set(user.schools.map(code => code.toString().trim()));
+  }
+
+  const schools = new Set();
+  if (!user.district) return schools;
+
+  const { rows, columns } = await readMapping(source);
+  if (!columns || columns.district === -1) {
+    console.warn(`[Access] District user ${user.username} has no "schools" list and Mapping has no district column`);
+    return schools;
+  }
+
+  const district = user.district.toString().trim().toLowerCase();
+  for (const row of rows) {
+    if (cellValue(row, columns.district).toLowerCase() === district) {
+      const schoolCode = cellValue(row, columns.schoolCode);
+      if (schoolCode) schools.add(schoolCode);
+    }
+  }
+  return schools;
+}
+
+/**
+ * Throw unless the user may read the given cohort. Staff accounts may be limited
+ * to some cohorts with a "cohorts" list in the users file; everyone else sees all.
+ */
+export function assertCohortAccess(user, cohortId) {
+  if (!Array.isArray(user.cohorts) || user.cohorts.length === 0) return;
+  if (user.cohorts.includes(cohortId)) return;
+  throw new AccessDeniedError(`You do not have access to cohort ${cohortId}`);
+}
+
+/**
+ * Only the given roles may use the route
+ */
+export function allowRoles(...roles) {
+  return (user) => {
+    if (!roles.includes(user.role)) {
+      throw new AccessDeniedError(`This endpoint is only available to: ${roles.join(', ')}`);
+    }
+  };
+}
+
+/**
+ * Throw unless the user may read the given school's data
+ */
+export async function assertSchoolAccess(user, source, schoolCode) {
+  switch (user.role) {
+    case ROLES.ADMIN:
+      return;
+    case ROLES.SCHOOL:
+      if (user.schoolCode && schoolCode === user.schoolCode) return;
+      throw new AccessDeniedError(`You can only view school ${user.schoolCode || '(none assigned)'}`);
+    case ROLES.DISTRICT:
+      if ((await getDistrictSchools(source, user)).has(schoolCode)) return;
+      throw new AccessDeniedError(`School ${schoolCode} is not in your district`);
+    default:
+      throw new AccessDeniedError('You do not have access to school data');
+  }
+}
+
+/**
+ * Throw unless the user may read the given student's records
+ */
+export async function assertStudentAccess(user, source, studentId) {
+  if (user.role === ROLES.ADMIN) return;
+
+  if (user.role === ROLES.STUDENT) {
+    if (studentId === user.username) return;
+    throw new AccessDeniedError('Students can only view their own records');
+  }
+
+  if (user.role !== ROLES.SCHOOL && user.role !== ROLES.DISTRICT) {
+    throw new AccessDeniedError('You do not have access to student records');
+  }
+
+  // Staff may read a student if any of the student's Mapping rows is in a school they can read
+  const { rows, columns } = await readMapping(source);
+  const schoolCodes = new Set(
+    (columns ? rows : [])
+      .filter(row => cellValue(row, columns.userName) === studentId)
+      .map(row => cellValue(row, columns.schoolCode))
+      .filter(Boolean)
+  );
+
+  if (user.role === ROLES.SCHOOL && schoolCodes.has(user.schoolCode)) return;
+  if (user.role === ROLES.DISTRICT) {
+    const districtSchools = await getDistrictSchools(source, user);
+    if ([...schoolCodes].some(code => districtSchools.has(code))) return;
+  }
+
+  throw new AccessDeniedError(`Student ${studentId} is not in ${user.role === ROLES.SCHOOL ? 'your school' : 'your district'}`);
+}
+
+/**
+ * Ambiguous-match reasons can name other students, so students only learn which
+ * rows need review. Applies to getStudentTests and getTestDetails results.
+ */
+export function redactAmbiguities(user, result) {
+  if (user?.role !== ROLES.STUDENT) return result;
+
+  const redact = ({ sheet, rows }) => ({ sheet, rows, reason: 'Your coordinator needs to check which row is yours' });
+  const redacted = { ...result };
+  if (redacted.ambiguity) {
+    redacted.ambiguity = redact(redacted.ambiguity);
+    redacted.details = redacted.ambiguity.reason;
+  }
+  if (Array.isArray(redacted.tests)) {
+    redacted.tests = redacted.tests.map(test => (test.ambiguity ? { ...test, ambiguity: redact(test.ambiguity) } : test));
+  }
+  return redacted;
+}
+
+/**
+ * Express middleware running a policy check for the signed-in user.
+ * `check(user, req)` may be async and throws AccessDeniedError to deny (403).
+ */
+export function authorize(check) {
+  return async (req, res, next) => {
+    try {
+      await check(req.user, req);
+      next();
+    } catch (error) {
+      if (error instanceof AccessDeniedError) {
+        console.warn(`[Access] Denied ${req.method} ${req.path} for ${req.user?.role} ${req.user?.username}: ${error.message}`);
+        return res.status(403).json({ error: 'Access denied', details: error.message });
+      }
+      console.error('[Access] Error checking access:', error);
+      res.status(500).json({
+        error: `Failed to check access: ${error.message}`,
+        details: 'Check server logs for more details'
+      });
+    }
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * Attendance
+ * Which of a school's students have a row in each test sheet: the attendance
+ * matrix of a school, the students absent from each test and the students who
+ * missed several tests, for coordinators to follow up before retests.
+ *
+ * A student is absent from a test when no row of the sheet matches them (see
+ * identity.js). Students an ambiguous row could belong to need review instead,
+ * since they may have taken the test.
+ */
+
+import { SheetReadError } from './dataSources.js';
+import { getSchoolRoster, readCohortResults, sheetWarning } from './sheetsService.js';
+
+export const ATTENDANCE = {
+  PRESENT: 'Present',
+  ABSENT: 'Absent',
+  NEEDS_REVIEW: 'Needs review',
+};
+
+// Students who missed at least this many tests are chronic absentees, unless the request says otherwise
+export const DEFAULT_MIN_MISSED = 2;
+
+/**
+ * Minimum number of missed tests from a request parameter, at least 1
+ */
+export function parseMinMissed(value) {
+  const minMissed = parseInt(value, 10);
+  return isNaN(minMissed) ? DEFAULT_MIN_MISSED : Math.max(1, minMissed);
+}
+
+const studentEntry = (student) => ({
+  studentId: student.studentId,
+  studentName: student.studentName,
+  className: student.className,
+  schoolName: student.schoolName,
+  schoolCode: student.schoolId,
+  udsieCode: student.udsieCode,
+  emisId: student.emisId,
+});
+
+const byClassAndName = (a, b) =>
+  a.className.localeCompare(b.className, undefined, { numeric: true }) ||
+  (a.studentName || a.studentId).localeCompare(b.studentName || b.studentId);
+
+/**
+ * Attendance of `students` in every readable test sheet, in test date order.
+ * Returns { tests: [{ test, statuses }], warnings } where statuses is a Map of
+ * username -> ATTENDANCE value. Rows are matched as everywhere else, or queried
+ * from the SQLite result tables (see readCohortResults in sheetsService.js).
+ */
+async function attendanceByTest(source, students) {
+  const { tests, testResults } = await readCohortResults(source, { includeHidden: true });
+  const userNames = students.map(student => student.studentId);
+
+  const result = [];
+  const warnings = [];
+  for (const test of tests) {
+    const results = testResults.get(test.sheetName);
+    if (results instanceof SheetReadError) {
+      warnings.push(sheetWarning(results, 'Its attendance is left out.'));
+      continue;
+    }
+    if (!results) continue;
+
+    const present = results.resultsOf(userNames);
+    const contested = new Set(results.ambiguous.flatMap(entry => entry.candidates));
+
+    const statuses = new Map();
+    for (const student of students) {
+      if (present.has(student.studentId)) statuses.set(student.studentId, ATTENDANCE.PRESENT);
+      else if (contested.has(student.studentId)) statuses.set(student.studentId, ATTENDANCE.NEEDS_REVIEW);
+      else statuses.set(student.studentId, ATTENDANCE.ABSENT);
+    }
+    result.push({ test, statuses });
+  }
+  return { tests: result, warnings };
+}
+
+const testEntry = (test) => ({
+  testName: test.sheetName,
+  displayName: test.displayName,
+  testDate: test.testDate,
+});
+
+/**
+ * Attendance of every student of a school (or of one class) in every test.
+ * Returns { schoolId, filters, tests, students, warnings } where each student has
+ * `attendance` (one ATTENDANCE value per test, in the order of `tests`) and
+ * `attendedCount`, or { error, details } when the school or class has no students.
+ */
+export async function getAttendanceMatrix(source, schoolId, { grade = null, section = null } = {}) {
+  const roster = await getSchoolRoster(source, schoolId, { grade, section });
+  if (roster.error) return roster;
+
+  const { tests, warnings } = await attendanceByTest(source, roster.students);
+
+  const students = roster.students
+    .map(student => {
+      const attendance = tests.map(({ statuses }) => statuses.get(student.studentId));
+      return {
+        ...studentEntry(student),
+        attendance,
+        attendedCount: attendance.filter(status => status === ATTENDANCE.PRESENT).length,
+      };
+    })
+    .sort(byClassAndName);
+
+  return {
+    schoolId,
+    filters: { grade: grade || null, section: section || null },
+    tests: tests.map(({ test }) => testEntry(test)),
+    students,
+    warnings,
+  };
+}
+
+/**
+ * Absent students of a school for every test. `grade` and `section` limit it to one
+ * class. Returns { schoolId, filters, minMissed, totalStudents, tests, chronicAbsentees,
+ * warnings } or { error, details } when the school or class has no students.
+ */
+export async function getAbsentees(source, schoolId, { grade = null, section = null, minMissed = DEFAULT_MIN_MISSED } = {}) {
+  const roster = await getSchoolRoster(source, schoolId, { grade, section });
+  if (roster.error) return roster;
+  const { students } = roster;
+
+  const { tests, warnings } = await attendanceByTest(source, students);
+
+  // username -> names of the tests they missed
+  const missed = new Map(students.map(student => [student.studentId, []]));
+  const testAbsentees = tests.map(({ test, statuses }) => {
+    const absent = [];
+    const needsReview = [];
+    for (const student of students) {
+      const status = statuses.get(student.studentId);
+      if (status === ATTENDANCE.ABSENT) {
+        absent.push(studentEntry(student));
+        missed.get(student.studentId).push(test.displayName);
+      } else if (status === ATTENDANCE.NEEDS_REVIEW) {
+        needsReview.push(studentEntry(student));
+      }
+    }
+
+    return {
+      ...testEntry(test),
+      totalStudents: students.length,
+      absentCount: absent.length,
+      absent: absent.sort(byClassAndName),
+      needsReview: needsReview.sort(byClassAndName),
+    };
+  });
+
+  const chronicAbsentees = students
+    .filter(student => missed.get(student.studentId).length >= minMissed)
+    .map(student => ({
+      ...studentEntry(student),
+      missedCount: missed.get(student.studentId).length,
+      missedTests: missed.get(student.studentId),
+    }))
+    .sort((a, b) => b.missedCount - a.missedCount || byClassAndName(a, b));
+
+  console.log(`[Attendance] School ${schoolId}: ${testAbsentees.length} tests, ${chronicAbsentees.length} students missed ${minMissed} or more`);
+
+  return {
+    schoolId,
+    filters: { grade: grade || null, section: section || null },
+    minMissed,
+    totalStudents: students.length,
+    totalTests: testAbsentees.length,
+    tests: testAbsentees,
+    chronicAbsentees,
+    warnings,
+  };
+}
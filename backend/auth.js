@@ -0,0 +1,278 @@
+/**
+ * Authentication
+ * Students sign in with their username and the secret column from the Mapping
+ * sheet (date of birth or PIN, see columnSchema.json). School coordinators and
+ * admins sign in with credentials from a local users file. Both get a signed
+ * session token that must be sent as "Authorization: Bearer <token>".
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import jwt from 'jsonwebtoken';
+import { readMapping, cellValue } from './sheetsService.js';
+import { normalizeUsername } from './identity.js';
+import { ROLES } from './accessPolicy.js';
+
+let tokenSecret = null;
+
+// Read lazily, the environment is loaded after modules are imported
+function getTokenSecret() {
+  if (!tokenSecret) {
+    tokenSecret = process.env.AUTH_SECRET;
+    if (!tokenSecret) {
+      tokenSecret = crypto.randomBytes(32).toString('hex');
+      console.warn('⚠️  AUTH_SECRET is not set. Using a random secret, sessions will end when the server restarts.');
+    }
+  }
+  return tokenSecret;
+}
+
+export class AuthenticationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * Too many failed sign-ins for a username or from a client address
+ */
+export class TooManyAttemptsError extends Error {
+  constructor(retryAfterSeconds) {
+    super('Too many failed sign-in attempts. Try again later.');
+    this.name = 'TooManyAttemptsError';
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * Hash a password for the users file: "scrypt:<salt>:<hash>"
+ */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt:${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * A date of birth as DD/MM/YYYY, from DD/MM/YYYY (with "/", "." or "-", leading
+ * zeros optional) or YYYY-MM-DD. Null for anything else, including partial dates.
+ */
+function normalizeBirthDate(value) {
+  const str = value.toString().trim();
+  let day, month, year;
+
+  let match = str.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (match) {
+    [day, month, year] = match.slice(1).map(Number);
+  } else if ((match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    [year, month, day] = match.slice(1).map(Number);
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(day)}/${pad(month)}/${year}`;
+}
+
+/**
+ * Compare a student secret with the Mapping value. A date only matches the same
+ * full date (14/03/2010 = 14-3-2010 = 2010-03-14); anything else is compared
+ * ignoring case and spaces.
+ */
+function secretsMatch(given, expected) {
+  if (!given || !expected) return false;
+  const givenDate = normalizeBirthDate(given);
+  const expectedDate = normalizeBirthDate(expected);
+  if (givenDate || expectedDate) {
+    return givenDate === expectedDate;
+  }
+  const normalize = (value) => value.toString().replace(/\s+/g, '').toLowerCase();
+  const a = Buffer.from(normalize(given));
+  const b = Buffer.from(normalize(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+const positiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : fallback;
+};
+
+let loginThrottle = null;
+
+// Read lazily, like the token secret
+function getLoginThrottle() {
+  if (!loginThrottle) {
+    loginThrottle = {
+      perUsername: positiveInt(process.env.STUDENT_LOGIN_MAX_ATTEMPTS, 5),
+      perAddress: positiveInt(process.env.STUDENT_LOGIN_MAX_ATTEMPTS_PER_IP, 20),
+      windowMs: positiveInt(process.env.STUDENT_LOGIN_LOCKOUT_MINUTES, 15) * 60 * 1000,
+      // key -> { failures, since }
+      failures: new Map(),
+    };
+  }
+  return loginThrottle;
+}
+
+const throttleKeys = (username, address) => [
+  [`user:${normalizeUsername(username)}`, 'perUsername'],
+  [`ip:${address || 'unknown'}`, 'perAddress'],
+];
+
+/**
+ * Throw TooManyAttemptsError while the username or the client address has used
+ * up its failed student sign-ins (STUDENT_LOGIN_MAX_ATTEMPTS per username,
+ * STUDENT_LOGIN_MAX_ATTEMPTS_PER_IP per address, per STUDENT_LOGIN_LOCKOUT_MINUTES)
+ */
+export function assertStudentLoginAllowed(username, address) {
+  const throttle = getLoginThrottle();
+  const now = Date.now();
+  for (const [key, limit] of throttleKeys(username, address)) {
+    const entry = throttle.failures.get(key);
+    if (!entry) continue;
+    if (now - entry.since >= throttle.windowMs) {
+      throttle.failures.delete(key);
+    } else if (entry.failures >= throttle[limit]) {
+      throw new TooManyAttemptsError(Math.ceil((entry.since + throttle.windowMs - now) / 1000));
+    }
+  }
+}
+
+/**
+ * Count a failed student sign-in against the username and the client address
+ */
+export function recordFailedStudentLogin(username, address) {
+  const throttle = getLoginThrottle();
+  const now = Date.now();
+
+  // Forget windows that have ended, so the map does not grow without bound
+  if (throttle.failures.size > 10000) {
+    for (const [key, entry] of throttle.failures) {
+      if (now - entry.since >= throttle.windowMs) throttle.failures.delete(key);
+    }
+  }
+
+  for (const [key] of throttleKeys(username, address)) {
+    const entry = throttle.failures.get(key);
+    if (entry && now - entry.since < throttle.windowMs) {
+      entry.failures++;
+    } else {
+      throttle.failures.set(key, { failures: 1, since: now });
+    }
+  }
+}
+
+/**
+ * Forget the failed sign-ins of a username after it signs in
+ */
+export function clearFailedStudentLogins(username) {
+  getLoginThrottle().failures.delete(`user:${normalizeUsername(username)}`);
+}
+
+/**
+ * Accounts of the users file, [] when there is none
+ */
+export function loadUsers() {
+  const usersFile = process.env.USERS_FILE || './users.json';
+  if (!fs.existsSync(usersFile)) {
+    return [];
+  }
+  try {
+    const users = JSON.parse(fs.readFileSync(usersFile, 'utf8'));
+    return Array.isArray(users) ? users : [];
+  } catch (error) {
+    console.error(`[Auth] Could not read users file ${usersFile}:`, error.message);
+    return [];
+  }
+}
+
+function signSession(user) {
+  const token = jwt.sign(user, getTokenSecret(), {
+    expiresIn: process.env.AUTH_TOKEN_TTL || '12h',
+    subject: user.username,
+  });
+  return { token, user };
+}
+
+/**
+ * Sign in a student with their username and Mapping secret
+ */
+export async function loginStudent(source, username, secret) {
+  const { rows, columns } = await readMapping(source);
+  if (!columns) {
+    throw new AuthenticationError('Student roster could not be read');
+  }
+  if (columns.secret === -1) {
+    throw new AuthenticationError('Student sign-in is not configured. Set "secret" in the column schema.');
+  }
+
+  const userName = username.toString().trim();
+  const row = rows.find(r => cellValue(r, columns.userName) === userName);
+  if (!row || !secretsMatch(secret, cellValue(row, columns.secret))) {
+    throw new AuthenticationError('Invalid username or date of birth / PIN');
+  }
+
+  return signSession({
+    role: ROLES.STUDENT,
+    username: userName,
+    name: cellValue(row, columns.studentName) || userName,
+    schoolCode: cellValue(row, columns.schoolCode),
+  });
+}
+
+/**
+ * Sign in a school coordinator or admin from the users file
+ */
+export function loginStaff(username, password) {
+  const user = loadUsers().find(u => u.username === username?.toString().trim());
+  if (!user || !verifyPassword(password || '', user.passwordHash)) {
+    throw new AuthenticationError('Invalid username or password');
+  }
+
+  const { passwordHash, ...profile } = user;
+  const role = profile.role || ROLES.SCHOOL;
+  if (!Object.values(ROLES).includes(role) || role === ROLES.STUDENT) {
+    console.error(`[Auth] User ${user.username} has an unsupported role "${role}"`);
+    throw new AuthenticationError('This account is not set up correctly. Contact an administrator.');
+  }
+
+  return signSession({
+    ...profile,
+    role,
+    name: profile.name || profile.username,
+  });
+}
+
+/**
+ * Express middleware: require a valid session token and expose it as req.user
+ */
+export function requireAuth(req, res, next) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required', details: 'Sign in to access this data.' });
+  }
+
+  try {
+    const { iat, exp, sub, ...user } = jwt.verify(token, getTokenSecret());
+    req.user = user;
+    next();
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+    return res.status(401).json({
+      error: expired ? 'Session expired' : 'Invalid session',
+      details: 'Sign in again to continue.',
+    });
+  }
+}
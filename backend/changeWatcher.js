@@ -0,0 +1,380 @@
+/**
+ * Change Watcher
+ * Polls every cohort's test sheets and fires webhooks (see webhooks.js) when new
+ * results land: `test.created` when a released test sheet appears, and
+ * `test.rows_added` when rows are added to one. Each sheet is fingerprinted by a
+ * hash of its content, and its rows are counted and hashed per school code by
+ * matching them to students (see identity.js), so changes name the affected schools.
+ *
+ * Every change, including edits and hidden tests, also goes to the listeners
+ * registered with subscribeToChanges (the live dashboards, see liveUpdates.js).
+ * While a dashboard listens, sheets are checked every LIVE_POLL_INTERVAL_SECONDS
+ * instead of every CHANGE_POLL_INTERVAL_SECONDS.
+ *
+ * Checks read past the sheet cache (see sheetCache.js) and drop only the sheets
+ * that changed from it, so a change is seen on the next check rather than when
+ * the cache expires, and requests keep their cached Mapping and Config.
+ *
+ * Fingerprints are saved to CHANGE_STATE_PATH so a restart does not report every
+ * sheet again. The first check of a cohort only records them.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { resolveTestColumns, schemaOf } from './columnResolver.js';
+import { SheetReadError } from './dataSources.js';
+import { createRequestSnapshot } from './sheetCache.js';
+import { CONFIG_SHEET_NAME, listTests } from './testConfig.js';
+import { buildIdentityIndex } from './sheetsService.js';
+import { WEBHOOK_EVENTS, createEvent, dispatchEvent, loadWebhooks } from './webhooks.js';
+
+const statePath = () => process.env.CHANGE_STATE_PATH || './sheet-fingerprints.json';
+
+// Rows no student could be matched to are counted under this key
+const UNMATCHED = '';
+
+export const CHANGE_TYPES = {
+  CREATED: 'test.created',
+  UPDATED: 'test.updated',
+  REMOVED: 'test.removed',
+};
+
+const listeners = new Set();
+
+// cohort ID -> time of its latest check
+const lastChecks = new Map();
+
+/**
+ * Call `listener(change)` on every change to a test sheet, where change is
+ * { type, cohortId, test: { name, displayName, visible, previouslyVisible }, schools, checkedAt } and
+ * schools are [{ schoolCode, rowCount, addedRows }] for the schools whose rows
+ * changed. Returns a function that unsubscribes.
+ */
+export function subscribeToChanges(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Time of the cohort's latest check, or null before the first one
+ */
+export function lastCheckedAt(cohortId) {
+  return lastChecks.get(cohortId) || null;
+}
+
+function loadState() {
+  const file = statePath();
+  if (!fs.existsSync(file)) return { cohorts: {} };
+  try {
+    const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return state?.cohorts ? state : { cohorts: {} };
+  } catch (error) {
+    console.error(`[Changes] Could not read ${file}, starting over:`, error.message);
+    return { cohorts: {} };
+  }
+}
+
+function saveState(state) {
+  const file = statePath();
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+function fingerprint(rows) {
+  return crypto.createHash('sha256').update(JSON.stringify(rows)).digest('hex');
+}
+
+/**
+ * Non-empty data rows of a test sheet per school code: { counts, hashes }, the
+ * number of rows and a hash of the rows of each code. A row that could be
+ * several students counts for their school when they share one.
+ */
+function rowsBySchool(index, data, columns) {
+  const cell = (row, idx) => (idx === undefined || idx === -1 ? '' : row?.[idx]?.toString().trim() || '');
+  const counts = {};
+  const hashes = {};
+
+  for (const row of data.slice(1)) {
+    if (!row || row.every(value => !value?.toString().trim())) continue;
+
+    const result = columns
+      ? index.resolveRow({
+        learnerDetails: cell(row, columns.learnerDetails),
+        emisId: cell(row, columns.emisId),
+        udsieCode: cell(row, columns.udsieCode),
+      })
+      : null;
+
+    let schoolCode = UNMATCHED;
+    if (result?.student) {
+      schoolCode = result.student.schoolCode || UNMATCHED;
+    } else if (result?.ambiguous) {
+      const codes = new Set(result.candidates.map(userName => index.students.get(userName)?.schoolCode));
+      if (codes.size === 1) schoolCode = [...codes][0] || UNMATCHED;
+    }
+    counts[schoolCode] = (counts[schoolCode] || 0) + 1;
+    if (!hashes[schoolCode]) hashes[schoolCode] = crypto.createHash('sha256');
+    hashes[schoolCode].update(JSON.stringify(row));
+  }
+
+  return {
+    counts,
+    hashes: Object.fromEntries(Object.entries(hashes).map(([code, hash]) => [code, hash.digest('hex')])),
+  };
+}
+
+const total = (counts) => Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+/**
+ * Current fingerprint, row count and rows per school of every readable test
+ * sheet of a source, hidden or not: Map of sheet name -> { test, entry }
+ */
+async function readTestSheets(source) {
+  const tests = await listTests(source);
+  const testData = await source.readSheets(tests.map(test => test.sheetName));
+  const index = await buildIdentityIndex(source);
+
+  const sheets = new Map();
+  for (const test of tests) {
+    const data = testData.get(test.sheetName);
+    if (data instanceof SheetReadError) {
+      console.warn(`[Changes] Skipping ${test.sheetName}: ${data.message}`);
+      continue;
+    }
+    if (!data || data.length === 0) continue;
+
+    let columns = null;
+    try {
+      columns = resolveTestColumns(data[0], test.sheetName, schemaOf(source));
+    } catch (error) {
+      console.warn(`[Changes] ${test.sheetName}: ${error.message}. Its rows are not matched to schools.`);
+    }
+
+    const { counts, hashes } = rowsBySchool(index, data, columns);
+    sheets.set(test.sheetName, {
+      test,
+      entry: {
+        fingerprint: fingerprint(data),
+        visible: test.visible !== false,
+        rowCount: total(counts),
+        schools: counts,
+        schoolHashes: hashes,
+      },
+    });
+  }
+  return sheets;
+}
+
+/**
+ * Webhook data of a new or grown test sheet
+ */
+function changeEvent(type, cohort, test, entry, previous) {
+  const previousSchools = previous?.schools || {};
+  const schools = Object.entries(entry.schools)
+    .filter(([code]) => code !== UNMATCHED)
+    .map(([schoolCode, rowCount]) => ({ schoolCode, rowCount, addedRows: Math.max(0, rowCount - (previousSchools[schoolCode] || 0)) }))
+    .filter(school => school.addedRows > 0)
+    .sort((a, b) => a.schoolCode.localeCompare(b.schoolCode));
+
+  return createEvent(type, {
+    cohort: { id: cohort.id, name: cohort.name },
+    test: {
+      name: test.sheetName,
+      displayName: test.displayName,
+      subject: test.subject,
+      testDate: test.testDate,
+    },
+    rowCount: entry.rowCount,
+    previousRowCount: previous?.rowCount || 0,
+    addedRows: entry.rowCount - (previous?.rowCount || 0),
+    schools,
+    unmatchedAddedRows: Math.max(0, (entry.schools[UNMATCHED] || 0) - (previousSchools[UNMATCHED] || 0)),
+  });
+}
+
+// Tests saved before hidden tests were watched were all released
+const wasVisible = (previous) => Boolean(previous) && previous.visible !== false;
+
+/**
+ * School codes whose rows differ between two entries of a sheet
+ */
+function changedSchools(entry, previous) {
+  const codes = new Set([...Object.keys(entry?.schools || {}), ...Object.keys(previous?.schools || {})]);
+  return [...codes].filter(code => code !== UNMATCHED && (
+    !entry || !previous || !previous.schoolHashes ||
+    entry.schoolHashes[code] !== previous.schoolHashes[code] ||
+    wasVisible(previous) !== entry.visible
+  ));
+}
+
+/**
+ * Listener form of a change: the affected schools with their rows in the sheet
+ */
+function liveChange(type, cohort, test, entry, previous) {
+  return {
+    type,
+    cohortId: cohort.id,
+    test: {
+      name: test.sheetName,
+      displayName: test.displayName || test.sheetName,
+      visible: entry ? entry.visible : false,
+      previouslyVisible: wasVisible(previous),
+    },
+    schools: changedSchools(entry, previous).sort().map(schoolCode => ({
+      schoolCode,
+      rowCount: entry?.schools[schoolCode] || 0,
+      addedRows: (entry?.schools[schoolCode] || 0) - (previous?.schools[schoolCode] || 0),
+    })),
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Compare a cohort's test sheets with their saved fingerprints. Returns the
+ * webhook events of released sheets that are new or grew, every change for
+ * the listeners (none of either on the cohort's first check), and the cohort's
+ * new state. Edits that do not add rows only go to the listeners.
+ */
+async function detectCohortChanges(cohort, previousState) {
+  // The sheets as they are now, not as cached for requests
+  const source = createRequestSnapshot(cohort.dataSource.source);
+  const sheets = await readTestSheets(source);
+  const sheetNames = await source.listSheets();
+
+  const events = [];
+  const changes = [];
+  const state = {};
+  for (const [sheetName, { test, entry }] of sheets) {
+    state[sheetName] = { ...entry, checkedAt: new Date().toISOString() };
+    if (!previousState) continue;
+
+    const previous = previousState[sheetName];
+    if (previous && previous.fingerprint === entry.fingerprint && wasVisible(previous) === entry.visible) continue;
+
+    changes.push(liveChange(previous ? CHANGE_TYPES.UPDATED : CHANGE_TYPES.CREATED, cohort, test, entry, previous));
+    // Webhooks only hear about released tests: a test made visible is new to them
+    if (!entry.visible) continue;
+    if (!wasVisible(previous)) {
+      events.push(changeEvent(WEBHOOK_EVENTS.TEST_CREATED, cohort, test, entry, null));
+    } else if (entry.rowCount > previous.rowCount) {
+      events.push(changeEvent(WEBHOOK_EVENTS.TEST_ROWS_ADDED, cohort, test, entry, previous));
+    }
+  }
+
+  for (const [sheetName, previous] of Object.entries(previousState || {})) {
+    if (state[sheetName]) continue;
+    if (sheetNames.includes(sheetName)) {
+      // A sheet that could not be read this time keeps its fingerprint
+      state[sheetName] = previous;
+    } else {
+      changes.push(liveChange(CHANGE_TYPES.REMOVED, cohort, { sheetName }, null, previous));
+    }
+  }
+
+  refreshCachedSheets(cohort, changes, sheetNames);
+  return { events, changes, state };
+}
+
+/**
+ * Drop the changed sheets from the cohort's cache, so the requests that follow a
+ * change see it too: the Config sheet as well when a test was shown or hidden,
+ * and everything when a sheet was added or removed (the cached sheet list).
+ */
+function refreshCachedSheets(cohort, changes, sheetNames) {
+  if (changes.some(change => change.type !== CHANGE_TYPES.UPDATED)) {
+    cohort.dataSource.invalidate();
+    return;
+  }
+
+  const configSheet = sheetNames.find(name => name.toLowerCase() === CONFIG_SHEET_NAME.toLowerCase());
+  for (const change of changes) {
+    cohort.dataSource.invalidate(change.test.name);
+    if (configSheet && change.test.visible !== change.test.previouslyVisible) {
+      cohort.dataSource.invalidate(configSheet);
+    }
+  }
+}
+
+let checkInProgress = null;
+
+/**
+ * Check every cohort for new results now and fire their webhooks. Resolves with
+ * the events, each with the first delivery attempt to each webhook.
+ */
+export function checkForChanges(cohorts) {
+  if (!checkInProgress) {
+    checkInProgress = runCheck(cohorts).finally(() => {
+      checkInProgress = null;
+    });
+  }
+  return checkInProgress;
+}
+
+async function runCheck(cohorts) {
+  const saved = loadState();
+  const fired = [];
+
+  for (const cohort of cohorts.list()) {
+    if (!cohort.dataSource) continue;
+    try {
+      const previousState = saved.cohorts[cohort.id] || null;
+      const { events, changes, state } = await detectCohortChanges(cohort, previousState);
+      saved.cohorts[cohort.id] = state;
+      lastChecks.set(cohort.id, new Date().toISOString());
+      if (!previousState) {
+        console.log(`[Changes] Recorded ${Object.keys(state).length} test sheets of cohort ${cohort.id}`);
+      }
+
+      for (const change of changes) {
+        listeners.forEach(listener => {
+          try {
+            listener(change);
+          } catch (error) {
+            console.error('[Changes] Listener failed:', error.message);
+          }
+        });
+      }
+
+      for (const event of events) {
+        console.log(`[Changes] ${event.type}: ${event.test.name} (${cohort.id}), ${event.addedRows} rows`);
+        const deliveries = await dispatchEvent(event, { cohortId: cohort.id });
+        fired.push({ event, deliveries });
+      }
+    } catch (error) {
+      console.error(`[Changes] Could not check cohort ${cohort.id}:`, error.message);
+    }
+  }
+
+  saveState(saved);
+  return fired;
+}
+
+/**
+ * Check for new results every `intervalMs` when there are webhooks, and every
+ * `liveIntervalMs` while a live dashboard listens. Idle otherwise: nothing is
+ * read and no fingerprints are written.
+ */
+export function startChangeWatcher(cohorts, { intervalMs, liveIntervalMs }) {
+  const webhooks = loadWebhooks();
+  console.log(webhooks.length > 0
+    ? `   Webhooks: ${webhooks.length}, checking for new results every ${intervalMs / 1000}s`
+    : '   Webhooks: off (no webhooks file)');
+  console.log(`   Live updates: checking every ${liveIntervalMs / 1000}s while a dashboard is open`);
+
+  let lastCheck = 0;
+  const check = () => {
+    lastCheck = Date.now();
+    checkForChanges(cohorts).catch(error => {
+      console.error('[Changes] Check failed:', error.message);
+    });
+  };
+  const tick = () => {
+    if (listeners.size > 0 || (Date.now() - lastCheck >= intervalMs && loadWebhooks().length > 0)) check();
+  };
+
+  // With webhooks, record the sheets right away so the next check reports what changed since
+  if (webhooks.length > 0) check();
+  const timer = setInterval(tick, Math.min(intervalMs, liveIntervalMs));
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,254 @@
+/**
+ * Cohorts
+ * A cohort is one named spreadsheet, such as "2025-26 Grade 10", with its own
+ * column schema, cache and optional SQLite mirror. Cohorts are listed in a
+ * registry file (COHORTS_FILE, default ./cohorts.json):
+ *
+ * [
+ *   { "id": "2025-26-g10", "name": "2025-26 Grade 10", "spreadsheetId": "1AbC...", "default": true },
+ *   { "id": "2026-27-g9", "name": "2026-27 Grade 9", "spreadsheetId": "1XyZ...", "columnSchema": "./schemas/2026-27.json" },
+ *   { "id": "demo", "name": "Demo", "dataSource": "local", "dataDir": "./sample-data", "sqliteMirrorPath": "./demo.sqlite" }
+ * ]
+ *
+ * Without a registry file there is a single cohort configured from the environment
+ * (GOOGLE_SPREADSHEET_ID or DATA_SOURCE=local, COLUMN_SCHEMA_PATH, SQLITE_MIRROR_PATH).
+ * All Google cohorts share one Sheets client, so retries and the concurrency cap
+ * apply to the whole server, as the API quota does.
+ */
+
+import fs from 'fs';
+import { google } from 'googleapis';
+import { createGoogleSheetsSource, createLocalDirectorySource } from './dataSources.js';
+import { createQuotaAwareSheetsClient } from './sheetsClient.js';
+import { createCachedSource } from './sheetCache.js';
+import { createSqliteMirror } from './sqliteMirror.js';
+import { getColumnSchema, loadColumnSchema } from './columnResolver.js';
+
+const COHORT_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+let sheetsClient = null;
+
+/**
+ * The shared, quota-aware Google Sheets client, created on first use
+ */
+async function getSheetsClient() {
+  if (sheetsClient) return sheetsClient;
+
+  let sheets;
+  if (process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL && process.env.GOOGLE_PRIVATE_KEY) {
+    const auth = new google.auth.GoogleAuth({
+      credentials: {
+        client_email: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+        private_key: process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+      },
+      scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
+    });
+
+    const authClient = await auth.getClient();
+    sheets = google.sheets({ version: 'v4', auth: authClient });
+
+    console.log('✅ Google Sheets API initialized with service account');
+    console.log(`   Service Account: ${process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL}`);
+  } else if (process.env.GOOGLE_API_KEY) {
+    sheets = google.sheets({ version: 'v4', auth: process.env.GOOGLE_API_KEY });
+    console.log('✅ Google Sheets API initialized with API key');
+  } else {
+    throw new Error('No authentication method configured. Please set either GOOGLE_SERVICE_ACCOUNT_EMAIL/GOOGLE_PRIVATE_KEY or GOOGLE_API_KEY in .env file, or DATA_SOURCE=local');
+  }
+
+  const maxRetries = parseInt(process.env.SHEETS_MAX_RETRIES || '5', 10);
+  const maxConcurrent = parseInt(process.env.SHEETS_MAX_CONCURRENT_REQUESTS || '4', 10);
+
+  // Retry rate limits and server errors, and cap concurrent calls to stay within quota
+  sheetsClient = createQuotaAwareSheetsClient(sheets, { maxRetries, maxConcurrent });
+  console.log(`   Sheets API: up to ${maxConcurrent} concurrent requests, ${maxRetries} retries`);
+  return sheetsClient;
+}
+
+export function getSheetsClientStats() {
+  return sheetsClient ? sheetsClient.getStats() : null;
+}
+
+/**
+ * Cohort configurations from the registry file, or a single cohort from the environment
+ */
+export function loadCohortConfigs(registryPath = process.env.COHORTS_FILE || './cohorts.json') {
+  if (!fs.existsSync(registryPath)) {
+    if (process.env.COHORTS_FILE) {
+      throw new Error(`Cohort registry ${registryPath} not found`);
+    }
+    return [{
+      id: process.env.COHORT_ID || 'default',
+      name: process.env.COHORT_NAME || 'Default',
+      default: true,
+      dataSource: process.env.DATA_SOURCE || 'google',
+      spreadsheetId: process.env.GOOGLE_SPREADSHEET_ID,
+      dataDir: process.env.LOCAL_DATA_DIR || './data',
+      columnSchema: null, // COLUMN_SCHEMA_PATH or the bundled schema
+      sqliteMirrorPath: process.env.SQLITE_MIRROR_PATH || null,
+    }];
+  }
+
+  let configs;
+  try {
+    configs = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read cohort registry ${registryPath}: ${error.message}`);
+  }
+
+  if (!Array.isArray(configs) || configs.length === 0) {
+    throw new Error(`Cohort registry ${registryPath} must be a non-empty array`);
+  }
+
+  const ids = new Set();
+  for (const config of configs) {
+    if (!config.id || !COHORT_ID_PATTERN.test(config.id)) {
+      throw new Error(`Cohort registry ${registryPath}: invalid cohort id "${config.id}" (letters, digits, ".", "_" and "-" only)`);
+    }
+    if (ids.has(config.id)) {
+      throw new Error(`Cohort registry ${registryPath}: duplicate cohort id "${config.id}"`);
+    }
+    ids.add(config.id);
+  }
+
+  if (configs.filter(config => config.default).length > 1) {
+    throw new Error(`Cohort registry ${registryPath}: only one cohort can be the default`);
+  }
+
+  return configs.map(config => ({
+    ...config,
+    name: config.name || config.id,
+    dataSource: config.dataSource || 'google',
+  }));
+}
+
+async function createBaseSource(config, columnSchema, { gridSizeTtlMs }) {
+  if (config.dataSource.toLowerCase() === 'local') {
+    const source = createLocalDirectorySource(config.dataDir, { columnSchema });
+    console.log(`✅ [${config.id}] Local data source: ${config.dataDir}`);
+    return source;
+  }
+
+  if (!config.spreadsheetId) {
+    throw new Error(config.id === 'default'
+      ? 'GOOGLE_SPREADSHEET_ID is not set in environment variables'
+      : `Cohort "${config.id}" has no spreadsheetId`);
+  }
+
+  const maxCellsPerSheet = parseInt(process.env.SHEETS_MAX_CELLS_PER_SHEET || '5000000', 10);
+  const source = createGoogleSheetsSource(await getSheetsClient(), config.spreadsheetId, { columnSchema, maxCellsPerSheet, gridSizeTtlMs });
+  console.log(`✅ [${config.id}] Google Spreadsheet: ${config.spreadsheetId}`);
+  return source;
+}
+
+async function initializeMirror(config, source, syncIntervalMs) {
+  const mirror = createSqliteMirror(source, { dbPath: config.sqliteMirrorPath });
+
+  try {
+    const { changed } = await mirror.sync();
+    console.log(`✅ [${config.id}] SQLite mirror synced (${changed.length} sheets imported)`);
+  } catch (error) {
+    if (!mirror.hasData()) {
+      throw new Error(`Initial SQLite sync failed and the mirror is empty: ${error.message}`);
+    }
+    console.warn(`⚠️  [${config.id}] Initial SQLite sync failed, serving data from ${mirror.getStatus().lastSuccessfulSyncAt}`);
+  }
+  console.log(`   [${config.id}] Mirror: ${config.sqliteMirrorPath}, syncing every ${syncIntervalMs / 1000}s`);
+
+  return mirror;
+}
+
+/**
+ * Set up one cohort. A cohort that fails to initialize is still returned, with
+ * `dataSource: null` and the error, so the other cohorts keep working.
+ */
+export async function createCohort(config, { cacheTtlMs, mirrorSyncIntervalMs }) {
+  const cohort = {
+    id: config.id,
+    name: config.name,
+    isDefault: !!config.default,
+    dataSource: null,
+    mirror: null,
+    error: null,
+  };
+
+  try {
+    // Fail early on an invalid column schema rather than on the first request
+    const columnSchema = config.columnSchema ? loadColumnSchema(config.columnSchema) : getColumnSchema();
+
+    // Grid sizes are kept as long as the sheets they were read with
+    let source = await createBaseSource(config, columnSchema, { gridSizeTtlMs: cacheTtlMs });
+
+    if (config.sqliteMirrorPath) {
+      cohort.mirror = await initializeMirror(config, source, mirrorSyncIntervalMs);
+      source = cohort.mirror;
+    }
+
+    cohort.dataSource = createCachedSource(source, { ttlMs: cacheTtlMs });
+
+    cohort.mirror?.startSchedule(mirrorSyncIntervalMs, ({ changed, removed, failed }) => {
+      if (changed.length > 0 || removed.length > 0 || failed.length > 0) {
+        cohort.dataSource.invalidate();
+      }
+    });
+  } catch (error) {
+    console.error(`❌ [${config.id}] Error initializing cohort:`, error.message);
+    cohort.error = error.message;
+  }
+
+  return cohort;
+}
+
+/**
+ * Look up cohorts by id. The default is the one marked "default", else the first.
+ */
+export function createCohortRegistry(cohorts) {
+  const byId = new Map(cohorts.map(cohort => [cohort.id, cohort]));
+  const defaultCohort = cohorts.find(cohort => cohort.isDefault) || cohorts[0];
+  defaultCohort.isDefault = true;
+
+  return {
+    list() {
+      return cohorts;
+    },
+
+    get(id) {
+      return byId.get(id) || null;
+    },
+
+    getDefault() {
+      return defaultCohort;
+    },
+
+    /**
+     * All cohorts, the default first
+     */
+    listDefaultFirst() {
+      return [defaultCohort, ...cohorts.filter(cohort => cohort !== defaultCohort)];
+    },
+  };
+}
+
+/**
+ * Public description of a cohort
+ */
+export function describeCohort(cohort) {
+  return {
+    id: cohort.id,
+    name: cohort.name,
+    default: cohort.isDefault,
+  };
+}
+
+/**
+ * Status of a cohort for /health
+ */
+export function cohortStatus(cohort) {
+  return {
+    ...describeCohort(cohort),
+    dataSource: cohort.dataSource?.type || null,
+    error: cohort.error,
+    cache: cohort.dataSource ? cohort.dataSource.getStats() : null,
+    mirror: cohort.mirror ? cohort.mirror.getStatus() : null,
+  };
+}
@@ -0,0 +1,149 @@
+/**
+ * Column Resolver
+ * Finds columns by the exact header names declared in the column schema
+ * (columnSchema.json, or the file named by COLUMN_SCHEMA_PATH).
+ *
+ * Each cohort (see cohorts.js) can have its own schema, carried by its data
+ * source as `columnSchema`; use schemaOf(source) to get it.
+ *
+ * Each column in the schema is a header name, a list of accepted header names,
+ * or null when the spreadsheet does not have that column. Header matching is
+ * exact apart from case and surrounding whitespace. A configured column that is
+ * missing from the sheet is an error, never a guess.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_SCHEMA_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'columnSchema.json');
+
+// Fields that must be configured (cannot be null)
+const REQUIRED_MAPPING_COLUMNS = ['userName', 'schoolCode'];
+const REQUIRED_TEST_COLUMNS = ['learnerDetails'];
+
+// The Aliases sheet is optional; these are its columns unless the schema names others
+const DEFAULT_ALIASES = { sheet: 'Aliases', columns: { alias: 'Alias', userName: 'UserName' } };
+
+export class ColumnResolutionError extends Error {
+  constructor(message, { sheet, missing = [], header = [] } = {}) {
+    super(message);
+    this.name = 'ColumnResolutionError';
+    this.sheet = sheet;
+    this.missing = missing;
+    this.header = header;
+  }
+}
+
+let cachedSchema = null;
+
+/**
+ * Load and validate a column schema file
+ */
+export function loadColumnSchema(schemaPath = process.env.COLUMN_SCHEMA_PATH || DEFAULT_SCHEMA_PATH) {
+  let schema;
+  try {
+    schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read column schema ${schemaPath}: ${error.message}`);
+  }
+
+  if (!schema.mapping?.columns || !schema.tests?.columns) {
+    throw new Error(`Column schema ${schemaPath} must define "mapping.columns" and "tests.columns"`);
+  }
+  for (const field of REQUIRED_MAPPING_COLUMNS) {
+    if (!schema.mapping.columns[field]) {
+      throw new Error(`Column schema ${schemaPath} must name the Mapping "${field}" column`);
+    }
+  }
+  for (const field of REQUIRED_TEST_COLUMNS) {
+    if (!schema.tests.columns[field]) {
+      throw new Error(`Column schema ${schemaPath} must name the test sheet "${field}" column`);
+    }
+  }
+
+  schema.mapping.sheet = schema.mapping.sheet || 'Mapping';
+  schema.tests.overrides = schema.tests.overrides || {};
+  schema.aliases = {
+    sheet: schema.aliases?.sheet || DEFAULT_ALIASES.sheet,
+    columns: { ...DEFAULT_ALIASES.columns, ...schema.aliases?.columns },
+  };
+  return schema;
+}
+
+/**
+ * The schema used by the server, loaded once on first use
+ */
+export function getColumnSchema() {
+  if (!cachedSchema) {
+    cachedSchema = loadColumnSchema();
+  }
+  return cachedSchema;
+}
+
+/**
+ * The column schema of a data source: its cohort's schema, or the default one
+ */
+export function schemaOf(source) {
+  return source?.columnSchema || getColumnSchema();
+}
+
+function normalizeHeader(value) {
+  return value?.toString().trim().toLowerCase() || '';
+}
+
+/**
+ * Resolve every configured column to its index in `header`.
+ * Unconfigured (null) columns resolve to -1.
+ */
+function resolveColumns(header, columns, sheet) {
+  const normalized = header.map(normalizeHeader);
+  const indices = {};
+  const missing = [];
+
+  for (const [field, names] of Object.entries(columns)) {
+    if (names === null || names === undefined) {
+      indices[field] = -1;
+      continue;
+    }
+    const accepted = Array.isArray(names) ? names : [names];
+    const acceptedNormalized = accepted.map(normalizeHeader);
+    const index = normalized.findIndex(h => acceptedNormalized.includes(h));
+    if (index === -1) {
+      missing.push(`${field} (${accepted.map(name => `"${name}"`).join(' or ')})`);
+    }
+    indices[field] = index;
+  }
+
+  if (missing.length > 0) {
+    throw new ColumnResolutionError(
+      `Sheet "${sheet}" is missing configured column(s): ${missing.join(', ')}. ` +
+        `Found headers: ${JSON.stringify(header)}. Update the sheet or the column schema.`,
+      { sheet, missing, header }
+    );
+  }
+
+  return indices;
+}
+
+/**
+ * Column indices for the Mapping (roster) sheet
+ */
+export function resolveMappingColumns(header, schema = getColumnSchema()) {
+  return resolveColumns(header, schema.mapping.columns, schema.mapping.sheet);
+}
+
+/**
+ * Column indices for the Aliases sheet (old or mistyped username -> Mapping username)
+ */
+export function resolveAliasColumns(header, schema = getColumnSchema()) {
+  return resolveColumns(header, schema.aliases.columns, schema.aliases.sheet);
+}
+
+/**
+ * Column indices for a test sheet, applying that test's overrides
+ */
+export function resolveTestColumns(header, sheetName, schema = getColumnSchema()) {
+  const overrides = schema.tests.overrides[sheetName]?.columns || {};
+  return resolveColumns(header, { ...schema.tests.columns, ...overrides }, sheetName);
+}
@@ -0,0 +1,254 @@
+/**
+ * Data Quality Audit
+ * Scans the Mapping sheet and every test sheet for problems that make the
+ * dashboards wrong, using the same parsing as the dashboards themselves.
+ * Every issue points at a sheet, a row and (where it applies) a cell.
+ */
+
+import { schemaOf, resolveTestColumns, ColumnResolutionError } from './columnResolver.js';
+import { listTests } from './testConfig.js';
+import { readMapping, cellValue, buildIdentityIndex } from './sheetsService.js';
+import { parseScore, resolveScoring, scoringColumns } from './scoring.js';
+import { SheetReadError, columnLetter } from './dataSources.js';
+import { matchTestRows } from './identity.js';
+
+const CATEGORIES = {
+  unreadable_sheet: { label: 'Sheets that could not be read', severity: 'error' },
+  missing_columns: { label: 'Missing configured columns', severity: 'error' },
+  duplicate_username: { label: 'Duplicate usernames in Mapping', severity: 'error' },
+  multiple_schools: { label: 'Students listed under more than one school code', severity: 'error' },
+  empty_school_code: { label: 'Empty school codes in Mapping', severity: 'error' },
+  empty_username: { label: 'Mapping rows without a username', severity: 'warning' },
+  ambiguous_username: { label: 'Usernames that differ only in case or spacing', severity: 'error' },
+  invalid_alias: { label: 'Invalid rows in the Aliases sheet', severity: 'error' },
+  unknown_learner: { label: 'Learners not found in Mapping', severity: 'error' },
+  ambiguous_match: { label: 'Test rows that could belong to more than one student', severity: 'error' },
+  duplicate_learner: { label: 'Learners appearing more than once in a test', severity: 'warning' },
+  empty_learner_details: { label: 'Test rows without learner details', severity: 'warning' },
+  non_numeric_score: { label: 'Non-numeric values in score columns', severity: 'error' },
+};
+
+/**
+ * A1 reference for a zero-based column index and a zero-based row index in the sheet data
+ */
+function cellRef(columnIndex, rowIndex) {
+  return `${columnLetter(columnIndex + 1)}${rowIndex + 1}`;
+}
+
+function auditMapping(header, rows, columns, sheet, report) {
+  // username -> [{ rowIndex, schoolCode }]
+  const seen = new Map();
+
+  rows.forEach((row, idx) => {
+    if (!row || row.every(cell => !cell?.toString().trim())) return;
+    const rowIndex = idx + 1; // header is row 0
+
+    const userName = cellValue(row, columns.userName);
+    const schoolCode = cellValue(row, columns.schoolCode);
+
+    if (!userName) {
+      report('empty_username', {
+        sheet,
+        row: rowIndex + 1,
+        cell: cellRef(columns.userName, rowIndex),
+        message: `Row has data but no ${header[columns.userName]}`,
+      });
+      return;
+    }
+
+    if (!schoolCode) {
+      report('empty_school_code', {
+        sheet,
+        row: rowIndex + 1,
+        cell: cellRef(columns.schoolCode, rowIndex),
+        value: userName,
+        message: `${userName} has no ${header[columns.schoolCode]}`,
+      });
+    }
+
+    if (!seen.has(userName)) seen.set(userName, []);
+    seen.get(userName).push({ rowIndex, schoolCode });
+  });
+
+  for (const [userName, entries] of seen) {
+    if (entries.length < 2) continue;
+    const rowNumbers = entries.map(e => e.rowIndex + 1);
+    const schoolCodes = [...new Set(entries.map(e => e.schoolCode).filter(Boolean))];
+
+    report('duplicate_username', {
+      sheet,
+      row: rowNumbers[0],
+      rows: rowNumbers,
+      cells: entries.map(e => cellRef(columns.userName, e.rowIndex)),
+      value: userName,
+      message: `${userName} appears ${entries.length} times (rows ${rowNumbers.join(', ')})`,
+    });
+
+    if (schoolCodes.length > 1) {
+      report('multiple_schools', {
+        sheet,
+        row: rowNumbers[0],
+        rows: rowNumbers,
+        cells: entries.map(e => cellRef(columns.schoolCode, e.rowIndex)),
+        value: userName,
+        message: `${userName} is listed under school codes ${schoolCodes.join(', ')}`,
+      });
+    }
+  }
+}
+
+function auditTestSheet(test, testData, index, schema, report) {
+  const sheet = test.sheetName;
+  const header = testData[0];
+
+  let columns;
+  try {
+    columns = resolveTestColumns(header, sheet, schema);
+  } catch (error) {
+    if (!(error instanceof ColumnResolutionError)) throw error;
+    report('missing_columns', { sheet, row: 1, message: error.message });
+    return;
+  }
+
+  const scoring = resolveScoring(header, test);
+  for (const name of scoring.missing) {
+    report('missing_columns', { sheet, row: 1, message: `Column "${name}" from the Config sheet is not in ${sheet}` });
+  }
+  if (!scoring.scoreColumn && scoring.sections.length === 0) {
+    report('missing_columns', { sheet, row: 1, message: `${sheet} has no score column. Set its Score Column in the Config sheet` });
+  }
+  const scoreIndices = scoringColumns(scoring);
+
+  for (let i = 1; i < testData.length; i++) {
+    const row = testData[i];
+    if (!row || row.every(cell => !cell?.toString().trim())) continue;
+
+    if (!cellValue(row, columns.learnerDetails)) {
+      report('empty_learner_details', {
+        sheet,
+        row: i + 1,
+        cell: cellRef(columns.learnerDetails, i),
+        message: `Row has data but no ${header[columns.learnerDetails]}`,
+      });
+    }
+
+    for (const idx of scoreIndices) {
+      const value = row[idx]?.toString().trim() || '';
+      if (value && parseScore(value) === null) {
+        report('non_numeric_score', {
+          sheet,
+          row: i + 1,
+          cell: cellRef(idx, i),
+          value,
+          message: `"${value}" in ${header[idx]} is not a number`,
+        });
+      }
+    }
+  }
+
+  // Learners are matched to Mapping exactly as the dashboards do (see identity.js)
+  if (!index) return;
+  const { ambiguous, unmatched } = matchTestRows(index, testData, columns);
+
+  for (const { rowNumber, value } of unmatched) {
+    report('unknown_learner', {
+      sheet,
+      row: rowNumber,
+      cell: cellRef(columns.learnerDetails, rowNumber - 1),
+      value,
+      message: `"${value}" does not match any username in Mapping or the Aliases sheet`,
+    });
+  }
+
+  for (const { type, rows, value, reason } of ambiguous) {
+    report(type === 'duplicate' ? 'duplicate_learner' : 'ambiguous_match', {
+      sheet,
+      row: rows[0],
+      rows,
+      value,
+      message: reason,
+    });
+  }
+}
+
+/**
+ * Audit the whole spreadsheet and return issues grouped by category
+ */
+export async function auditDataQuality(source) {
+  const issues = Object.fromEntries(Object.keys(CATEGORIES).map(id => [id, []]));
+  const report = (category, issue) => issues[category].push(issue);
+
+  const schema = schemaOf(source);
+  const mappingSheet = schema.mapping.sheet;
+  let mappingRows = 0;
+
+  try {
+    const { header, rows, columns } = await readMapping(source);
+    mappingRows = rows.length;
+    if (columns) {
+      auditMapping(header, rows, columns, mappingSheet, report);
+    } else {
+      report('missing_columns', { sheet: mappingSheet, row: 1, message: `${mappingSheet} sheet is empty or could not be read` });
+    }
+  } catch (error) {
+    if (error instanceof SheetReadError) {
+      report('unreadable_sheet', { sheet: mappingSheet, message: error.message });
+    } else if (error instanceof ColumnResolutionError) {
+      report('missing_columns', { sheet: mappingSheet, row: 1, message: error.message });
+    } else {
+      throw error;
+    }
+  }
+
+  // Aliases and usernames that cannot be told apart
+  let index = null;
+  try {
+    index = await buildIdentityIndex(source);
+    for (const { type, sheet, rows, value, message } of index.issues) {
+      report(type, { sheet, row: rows?.[0] ?? null, value, message });
+    }
+  } catch (error) {
+    if (error instanceof SheetReadError && error.sheet !== mappingSheet) {
+      report('unreadable_sheet', { sheet: error.sheet, message: error.message });
+    } else if (error instanceof ColumnResolutionError && error.sheet !== mappingSheet) {
+      report('missing_columns', { sheet: error.sheet, row: 1, message: error.message });
+    } else if (!(error instanceof SheetReadError || error instanceof ColumnResolutionError)) {
+      throw error;
+    }
+  }
+
+  const tests = await listTests(source);
+  const testData = await source.readSheets(tests.map(test => test.sheetName));
+  const sheetsScanned = [{ sheet: mappingSheet, rows: mappingRows }];
+
+  for (const test of tests) {
+    const data = testData.get(test.sheetName) || [];
+    if (data instanceof SheetReadError) {
+      sheetsScanned.push({ sheet: test.sheetName, rows: null, error: data.message });
+      report('unreadable_sheet', { sheet: test.sheetName, message: `${data.message}. The sheet was not audited.` });
+      continue;
+    }
+    sheetsScanned.push({ sheet: test.sheetName, rows: Math.max(data.length - 1, 0) });
+    if (data.length === 0) continue;
+    auditTestSheet(test, data, index, schema, report);
+  }
+
+  const categories = Object.entries(CATEGORIES).map(([id, { label, severity }]) => ({
+    id,
+    label,
+    severity,
+    count: issues[id].length,
+    issues: issues[id],
+  }));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    sheetsScanned,
+    summary: {
+      totalIssues: categories.reduce((sum, c) => sum + c.count, 0),
+      errors: categories.filter(c => c.severity === 'error').reduce((sum, c) => sum + c.count, 0),
+      warnings: categories.filter(c => c.severity === 'warning').reduce((sum, c) => sum + c.count, 0),
+    },
+    categories,
+  };
+}
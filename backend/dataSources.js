@@ -0,0 +1,388 @@
+/**
+ * Data Sources
+ * A data source exposes a spreadsheet as a set of named sheets, so the
+ * dashboard logic does not care where the rows come from.
+ *
+ * Every adapter implements:
+ *   - listSheets(): Promise<string[]>          names of all sheets
+ *   - readSheet(sheetName): Promise<string[][]> all rows of a sheet (first row is the header)
+ *   - readSheets(sheetNames): Promise<Map<string, string[][] | SheetReadError>>
+ *                                              several sheets, in one call where the backend allows it
+ *   - columnSchema                             the cohort's column schema (optional, see columnResolver.js)
+ *   - invalidate()                             forget what the adapter keeps between reads (optional)
+ *   - results                                  typed result tables (SQLite mirror only, see resultTables.js)
+ *
+ * An empty sheet is [] (no rows). A sheet that could not be read is a
+ * SheetReadError: readSheet rejects with it, and readSheets maps the sheet to
+ * it so the other sheets still load. Use sheetRows() to unwrap readSheets results.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import XLSX from 'xlsx';
+import { errorStatus, isRetryableError } from './sheetsClient.js';
+
+const LOCAL_FILE_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+
+// Ranges per values.batchGet call, keeps the request URL within limits
+const BATCH_GET_CHUNK_SIZE = 50;
+
+// Cells per values request. Larger sheets are read in several row ranges.
+const CELLS_PER_REQUEST = 200000;
+
+// Sheets larger than this are reported as unreadable rather than returned truncated
+const DEFAULT_MAX_CELLS_PER_SHEET = 5000000;
+
+/**
+ * A sheet that could not be read, as opposed to a sheet that is empty
+ */
+export class SheetReadError extends Error {
+  constructor(sheetName, message, { status = null, retryable = false } = {}) {
+    super(`Sheet "${sheetName}" could not be read: ${message}`);
+    this.name = 'SheetReadError';
+    this.sheet = sheetName;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+export function toSheetReadError(sheetName, error) {
+  if (error instanceof SheetReadError) return error;
+  return new SheetReadError(sheetName, error.response?.data?.error?.message || error.message, {
+    status: errorStatus(error),
+    retryable: isRetryableError(error),
+  });
+}
+
+/**
+ * Wait for per-sheet read promises ([name, promise] pairs). Sheets that failed
+ * map to their SheetReadError.
+ */
+export async function settleSheetReads(reads) {
+  // Handle every promise up front, so a failure is never an unhandled rejection
+  const settled = [...reads].map(([name, promise]) => Promise.resolve(promise).then(
+    rows => [name, rows],
+    error => [name, toSheetReadError(name, error)]
+  ));
+  return new Map(await Promise.all(settled));
+}
+
+/**
+ * Rows of one sheet from a readSheets() result. Throws its SheetReadError if it failed to load.
+ */
+export function sheetRows(results, sheetName) {
+  const value = results.get(sheetName);
+  if (value instanceof SheetReadError) throw value;
+  return value || [];
+}
+
+/**
+ * Column letters for a 1-based column number (1 -> A, 27 -> AA)
+ */
+export function columnLetter(column) {
+  let letters = '';
+  for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+/**
+ * A1 range for part of a sheet, with the sheet name quoted so spaces and quotes are safe
+ */
+function a1Range(sheetName, firstRow, lastRow, columnCount) {
+  return `'${sheetName.replace(/'/g, "''")}'!A${firstRow}:${columnLetter(columnCount)}${lastRow}`;
+}
+
+/**
+ * Row ranges covering a sheet's whole grid, each at most CELLS_PER_REQUEST cells
+ */
+function gridRanges(sheetName, { rowCount, columnCount }) {
+  const rowsPerRange = Math.max(1, Math.floor(CELLS_PER_REQUEST / columnCount));
+  const ranges = [];
+  for (let first = 1; first <= rowCount; first += rowsPerRange) {
+    const last = Math.min(rowCount, first + rowsPerRange - 1);
+    ranges.push({ sheetName, range: a1Range(sheetName, first, last, columnCount), rowCount: last - first + 1 });
+  }
+  return ranges;
+}
+
+/**
+ * Join the values of a sheet's row ranges. The API leaves out trailing empty rows
+ * of each range, so every range but the last is padded back to its full height.
+ */
+function joinRanges(ranges, valuesByRange) {
+  const rows = [];
+  ranges.forEach((range, idx) => {
+    const values = valuesByRange[idx] || [];
+    rows.push(...values);
+    if (idx < ranges.length - 1) {
+      for (let i = values.length; i < range.rowCount; i++) rows.push([]);
+    }
+  });
+  while (rows.length > 0 && rows[rows.length - 1].length === 0) rows.pop();
+  return rows;
+}
+
+/**
+ * Data source backed by the Google Sheets API.
+ * `sheets` is a googleapis Sheets client, usually wrapped by createQuotaAwareSheetsClient.
+ *
+ * Each read first looks up the sheet's grid size (rows x columns) in the spreadsheet
+ * metadata and requests exactly that range, so no column or row is left out however
+ * wide the sheet is. Sheets over `maxCellsPerSheet` fail with a SheetReadError.
+ * The grid sizes are kept for `gridSizeTtlMs`, so reading a single sheet usually
+ * costs one values.get rather than a spreadsheets.get as well.
+ */
+export function createGoogleSheetsSource(sheets, spreadsheetId, {
+  columnSchema,
+  maxCellsPerSheet = DEFAULT_MAX_CELLS_PER_SHEET,
+  gridSizeTtlMs = 0,
+} = {}) {
+  if (!sheets || !spreadsheetId) {
+    throw new Error('Google Sheets API not initialized. Missing sheets client or spreadsheet ID.');
+  }
+
+  // sheet name -> { rowCount, columnCount }
+  const fetchGridSizes = async () => {
+    const response = await sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'sheets.properties(title,gridProperties(rowCount,columnCount))',
+    });
+    return new Map(response.data.sheets.map(sheet => [sheet.properties.title, {
+      rowCount: sheet.properties.gridProperties?.rowCount || 0,
+      columnCount: sheet.properties.gridProperties?.columnCount || 0,
+    }]));
+  };
+
+  // { promise, loadedAt } of the latest grid sizes
+  let cachedGridSizes = null;
+
+  // Grid sizes covering `sheetNames`, fetched again when they are older than
+  // gridSizeTtlMs or miss a sheet added since
+  const getGridSizes = async (sheetNames = []) => {
+    if (cachedGridSizes && Date.now() - cachedGridSizes.loadedAt < gridSizeTtlMs) {
+      const sizes = await cachedGridSizes.promise.catch(() => null);
+      if (sizes && sheetNames.every(name => sizes.has(name))) return sizes;
+    }
+
+    const entry = { promise: fetchGridSizes(), loadedAt: Date.now() };
+    cachedGridSizes = entry;
+    entry.promise.catch(() => {
+      if (cachedGridSizes === entry) cachedGridSizes = null;
+    });
+    return entry.promise;
+  };
+
+  // Row ranges to read for a sheet, or a SheetReadError when it cannot be read
+  const planRead = (sheetName, gridSizes) => {
+    const size = gridSizes.get(sheetName);
+    if (!size) {
+      return new SheetReadError(sheetName, 'no sheet with this name in the spreadsheet', { status: 404 });
+    }
+    const cells = size.rowCount * size.columnCount;
+    if (cells > maxCellsPerSheet) {
+      return new SheetReadError(
+        sheetName,
+        `${size.rowCount} rows x ${size.columnCount} columns is more than the ${maxCellsPerSheet} cell limit (SHEETS_MAX_CELLS_PER_SHEET), so it was not read rather than returned incomplete`
+      );
+    }
+    return cells > 0 ? gridRanges(sheetName, size) : [];
+  };
+
+  // Read one sheet's ranges, one values.get per range
+  const readRanges = async (sheetName, ranges) => {
+    const values = [];
+    for (const { range } of ranges) {
+      const response = await sheets.spreadsheets.values.get({ spreadsheetId, range });
+      values.push(response.data.values || []);
+    }
+    if (ranges.length > 1) {
+      console.log(`[DataSource] Read sheet ${sheetName} in ${ranges.length} parts`);
+    }
+    return joinRanges(ranges, values);
+  };
+
+  return {
+    type: 'google',
+    description: `Google Spreadsheet ${spreadsheetId}`,
+    columnSchema,
+
+    async listSheets() {
+      try {
+        return Array.from((await getGridSizes()).keys());
+      } catch (error) {
+        console.error('[DataSource] Error fetching sheet names:', error.message);
+        if (error.response) {
+          const status = error.response.status;
+          const message = error.response.data?.error?.message || error.message;
+          if (status === 403) {
+            throw new Error(`Permission denied (403): ${message}. Make sure the service account has access to the spreadsheet.`);
+          } else if (status === 404) {
+            throw new Error(`Spreadsheet not found (404): ${message}. Check that the spreadsheet ID is correct.`);
+          } else if (status === 401) {
+            throw new Error(`Authentication failed (401): ${message}. Check your service account credentials.`);
+          }
+          throw new Error(`Google Sheets API error (${status}): ${message}`);
+        }
+        throw new Error(`Failed to fetch sheet names: ${error.message}`);
+      }
+    },
+
+    async readSheet(sheetName) {
+      try {
+        const plan = planRead(sheetName, await getGridSizes([sheetName]));
+        if (plan instanceof SheetReadError) throw plan;
+        return await readRanges(sheetName, plan);
+      } catch (error) {
+        console.error(`[DataSource] Error reading sheet ${sheetName}:`, error.message);
+        throw toSheetReadError(sheetName, error);
+      }
+    },
+
+    async readSheets(sheetNames) {
+      const results = new Map();
+
+      let gridSizes;
+      try {
+        gridSizes = await getGridSizes(sheetNames);
+      } catch (error) {
+        console.error('[DataSource] Error fetching sheet sizes:', error.message);
+        return new Map(sheetNames.map(name => [name, toSheetReadError(name, error)]));
+      }
+
+      // Every range of every readable sheet, in sheet order
+      const plans = new Map();
+      const ranges = [];
+      for (const name of sheetNames) {
+        const plan = planRead(name, gridSizes);
+        if (plan instanceof SheetReadError) {
+          console.error(`[DataSource] Error reading sheet ${name}:`, plan.message);
+          results.set(name, plan);
+        } else {
+          plans.set(name, plan);
+          ranges.push(...plan);
+        }
+      }
+
+      // Batch ranges, at most BATCH_GET_CHUNK_SIZE ranges and about CELLS_PER_REQUEST cells per call
+      const batches = [];
+      let batch = [];
+      let batchCells = 0;
+      for (const range of ranges) {
+        const cells = range.rowCount * gridSizes.get(range.sheetName).columnCount;
+        if (batch.length > 0 && (batch.length >= BATCH_GET_CHUNK_SIZE || batchCells + cells > CELLS_PER_REQUEST)) {
+          batches.push(batch);
+          batch = [];
+          batchCells = 0;
+        }
+        batch.push(range);
+        batchCells += cells;
+      }
+      if (batch.length > 0) batches.push(batch);
+
+      const valuesByRange = new Map();
+      const failedSheets = new Set();
+      for (const current of batches) {
+        try {
+          const response = await sheets.spreadsheets.values.batchGet({
+            spreadsheetId,
+            ranges: current.map(r => r.range),
+          });
+          const valueRanges = response.data.valueRanges || [];
+          current.forEach((r, idx) => valuesByRange.set(r, valueRanges[idx]?.values || []));
+        } catch (error) {
+          // One bad range fails the whole batch, so read those sheets one by one below
+          console.error(`[DataSource] Batch read of ${current.length} ranges failed, reading their sheets individually:`, error.message);
+          current.forEach(r => failedSheets.add(r.sheetName));
+        }
+      }
+
+      for (const [name, plan] of plans) {
+        if (!failedSheets.has(name)) {
+          results.set(name, joinRanges(plan, plan.map(r => valuesByRange.get(r))));
+        }
+      }
+
+      const retried = await settleSheetReads([...failedSheets].map(name => [name, readRanges(name, plans.get(name))]));
+      for (const [name, value] of retried) {
+        if (value instanceof SheetReadError) {
+          console.error(`[DataSource] Error reading sheet ${name}:`, value.message);
+        }
+        results.set(name, value);
+      }
+
+      // Keep the requested order
+      return new Map(sheetNames.map(name => [name, results.get(name)]));
+    },
+
+    invalidate() {
+      cachedGridSizes = null;
+    },
+  };
+}
+
+/**
+ * Data source backed by a local directory of CSV/XLSX files.
+ * Each file is one sheet, named after the file without its extension
+ * (e.g. "Mapping.csv" -> "Mapping"). For workbooks only the first worksheet is read.
+ */
+export function createLocalDirectorySource(directory, { columnSchema } = {}) {
+  const rootDir = path.resolve(directory);
+  if (!fs.existsSync(rootDir) || !fs.statSync(rootDir).isDirectory()) {
+    throw new Error(`Local data directory not found: ${rootDir}`);
+  }
+
+  // sheet name -> file path, rebuilt on every listing so new exports are picked up
+  const listFiles = () => {
+    const files = new Map();
+    for (const entry of fs.readdirSync(rootDir)) {
+      const ext = path.extname(entry).toLowerCase();
+      if (!LOCAL_FILE_EXTENSIONS.includes(ext) || entry.startsWith('~$')) continue;
+      const sheetName = path.basename(entry, path.extname(entry));
+      if (files.has(sheetName)) {
+        console.warn(`[DataSource] Multiple files for sheet "${sheetName}", using ${files.get(sheetName)}`);
+        continue;
+      }
+      files.set(sheetName, path.join(rootDir, entry));
+    }
+    return files;
+  };
+
+  return {
+    type: 'local',
+    description: `Local directory ${rootDir}`,
+    columnSchema,
+
+    async listSheets() {
+      return Array.from(listFiles().keys()).sort();
+    },
+
+    async readSheet(sheetName) {
+      const filePath = listFiles().get(sheetName);
+      if (!filePath) {
+        console.error(`[DataSource] No file found for sheet ${sheetName} in ${rootDir}`);
+        throw new SheetReadError(sheetName, `no .csv/.xlsx/.xls file in ${rootDir}`);
+      }
+
+      try {
+        // raw: keep CSV cells as text so IDs like "0012" are not turned into numbers
+        const isCsv = path.extname(filePath).toLowerCase() === '.csv';
+        const workbook = XLSX.readFile(filePath, { raw: isCsv });
+        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+        if (!worksheet) return [];
+
+        const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: false, defval: '', blankrows: false });
+        // Match the Sheets API, which returns every cell as a string
+        return rows.map(row => row.map(cell => (cell === null || cell === undefined ? '' : cell.toString())));
+      } catch (error) {
+        console.error(`[DataSource] Error reading file ${filePath}:`, error);
+        throw new SheetReadError(sheetName, error.message);
+      }
+    },
+
+    async readSheets(sheetNames) {
+      return settleSheetReads(sheetNames.map(name => [name, this.readSheet(name)]));
+    },
+  };
+}
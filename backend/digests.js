@@ -0,0 +1,349 @@
+/**
+ * Coordinator Digests
+ * A weekly email to each school coordinator with the tests released since their
+ * last digest: attendance and average score of each test compared with the test
+ * before it, the students absent from it, and the students who missed several
+ * tests. Built from getSchoolStats and getAbsentees, so it agrees with the
+ * school dashboard.
+ *
+ * Recipients are the school users of the users file that have an "email". Mail
+ * goes out over plain SMTP (SMTP_HOST, SMTP_PORT, ...), rendered from the
+ * templates in ./templates. Every send is appended to a log file (DIGEST_LOG_PATH),
+ * which keeps a digest from going out twice in the same week and tells which
+ * tests each coordinator has already heard about.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Handlebars from 'handlebars';
+import nodemailer from 'nodemailer';
+import { getSchoolStats } from './sheetsService.js';
+import { getAbsentees } from './attendance.js';
+import { createRequestSnapshot } from './sheetCache.js';
+import { loadUsers } from './auth.js';
+import { ROLES } from './accessPolicy.js';
+
+const TEMPLATE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'templates');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// How often the scheduler checks whether a digest is due
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+// A digest missed by more than this (e.g. the server was down) waits for the next week
+const CATCH_UP_MS = 24 * 60 * 60 * 1000;
+
+export const SEND_STATUS = {
+  SENT: 'sent',
+  // No test since the last digest, nothing was sent this week
+  NOTHING_NEW: 'nothing-new',
+  FAILED: 'failed',
+};
+
+/**
+ * Digest settings from the environment. Read lazily, the environment is loaded
+ * after modules are imported.
+ */
+export function digestConfig() {
+  const dayName = (process.env.DIGEST_DAY || 'monday').toString().trim().toLowerCase();
+  const day = /^\d$/.test(dayName) ? Number(dayName) % 7 : DAYS.indexOf(dayName);
+  const hour = parseInt(process.env.DIGEST_HOUR || '7', 10);
+
+  return {
+    enabled: Boolean(process.env.SMTP_HOST),
+    day: day === -1 ? 1 : day,
+    hour: isNaN(hour) ? 7 : Math.min(23, Math.max(0, hour)),
+    from: process.env.DIGEST_FROM || process.env.SMTP_USER || 'school-dash@localhost',
+    logPath: process.env.DIGEST_LOG_PATH || './digest-log.jsonl',
+  };
+}
+
+/**
+ * Coordinators who get a digest: [{ username, name, email, schoolId, cohorts }]
+ */
+export function listRecipients() {
+  return loadUsers()
+    .filter(user => (user.role || ROLES.SCHOOL) === ROLES.SCHOOL && user.email && user.schoolCode)
+    .map(user => ({
+      username: user.username,
+      name: user.name || user.username,
+      email: user.email.toString().trim(),
+      schoolId: user.schoolCode.toString().trim(),
+      cohorts: Array.isArray(user.cohorts) && user.cohorts.length > 0 ? user.cohorts : null,
+    }));
+}
+
+/**
+ * The latest scheduled send time at or before `now` (DIGEST_DAY at DIGEST_HOUR, server time)
+ */
+export function latestSlot(now, { day, hour }) {
+  const slot = new Date(now);
+  slot.setHours(hour, 0, 0, 0);
+  slot.setDate(slot.getDate() - ((slot.getDay() - day + 7) % 7));
+  if (slot > now) slot.setDate(slot.getDate() - 7);
+  return slot;
+}
+
+// e.g. "2026-10-12", the week a digest belongs to
+const periodOf = (slot) =>
+  `${slot.getFullYear()}-${String(slot.getMonth() + 1).padStart(2, '0')}-${String(slot.getDate()).padStart(2, '0')}`;
+
+/**
+ * Every logged send, oldest first. Unreadable lines are skipped.
+ */
+export function readSendLog(logPath = digestConfig().logPath) {
+  if (!fs.existsSync(logPath)) return [];
+  return fs.readFileSync(logPath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        console.error(`[Digests] Skipping unreadable line in ${logPath}`);
+        return [];
+      }
+    });
+}
+
+function appendSendLog(logPath, entry) {
+  fs.appendFileSync(logPath, `${JSON.stringify(entry)}\n`);
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+const difference = (current, previous) =>
+  current !== null && current !== undefined && previous !== null && previous !== undefined ? round(current - previous) : null;
+
+/**
+ * The digest of a school: the tests not in `reportedTests` (sheet names), each
+ * compared with the test before it, with their absent students, and the chronic
+ * absentees. Returns { error, details } when the school cannot be read.
+ */
+export async function buildDigest(source, schoolId, { reportedTests = new Set() } = {}) {
+  const stats = await getSchoolStats(source, schoolId);
+  if (stats.error) return stats;
+  const absentees = await getAbsentees(source, schoolId);
+  if (absentees.error) return absentees;
+
+  const absenteesByTest = new Map(absentees.tests.map(test => [test.testName, test]));
+
+  // testStats is in test date order, so the test before each one is the previous test
+  const tests = stats.testStats
+    .map((test, i) => ({ test, previous: stats.testStats[i - 1] || null }))
+    .filter(({ test }) => !reportedTests.has(test.testName))
+    .map(({ test, previous }) => {
+      const testAbsentees = absenteesByTest.get(test.testName);
+      return {
+        testName: test.testName,
+        displayName: test.displayName || test.testName,
+        testDate: test.testDate,
+        totalStudents: test.totalStudents,
+        attendedCount: test.attendedCount,
+        attendancePercent: test.attendancePercent,
+        avgPercentage: test.avgPercentage,
+        previousTest: previous ? previous.displayName || previous.testName : null,
+        attendanceChange: difference(test.attendancePercent, previous?.attendancePercent),
+        avgPercentageChange: difference(test.avgPercentage, previous?.avgPercentage),
+        absent: testAbsentees?.absent || [],
+        needsReviewCount: testAbsentees?.needsReview.length || 0,
+      };
+    });
+
+  return {
+    schoolId,
+    schoolName: stats.schoolName,
+    udsieCode: stats.udsieCode,
+    totalStudents: stats.totalStudents,
+    tests,
+    minMissed: absentees.minMissed,
+    chronicAbsentees: absentees.chronicAbsentees,
+    warnings: [...stats.warnings, ...absentees.warnings.filter(w => !stats.warnings.some(s => s.sheet === w.sheet))],
+  };
+}
+
+let templates = null;
+
+function loadTemplates() {
+  if (templates) return templates;
+
+  const handlebars = Handlebars.create();
+  handlebars.registerHelper('percent', value => (value === null || value === undefined ? '-' : `${Number(value).toFixed(1)}%`));
+  handlebars.registerHelper('change', value => {
+    if (value === null || value === undefined) return '-';
+    return `${value > 0 ? '+' : ''}${Number(value).toFixed(1)} pts`;
+  });
+  handlebars.registerHelper('changeColor', value => {
+    if (!value) return '#666666';
+    return value > 0 ? '#2e7d32' : '#c62828';
+  });
+  handlebars.registerHelper('isOne', value => value === 1);
+  handlebars.registerHelper('isClass', value => Boolean(value) && value !== 'Unassigned');
+  handlebars.registerHelper('join', values => (values || []).join(', '));
+
+  const read = (name) => fs.readFileSync(path.join(TEMPLATE_DIR, name), 'utf8');
+  templates = {
+    html: handlebars.compile(read('digest.html.hbs')),
+    text: handlebars.compile(read('digest.txt.hbs'), { noEscape: true }),
+  };
+  return templates;
+}
+
+/**
+ * Subject, HTML and plain-text body of a digest
+ */
+export function renderDigest(digest, { recipientName = 'coordinator', cohortName = null, generatedAt = new Date() } = {}) {
+  const { html, text } = loadTemplates();
+  const subject = `Weekly digest: ${digest.schoolName || digest.schoolId}${cohortName ? ` (${cohortName})` : ''}`;
+  const context = { ...digest, subject, recipientName, cohortName, generatedAt: generatedAt.toISOString().slice(0, 10) };
+  return { subject, html: html(context), text: text(context) };
+}
+
+/**
+ * The next digest of a school, as its coordinators would get it: the tests not
+ * in a digest sent to any of them yet. Nothing is sent or logged.
+ */
+export async function previewDigest(source, schoolId, { cohort, now = new Date() }) {
+  const reportedTests = readSendLog()
+    .filter(entry => entry.status === SEND_STATUS.SENT && entry.cohortId === cohort.id && entry.schoolId === schoolId)
+    .flatMap(entry => entry.tests);
+  const digest = await buildDigest(source, schoolId, { reportedTests: new Set(reportedTests) });
+  if (digest.error) return digest;
+
+  const recipient = listRecipients().find(r => r.schoolId === schoolId);
+  return {
+    ...renderDigest(digest, { recipientName: recipient?.name, cohortName: cohort.name, generatedAt: now }),
+    recipients: listRecipients().filter(r => r.schoolId === schoolId).map(r => r.email),
+  };
+}
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const port = parseInt(process.env.SMTP_PORT || '587', 10);
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return transport;
+}
+
+let runInProgress = null;
+
+/**
+ * Send the digests of the latest scheduled week that have not gone out yet.
+ * A coordinator gets one digest per cohort that has new tests for their school;
+ * failed sends are retried at the next run. Returns the log entries written.
+ */
+export function runDigests(cohorts, { now = new Date() } = {}) {
+  if (!runInProgress) {
+    runInProgress = sendDueDigests(cohorts, now).finally(() => {
+      runInProgress = null;
+    });
+  }
+  return runInProgress;
+}
+
+async function sendDueDigests(cohorts, now) {
+  const config = digestConfig();
+  const period = periodOf(latestSlot(now, config));
+  const log = readSendLog(config.logPath);
+  const done = log.filter(entry => entry.status !== SEND_STATUS.FAILED);
+
+  const recipients = listRecipients();
+  const written = [];
+
+  for (const cohort of cohorts.listDefaultFirst()) {
+    if (!cohort.dataSource) continue;
+    // One snapshot per cohort, every sheet is read once for all of its schools
+    const source = createRequestSnapshot(cohort.dataSource);
+
+    for (const recipient of recipients) {
+      if (recipient.cohorts && !recipient.cohorts.includes(cohort.id)) continue;
+
+      const previous = done.filter(entry =>
+        entry.cohortId === cohort.id && entry.schoolId === recipient.schoolId && entry.email === recipient.email);
+      if (previous.some(entry => entry.period === period)) continue;
+
+      const entry = {
+        period,
+        cohortId: cohort.id,
+        schoolId: recipient.schoolId,
+        username: recipient.username,
+        email: recipient.email,
+      };
+
+      try {
+        const digest = await buildDigest(source, recipient.schoolId, {
+          reportedTests: new Set(previous.flatMap(e => e.tests)),
+        });
+        // Schools of other cohorts are not in this one; read errors are retried at the next check
+        if (digest.error) continue;
+
+        if (digest.tests.length === 0) {
+          Object.assign(entry, { status: SEND_STATUS.NOTHING_NEW, tests: [], loggedAt: new Date().toISOString() });
+          appendSendLog(config.logPath, entry);
+          written.push(entry);
+          continue;
+        }
+
+        const { subject, html, text } = renderDigest(digest, {
+          recipientName: recipient.name,
+          cohortName: cohort.name,
+          generatedAt: now,
+        });
+        const info = await getTransport().sendMail({ from: config.from, to: recipient.email, subject, html, text });
+
+        Object.assign(entry, {
+          status: SEND_STATUS.SENT,
+          tests: digest.tests.map(test => test.testName),
+          messageId: info.messageId,
+          loggedAt: new Date().toISOString(),
+        });
+        console.log(`[Digests] Sent ${period} digest for ${recipient.schoolId} (${cohort.id}) to ${recipient.email}: ${digest.tests.length} new tests`);
+      } catch (error) {
+        Object.assign(entry, {
+          status: SEND_STATUS.FAILED,
+          error: error.message,
+          loggedAt: new Date().toISOString(),
+        });
+        console.error(`[Digests] Digest for ${recipient.schoolId} (${cohort.id}) to ${recipient.email} failed:`, error.message);
+      }
+
+      appendSendLog(config.logPath, entry);
+      written.push(entry);
+    }
+  }
+
+  return written;
+}
+
+/**
+ * Check every few minutes whether this week's digests are due, and send them.
+ * Does nothing unless SMTP_HOST is set.
+ */
+export function startDigestSchedule(cohorts) {
+  const config = digestConfig();
+  if (!config.enabled) {
+    console.log('   Digests: off (set SMTP_HOST to send weekly digests to coordinators)');
+    return null;
+  }
+  console.log(`   Digests: ${DAYS[config.day]} at ${config.hour}:00 to ${listRecipients().length} coordinators, log ${config.logPath}`);
+
+  const check = () => {
+    const now = new Date();
+    if (now - latestSlot(now, config) > CATCH_UP_MS) return;
+    runDigests(cohorts, { now }).catch(error => {
+      console.error('[Digests] Digest run failed:', error.message);
+    });
+  };
+
+  check();
+  const timer = setInterval(check, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
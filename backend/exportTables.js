@@ -0,0 +1,175 @@
+/**
+ * Export Tables
+ * The CSV/XLSX form of the dashboard APIs, as tables of { name, header, rows } for
+ * tableExport.js. Each table is built from the JSON response of its API, so an
+ * export holds the same students, matches and scores as the dashboard. Student
+ * rows carry the school name, OpenGrad school code, UDSIE code and EMIS ID.
+ */
+
+const STUDENT_HEADER = ['Username', 'Student Name', 'Class', 'School Name', 'OpenGrad School Code', 'UDSIE Code', 'EMIS ID'];
+
+const SCHOOL_HEADER = ['School Name', 'OpenGrad School Code', 'UDSIE Code'];
+
+const studentCells = (student) => [
+  student.studentId,
+  student.studentName,
+  student.className,
+  student.schoolName,
+  student.schoolCode,
+  student.udsieCode,
+  student.emisId,
+];
+
+/**
+ * Tests and top performers of a school (getSchoolStats)
+ */
+export function schoolStatsTables(result) {
+  const school = [result.schoolName, result.schoolId, result.udsieCode];
+
+  const tests = {
+    name: 'Tests',
+    header: [
+      ...SCHOOL_HEADER, 'Test', 'Subject', 'Test Date', 'Total Students', 'Attended', 'Attendance %',
+      'Scored', 'Average Score', 'Max Marks', 'Average %', 'Average Normalized Score', 'Passed', 'Weakest Section',
+    ],
+    rows: result.testStats.map(test => [
+      ...school,
+      test.displayName,
+      test.subject,
+      test.testDate,
+      test.totalStudents,
+      test.attendedCount,
+      test.attendancePercent,
+      test.scoredCount,
+      test.avgScore,
+      test.maxMarks,
+      test.avgPercentage,
+      test.avgNormalizedScore,
+      test.passCount,
+      test.weakestSection?.name,
+    ]),
+  };
+
+  const topPerformers = {
+    name: 'Top Performers',
+    header: [...SCHOOL_HEADER, 'Test', 'Rank', 'Username', 'Student Name', 'EMIS ID', 'Score', 'Percentage', 'Normalized Score'],
+    rows: result.testStats.flatMap(test => test.topPerformers.map((performer, i) => [
+      ...school,
+      test.displayName,
+      i + 1,
+      performer.studentId,
+      performer.studentName,
+      performer.emisId,
+      performer.score,
+      performer.percentage,
+      performer.normalizedScore,
+    ])),
+  };
+
+  return [tests, topPerformers];
+}
+
+/**
+ * Attendance matrix of a school (getAttendanceMatrix): a row per student, a column per test
+ */
+export function attendanceTable(result) {
+  return {
+    name: 'Attendance',
+    header: [...STUDENT_HEADER, ...result.tests.map(test => test.displayName), 'Tests Attended'],
+    rows: result.students.map(student => [...studentCells(student), ...student.attendance, student.attendedCount]),
+  };
+}
+
+/**
+ * Every absence (getAbsentees), one row per student and test
+ */
+export function absenteesTable(result) {
+  const missedCount = new Map();
+  for (const test of result.tests) {
+    for (const student of test.absent) {
+      missedCount.set(student.studentId, (missedCount.get(student.studentId) || 0) + 1);
+    }
+  }
+
+  return {
+    name: 'Absences',
+    header: ['Test', 'Test Date', ...STUDENT_HEADER, 'Tests Missed'],
+    rows: result.tests.flatMap(test => test.absent.map(student => [
+      test.displayName,
+      test.testDate,
+      ...studentCells(student),
+      missedCount.get(student.studentId),
+    ])),
+  };
+}
+
+/**
+ * Chronic absentees (getAbsentees), one row per student
+ */
+export function chronicAbsenteesTable(result) {
+  return {
+    name: 'Chronic Absentees',
+    header: [...STUDENT_HEADER, 'Tests Missed', 'Missed Tests'],
+    rows: result.chronicAbsentees.map(student => [
+      ...studentCells(student),
+      student.missedCount,
+      student.missedTests.join('; '),
+    ]),
+  };
+}
+
+/**
+ * A test sheet with the Mapping columns added (enrichTestSheet)
+ */
+export function enrichedTestTable(testName, data) {
+  return { name: testName, header: data[0] || [], rows: data.slice(1) };
+}
+
+const sectionText = (sections) => Object.entries(sections || {})
+  .filter(([, value]) => value !== null)
+  .map(([name, value]) => `${name}: ${value}`)
+  .join('; ');
+
+/**
+ * Every result of a student in every cohort (the student history), one row per test
+ */
+export function studentHistoryTable(history) {
+  const rows = [];
+  for (const entry of history.cohorts) {
+    if (entry.error) continue;
+    const { student } = entry;
+    for (const test of entry.tests) {
+      rows.push([
+        entry.cohort.name,
+        student.studentId,
+        student.studentName,
+        student.schoolName,
+        student.schoolId,
+        student.udsieCode,
+        student.emisId,
+        test.displayName,
+        test.subject,
+        test.testDate,
+        test.status === 'Ambiguous' ? 'Needs review' : test.status,
+        test.score?.raw,
+        test.score?.maxMarks,
+        test.score?.percentage,
+        test.score?.normalizedScore,
+        test.score?.percentileRank?.school,
+        test.schoolAverage?.avgPercentage,
+        test.progress?.change,
+        sectionText(test.score?.sections),
+      ]);
+    }
+  }
+
+  return {
+    name: 'Results',
+    header: [
+      'Cohort', 'Username', 'Student Name', 'School Name', 'OpenGrad School Code', 'UDSIE Code', 'EMIS ID',
+      'Test', 'Subject', 'Test Date', 'Status', 'Score', 'Max Marks', 'Percentage', 'Normalized Score',
+      'School Percentile', 'School Average %', 'Change', 'Sections',
+    ],
+    rows,
+  };
+}
@@ -0,0 +1,14 @@
+/**
+ * Print a password hash for the users file
+ * Usage: npm run hash-password -- <password>
+ */
+
+import { hashPassword } from './auth.js';
+
+const password = process.argv[2];
+if (!password) {
+  console.error('Usage: npm run hash-password -- <password>');
+  process.exit(1);
+}
+
+console.log(hashPassword(password));
@@ -0,0 +1,245 @@
+/**
+ * Student Identity
+ * Decides which Mapping student a test sheet row belongs to. A row matches a
+ * student only by one of these methods, recorded on every match:
+ *
+ * - exact:  the Learner Details cell is the student's username
+ * - email:  the Learner Details cell is an email whose part before "@" is the username
+ * - alias:  that value is listed in the Aliases sheet for the student's username
+ * - emisId: the row's EMIS ID (when the test sheet has that column) is the student's EMIS ID
+ *
+ * Usernames are compared ignoring case and spaces, never by partial match. When the
+ * test sheet also has EMIS ID or UDSIE code columns, they must agree with Mapping.
+ * A row that could belong to more than one student, or a student with more than
+ * one row in a test, is reported as ambiguous and left out rather than guessed.
+ */
+
+export const MATCH_METHODS = {
+  EXACT: 'exact',
+  EMAIL: 'email',
+  ALIAS: 'alias',
+  EMIS_ID: 'emisId',
+};
+
+/**
+ * Comparable form of a username or Learner Details value: the part before "@",
+ * without spaces, upper case
+ */
+export function normalizeUsername(value) {
+  if (value === null || value === undefined) return '';
+  const str = value.toString().trim();
+  const atIndex = str.indexOf('@');
+  return (atIndex !== -1 ? str.substring(0, atIndex) : str).replace(/\s+/g, '').toUpperCase();
+}
+
+const normalizeCode = (value) => (value ?? '').toString().replace(/\s+/g, '').toUpperCase();
+
+const ambiguous = (reason, candidates) => ({ ambiguous: true, reason, candidates });
+
+// One student, or an ambiguity when the candidates are several students
+function pick(userNames, method, what, studentOf) {
+  if (userNames.length > 1) {
+    return ambiguous(`${what} matches more than one student: ${userNames.join(', ')}`, userNames);
+  }
+  return { student: studentOf(userNames[0]), method };
+}
+
+/**
+ * Resolve a username or Learner Details value from the usernames its normalized
+ * form is (`userNames`) or is an alias of (`aliasOf`); `studentOf(userName)` gives
+ * the student. Returns what the index's resolveUsername does.
+ */
+export function resolveUsernameValue(value, { userNames = [], aliasOf = [] }, studentOf) {
+  if (userNames.length > 0) {
+    const method = value.toString().includes('@') ? MATCH_METHODS.EMAIL : MATCH_METHODS.EXACT;
+    return pick(userNames, method, `"${value}"`, studentOf);
+  }
+  if (aliasOf.length > 0) {
+    return pick(aliasOf, MATCH_METHODS.ALIAS, `Alias "${value}"`, studentOf);
+  }
+  return null;
+}
+
+function addTo(map, key, value) {
+  if (!key) return;
+  if (!map.has(key)) map.set(key, []);
+  if (!map.get(key).includes(value)) map.get(key).push(value);
+}
+
+/**
+ * Build the identity index.
+ *
+ * `students` are Mapping rows ({ userName, studentName, schoolName, schoolCode, udsieCode, emisId, row })
+ * and `aliases` are Aliases rows ({ alias, userName, row }). Returns:
+ *   - students: Map of username -> student (the first Mapping row of each username)
+ *   - issues:   problems with the roster or alias table, each { type, sheet, rows, value, message }
+ *   - resolveUsername(value): { student, method } | { ambiguous: true, reason, candidates } | null
+ *   - resolveRow({ learnerDetails, emisId, udsieCode }): the same, for a test sheet row
+ *   - keys:     { userNames, aliases }, Maps of normalized username or alias -> usernames
+ */
+export function createIdentityIndex(students, aliases = [], { mappingSheet = 'Mapping', aliasSheet = 'Aliases' } = {}) {
+  const issues = [];
+  const byUserName = new Map(); // normalized username -> usernames
+  const byEmisId = new Map(); // EMIS ID -> usernames
+  const canonical = new Map(); // username -> student
+
+  for (const student of students) {
+    if (!canonical.has(student.userName)) {
+      canonical.set(student.userName, student);
+    }
+    addTo(byUserName, normalizeUsername(student.userName), student.userName);
+    addTo(byEmisId, normalizeCode(student.emisId), student.userName);
+  }
+
+  // Usernames that differ only in case or spacing are different students we cannot tell apart
+  for (const [key, userNames] of byUserName) {
+    if (userNames.length > 1) {
+      issues.push({
+        type: 'ambiguous_username',
+        sheet: mappingSheet,
+        value: key,
+        message: `Usernames ${userNames.join(', ')} only differ in case or spacing`,
+      });
+    }
+  }
+
+  // normalized alias -> usernames
+  const aliasTargets = new Map();
+  for (const { alias, userName, row } of aliases) {
+    const key = normalizeUsername(alias);
+    if (!key || !userName) {
+      issues.push({ type: 'invalid_alias', sheet: aliasSheet, rows: [row], value: alias || userName, message: 'Alias row needs both an alias and a username' });
+      continue;
+    }
+    const targets = byUserName.get(normalizeUsername(userName));
+    if (!targets) {
+      issues.push({ type: 'invalid_alias', sheet: aliasSheet, rows: [row], value: alias, message: `Alias "${alias}" points to "${userName}", which is not in ${mappingSheet}` });
+      continue;
+    }
+    if (byUserName.has(key) && !byUserName.get(key).includes(targets[0])) {
+      issues.push({ type: 'invalid_alias', sheet: aliasSheet, rows: [row], value: alias, message: `Alias "${alias}" is itself a username in ${mappingSheet}, so it is ignored` });
+      continue;
+    }
+    targets.forEach(target => addTo(aliasTargets, key, target));
+  }
+
+  for (const [key, userNames] of aliasTargets) {
+    if (userNames.length > 1) {
+      issues.push({
+        type: 'invalid_alias',
+        sheet: aliasSheet,
+        value: key,
+        message: `Alias "${key}" points to more than one student: ${userNames.join(', ')}`,
+      });
+    }
+  }
+
+  const studentOf = (userName) => canonical.get(userName);
+
+  const resolveUsername = (value) => {
+    const key = normalizeUsername(value);
+    if (!key) return null;
+    return resolveUsernameValue(value, { userNames: byUserName.get(key), aliasOf: aliasTargets.get(key) }, studentOf);
+  };
+
+  const resolveRow = ({ learnerDetails, emisId, udsieCode }) => {
+    let result = resolveUsername(learnerDetails);
+    const rowEmisId = normalizeCode(emisId);
+
+    if (!result && rowEmisId && byEmisId.has(rowEmisId)) {
+      result = pick(byEmisId.get(rowEmisId), MATCH_METHODS.EMIS_ID, `EMIS ID ${emisId}`, studentOf);
+    }
+    if (!result || result.ambiguous) return result;
+
+    // Other identifiers on the row must not point somewhere else
+    const { student } = result;
+    if (rowEmisId && student.emisId && normalizeCode(student.emisId) !== rowEmisId) {
+      const others = byEmisId.get(rowEmisId) || [];
+      return ambiguous(
+        `"${learnerDetails}" is ${student.userName}, but EMIS ID ${emisId} ${others.length > 0 ? `belongs to ${others.join(', ')}` : `is not ${student.userName}'s (${student.emisId})`}`,
+        [student.userName, ...others]
+      );
+    }
+    if (normalizeCode(udsieCode) && student.udsieCode && normalizeCode(student.udsieCode) !== normalizeCode(udsieCode)) {
+      return ambiguous(
+        `"${learnerDetails}" is ${student.userName}, but UDSIE code ${udsieCode} is not their school's (${student.udsieCode})`,
+        [student.userName]
+      );
+    }
+    return result;
+  };
+
+  return {
+    students: canonical,
+    issues,
+    resolveUsername,
+    resolveRow,
+    keys: { userNames: byUserName, aliases: aliasTargets },
+  };
+}
+
+/**
+ * Match every row of a test sheet. `columns` are the resolved test columns
+ * (learnerDetails, and emisId / udsieCode when configured). Row numbers are
+ * spreadsheet row numbers (the header is row 1). Returns:
+ *   - matches:   Map of username -> { row, rowNumber, method }
+ *   - ambiguous: [{ type, rows, value, reason, candidates }], type "duplicate" when one
+ *                student has several rows, "ambiguous" when a row could be several students
+ *   - unmatched: [{ rowNumber, value }] rows with learner details that match no student
+ */
+export function matchTestRows(index, testData, columns) {
+  const cell = (row, idx) => (idx === undefined || idx === -1 ? '' : row?.[idx]?.toString().trim() || '');
+
+  const rowsByStudent = new Map();
+  const ambiguous = [];
+  const unmatched = [];
+
+  for (let i = 1; i < testData.length; i++) {
+    const row = testData[i];
+    if (!row || row.every(value => !value?.toString().trim())) continue;
+
+    const learnerDetails = cell(row, columns.learnerDetails);
+    const emisId = cell(row, columns.emisId);
+    const result = index.resolveRow({ learnerDetails, emisId, udsieCode: cell(row, columns.udsieCode) });
+
+    if (!result) {
+      if (learnerDetails || emisId) unmatched.push({ rowNumber: i + 1, value: learnerDetails || emisId });
+      continue;
+    }
+    if (result.ambiguous) {
+      ambiguous.push({ type: 'ambiguous', rows: [i + 1], value: learnerDetails || emisId, reason: result.reason, candidates: result.candidates });
+      continue;
+    }
+
+    const userName = result.student.userName;
+    if (!rowsByStudent.has(userName)) rowsByStudent.set(userName, []);
+    rowsByStudent.get(userName).push({ row, rowNumber: i + 1, method: result.method });
+  }
+
+  // Students an ambiguous row could belong to -> those rows
+  const contested = new Map();
+  for (const entry of ambiguous) {
+    entry.candidates.forEach(userName => addTo(contested, userName, entry.rows[0]));
+  }
+
+  const matches = new Map();
+  for (const [userName, rows] of rowsByStudent) {
+    const rowNumbers = rows.map(r => r.rowNumber);
+    if (rows.length > 1) {
+      ambiguous.push({ type: 'duplicate', rows: rowNumbers, value: userName, reason: `${userName} matches rows ${rowNumbers.join(', ')}`, candidates: [userName] });
+    } else if (contested.has(userName)) {
+      const others = contested.get(userName);
+      ambiguous.push({
+        type: 'ambiguous',
+        rows: [...rowNumbers, ...others],
+        value: userName,
+        reason: `${userName} matches row ${rowNumbers[0]}, and row${others.length > 1 ? 's' : ''} ${others.join(', ')} could also be theirs`,
+        candidates: [userName],
+      });
+    } else {
+      matches.set(userName, rows[0]);
+    }
+  }
+
+  return { matches, ambiguous, unmatched };
+}
@@ -0,0 +1,69 @@
+/**
+ * Live Updates
+ * Server-Sent Events streams of the changes to the test sheets (see
+ * changeWatcher.js) that concern one school or one student, so their dashboards
+ * can refresh the affected tests without a reload, e.g. to watch attendance
+ * climb on a test day.
+ *
+ * A school stream gets every change to the school's rows, with its row counts.
+ * A student stream only gets the names of released tests whose rows changed in
+ * the student's school, since students cannot read school figures.
+ */
+
+import { lastCheckedAt, subscribeToChanges } from './changeWatcher.js';
+import { readMapping, cellValue } from './sheetsService.js';
+
+// A comment line keeps proxies from closing an idle stream
+const HEARTBEAT_MS = 25000;
+
+/**
+ * School codes of a student's Mapping rows
+ */
+export async function studentSchoolCodes(source, studentId) {
+  const { rows, columns } = await readMapping(source);
+  return new Set(
+    (columns ? rows : [])
+      .filter(row => cellValue(row, columns.userName) === studentId)
+      .map(row => cellValue(row, columns.schoolCode))
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Stream the changes of a cohort that concern `schoolCodes` to `res` until the
+ * client disconnects. `forStudent` limits them to released tests and leaves out
+ * school figures. Events:
+ *   ready:  { cohortId, lastCheckedAt, pollIntervalSeconds }
+ *   change: { type, test: { name, displayName }, school: { schoolCode, rowCount, addedRows }, checkedAt }
+ */
+export function openLiveStream(req, res, { cohortId, schoolCodes, forStudent = false, pollIntervalSeconds }) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('ready', { cohortId, lastCheckedAt: lastCheckedAt(cohortId), pollIntervalSeconds });
+
+  const unsubscribe = subscribeToChanges(change => {
+    if (change.cohortId !== cohortId) return;
+    const school = change.schools.find(entry => schoolCodes.has(entry.schoolCode));
+    if (!school) return;
+
+    if (forStudent) {
+      // Students never hear of hidden tests, only of a released test being hidden or removed
+      if (!change.test.visible && !change.test.previouslyVisible) return;
+      send('change', { type: change.type, test: { name: change.test.name, displayName: change.test.displayName }, checkedAt: change.checkedAt });
+    } else {
+      send('change', { type: change.type, test: change.test, school, checkedAt: change.checkedAt });
+    }
+  });
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
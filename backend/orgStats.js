@@ -0,0 +1,154 @@
+/**
+ * Organization Statistics
+ * Attendance and average score for every school code in Mapping. Each school's
+ * students are those of its school dashboard (see getSchoolRoster), and test
+ * results are read once for all schools (see readCohortResults), so the figures
+ * match the school dashboard and use the SQLite result tables when there are some.
+ */
+
+import { SheetReadError } from './dataSources.js';
+import { summarizeScores } from './scoring.js';
+import { getSchoolRoster, listSchoolCodes, readCohortResults, sheetWarning } from './sheetsService.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+// Mean of the values that are set, or null when none are
+const averageOf = (values) => {
+  const set = values.filter(value => value !== null);
+  return set.length > 0 ? round(average(set)) : null;
+};
+
+/**
+ * Stats for every school, optionally limited to `schoolCodes` (a Set)
+ */
+export async function getOrgStats(source, { schoolCodes = null } = {}) {
+  // School IDs compare case-insensitively, as on the school dashboard
+  const codes = new Map();
+  for (const code of schoolCodes ? [...schoolCodes] : await listSchoolCodes(source)) {
+    const key = code.toString().trim().toUpperCase();
+    if (!codes.has(key)) codes.set(key, code);
+  }
+
+  // schoolCode -> { schoolCode, schoolName, totalStudents }, and the usernames of its students
+  const schools = new Map();
+  const userNamesOf = new Map();
+  for (const schoolCode of codes.values()) {
+    const roster = await getSchoolRoster(source, schoolCode);
+    if (roster.error) continue;
+
+    schools.set(schoolCode, {
+      schoolCode,
+      schoolName: roster.students[0].schoolName || schoolCode,
+      totalStudents: roster.students.length,
+    });
+    userNamesOf.set(schoolCode, new Set(roster.students.map(student => student.studentId)));
+  }
+  const allUserNames = new Set([...userNamesOf.values()].flatMap(userNames => [...userNames]));
+
+  console.log(`[OrgStats] Computing stats for ${schools.size} schools`);
+
+  const { tests, testResults } = await readCohortResults(source, { includeHidden: true });
+
+  // schoolCode -> [{ testName, attendedCount, attendancePercent, avgScore, avgPercentage, avgNormalizedScore, passCount }]
+  const schoolTests = new Map([...schools.keys()].map(code => [code, []]));
+  const testSummaries = [];
+  const warnings = [];
+  const ambiguousMatches = [];
+
+  for (const test of tests) {
+    const results = testResults.get(test.sheetName);
+    if (results instanceof SheetReadError) {
+      warnings.push(sheetWarning(results, 'This test is left out of the statistics.'));
+      continue;
+    }
+    if (!results) continue;
+
+    // Rows that could be one of these schools' students are reported, not counted
+    for (const { rows, value, reason, candidates } of results.ambiguous) {
+      if (candidates.some(userName => allUserNames.has(userName))) {
+        ambiguousMatches.push({ sheet: test.sheetName, rows, value, reason });
+      }
+    }
+
+    // schoolCode -> attendance and scores for this test
+    const matches = results.resultsOf(allUserNames);
+    const totals = new Map([...userNamesOf].map(([code, userNames]) => {
+      const attended = [...userNames].filter(userName => matches.has(userName));
+      // Attended without a score (blank or non-numeric cell) is not a 0
+      const scores = attended.map(userName => matches.get(userName).score).filter(Boolean);
+      return [code, { attended: attended.length, scores }];
+    }));
+
+    let orgAttended = 0;
+    const orgScores = [];
+
+    for (const [schoolCode, t] of totals) {
+      const school = schools.get(schoolCode);
+      const { avgScore, avgPercentage, avgNormalizedScore, passCount } = summarizeScores(t.scores, test.passThreshold);
+      schoolTests.get(schoolCode).push({
+        testName: test.sheetName,
+        attendedCount: t.attended,
+        attendancePercent: round((t.attended / school.totalStudents) * 100),
+        avgScore,
+        avgPercentage,
+        avgNormalizedScore,
+        passCount,
+      });
+      orgAttended += t.attended;
+      orgScores.push(...t.scores);
+    }
+
+    const orgSummary = summarizeScores(orgScores, test.passThreshold);
+
+    const orgStudents = [...schools.values()].reduce((sum, school) => sum + school.totalStudents, 0);
+    testSummaries.push({
+      testName: test.sheetName,
+      displayName: test.displayName,
+      subject: test.subject,
+      testDate: test.testDate,
+      maxMarks: test.maxMarks,
+      passThreshold: test.passThreshold,
+      visible: test.visible,
+      attendedCount: orgAttended,
+      attendancePercent: round(orgStudents > 0 ? (orgAttended / orgStudents) * 100 : 0),
+      avgScore: orgSummary.avgScore,
+      avgPercentage: orgSummary.avgPercentage,
+      avgNormalizedScore: orgSummary.avgNormalizedScore,
+    });
+  }
+
+  // Overall figures are the mean over tests, as on the school dashboard. Raw scores
+  // are only averaged per test, since tests can have different max marks.
+  const schoolStats = [...schools.values()].map(school => {
+    const perTest = schoolTests.get(school.schoolCode);
+    return {
+      ...school,
+      avgAttendance: round(average(perTest.map(t => t.attendancePercent))),
+      avgPercentage: averageOf(perTest.map(t => t.avgPercentage)),
+      avgNormalizedScore: averageOf(perTest.map(t => t.avgNormalizedScore)),
+      tests: perTest,
+    };
+  });
+
+  // Ranked by normalized score, which is comparable across tests with different max marks
+  const rank = (school) => school.avgNormalizedScore ?? -Infinity;
+  schoolStats.sort((a, b) => rank(b) - rank(a) || a.schoolCode.localeCompare(b.schoolCode));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    totalSchools: schoolStats.length,
+    totalStudents: schoolStats.reduce((sum, school) => sum + school.totalStudents, 0),
+    overallStats: {
+      avgAttendance: round(average(testSummaries.map(t => t.attendancePercent))),
+      avgPercentage: averageOf(testSummaries.map(t => t.avgPercentage)),
+      avgNormalizedScore: averageOf(testSummaries.map(t => t.avgNormalizedScore)),
+    },
+    tests: testSummaries,
+    schools: schoolStats,
+    partialData: warnings.length > 0,
+    warnings,
+    ambiguousMatches,
+  };
+}
@@ -0,0 +1,372 @@
+/**
+ * Report Card
+ * A printable PDF of one student's results, rendered on the server with PDFKit:
+ * the student's and school's identity from Mapping, attendance in every released
+ * test, scores against the school average, section scores and a trend chart of
+ * the normalized score. Built from getStudentTests and getTestDetails, so it
+ * shows what the student dashboard shows. The school summary is the PDF form of
+ * getSchoolStats, sent along with a school's report cards (see reportCardJobs.js).
+ *
+ * The built-in PDF fonts only cover Latin script. Set REPORT_FONT_PATH to a .ttf
+ * font (e.g. Noto Sans Tamil) when names are written in other scripts.
+ */
+
+import { PassThrough } from 'stream';
+import PDFDocument from 'pdfkit';
+import { getStudentTests, getTestDetails, readCohortResults } from './sheetsService.js';
+
+const PAGE_MARGIN = 50;
+const COLORS = {
+  text: '#333333',
+  muted: '#666666',
+  rule: '#dddddd',
+  header: '#f3f4fb',
+  student: '#667eea',
+  school: '#999999',
+};
+
+const STATUS_LABELS = {
+  Attended: 'Present',
+  Absent: 'Absent',
+  Ambiguous: 'Needs review',
+  Unknown: 'Unknown',
+};
+
+/**
+ * Everything on a student's report card: getStudentTests plus the section scores
+ * of each attended test. Returns { error } when the student is not found.
+ * Every test is read and matched once, or not at all when `cohortResults`
+ * (readCohortResults in sheetsService.js) is given.
+ */
+export async function getReportCard(source, studentId, { cohortResults = null } = {}) {
+  const shared = { cohortResults: cohortResults || await readCohortResults(source) };
+  const result = await getStudentTests(source, studentId, null, shared);
+  if (result.error) return result;
+
+  const sections = new Map();
+  for (const test of result.tests) {
+    if (test.status !== 'Attended') continue;
+    const details = await getTestDetails(source, studentId, test.name, shared);
+    if (!details.error && details.sections?.length > 0) {
+      sections.set(test.name, details.sections);
+    }
+  }
+
+  return { ...result, sections };
+}
+
+const formatNumber = (value, digits = 1) => (value === null || value === undefined ? '-' : Number(value).toFixed(digits));
+const formatPercent = (value) => (value === null || value === undefined ? '-' : `${Number(value).toFixed(1)}%`);
+const formatSigned = (value) => (value === null || value === undefined ? '-' : `${value > 0 ? '+' : ''}${Number(value).toFixed(2)}`);
+
+/**
+ * Start a new page when fewer than `height` points are left on this one
+ */
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+}
+
+function heading(doc, text) {
+  ensureSpace(doc, 60);
+  doc.moveDown(1).font('bold').fontSize(13).fillColor(COLORS.text).text(text, PAGE_MARGIN);
+  doc.moveDown(0.4);
+}
+
+/**
+ * A simple table. `columns` are [{ label, width, align }]; rows are arrays of strings.
+ */
+function table(doc, columns, rows) {
+  const rowHeight = 18;
+  const drawRow = (cells, { header = false } = {}) => {
+    ensureSpace(doc, rowHeight);
+    const y = doc.y;
+    if (header) {
+      doc.rect(PAGE_MARGIN, y, columns.reduce((sum, c) => sum + c.width, 0), rowHeight).fill(COLORS.header);
+    }
+    let x = PAGE_MARGIN;
+    doc.font(header ? 'bold' : 'regular').fontSize(8.5).fillColor(COLORS.text);
+    columns.forEach((column, i) => {
+      doc.text(cells[i] ?? '', x + 4, y + 5, { width: column.width - 8, align: column.align || 'left', lineBreak: false, ellipsis: true });
+      x += column.width;
+    });
+    doc.moveTo(PAGE_MARGIN, y + rowHeight).lineTo(x, y + rowHeight).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+    doc.x = PAGE_MARGIN;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(columns.map(c => c.label), { header: true });
+  rows.forEach(row => drawRow(row));
+}
+
+/**
+ * Label / value pairs in two columns
+ */
+function identityBlock(doc, pairs) {
+  const columnWidth = (doc.page.width - 2 * PAGE_MARGIN) / 2;
+  for (let i = 0; i < pairs.length; i += 2) {
+    const y = doc.y;
+    pairs.slice(i, i + 2).forEach(([label, value], j) => {
+      const x = PAGE_MARGIN + j * columnWidth;
+      doc.font('regular').fontSize(8).fillColor(COLORS.muted).text(label, x, y, { width: columnWidth - 10 });
+      doc.font('bold').fontSize(10.5).fillColor(COLORS.text).text(value || '-', x, y + 10, { width: columnWidth - 10, lineBreak: false, ellipsis: true });
+    });
+    doc.x = PAGE_MARGIN;
+    doc.y = y + 30;
+  }
+}
+
+/**
+ * Line chart of the student's normalized score and the school average across tests
+ */
+function trendChart(doc, tests) {
+  const width = doc.page.width - 2 * PAGE_MARGIN;
+  const height = 150;
+  ensureSpace(doc, height + 40);
+
+  const left = PAGE_MARGIN + 30;
+  const top = doc.y;
+  const plotWidth = width - 40;
+  const plotHeight = height - 30;
+
+  const values = tests.flatMap(test => [test.score.normalizedScore, test.schoolAverage?.avgNormalizedScore])
+    .filter(value => value !== null && value !== undefined);
+  const min = Math.min(0, ...values) - 0.5;
+  const max = Math.max(0, ...values) + 0.5;
+
+  const x = (i) => left + (tests.length === 1 ? plotWidth / 2 : (i / (tests.length - 1)) * plotWidth);
+  const y = (value) => top + ((max - value) / (max - min)) * plotHeight;
+
+  // Frame, zero line (the average of everyone who took the test) and axis labels
+  doc.rect(left, top, plotWidth, plotHeight).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+  doc.moveTo(left, y(0)).lineTo(left + plotWidth, y(0)).dash(3, { space: 3 }).strokeColor(COLORS.school).stroke().undash();
+  doc.font('regular').fontSize(7).fillColor(COLORS.muted);
+  [max, 0, min].forEach(value => {
+    doc.text(formatSigned(value), PAGE_MARGIN - 5, y(value) - 3, { width: 32, align: 'right', lineBreak: false });
+  });
+
+  const line = (points, color) => {
+    const drawn = points.filter(p => p.value !== null && p.value !== undefined);
+    if (drawn.length === 0) return;
+    drawn.forEach((p, i) => {
+      if (i === 0) doc.moveTo(x(p.i), y(p.value));
+      else doc.lineTo(x(p.i), y(p.value));
+    });
+    doc.lineWidth(1.5).strokeColor(color).stroke();
+    drawn.forEach(p => doc.circle(x(p.i), y(p.value), 2.5).fill(color));
+  };
+  line(tests.map((test, i) => ({ i, value: test.schoolAverage?.avgNormalizedScore })), COLORS.school);
+  line(tests.map((test, i) => ({ i, value: test.score.normalizedScore })), COLORS.student);
+
+  // Test names under the points
+  doc.font('regular').fontSize(7).fillColor(COLORS.muted);
+  const labelWidth = Math.min(90, plotWidth / Math.max(1, tests.length - 1));
+  tests.forEach((test, i) => {
+    doc.text(test.displayName || test.name, x(i) - labelWidth / 2, top + plotHeight + 4, { width: labelWidth, align: 'center', lineBreak: false, ellipsis: true });
+  });
+
+  // Legend
+  const legendY = top + plotHeight + 18;
+  doc.rect(left, legendY + 2, 10, 3).fill(COLORS.student);
+  doc.fillColor(COLORS.text).text('Student', left + 14, legendY, { lineBreak: false });
+  doc.rect(left + 70, legendY + 2, 10, 3).fill(COLORS.school);
+  doc.fillColor(COLORS.text).text('School average', left + 84, legendY, { lineBreak: false });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = top + height + 5;
+}
+
+/**
+ * An A4 document with the 'regular' and 'bold' fonts registered, writing to `stream`
+ */
+function createDocument(title, stream) {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: title } });
+
+  if (process.env.REPORT_FONT_PATH) {
+    doc.registerFont('regular', process.env.REPORT_FONT_PATH);
+    doc.registerFont('bold', process.env.REPORT_FONT_PATH);
+  } else {
+    doc.registerFont('regular', 'Helvetica');
+    doc.registerFont('bold', 'Helvetica-Bold');
+  }
+
+  doc.pipe(stream);
+  return doc;
+}
+
+function title(doc, text, { cohortName, generatedAt }) {
+  doc.font('bold').fontSize(20).fillColor(COLORS.text).text(text);
+  doc.font('regular').fontSize(9).fillColor(COLORS.muted)
+    .text(`${cohortName ? `${cohortName} · ` : ''}Generated ${generatedAt.toISOString().slice(0, 10)}`);
+  doc.moveDown(1);
+}
+
+/**
+ * Write the report card PDF to `stream` (e.g. an HTTP response)
+ */
+export function renderReportCard(report, stream, { cohortName = null, generatedAt = new Date() } = {}) {
+  const doc = createDocument(`Report card ${report.student.studentId}`, stream);
+
+  const { student, tests, progress } = report;
+  // Tests whose attendance is known: not unreadable, not waiting for a row to be resolved
+  const known = tests.filter(test => test.status === 'Attended' || test.status === 'Absent');
+  const attended = tests.filter(test => test.status === 'Attended');
+  const scored = tests.filter(test => test.score);
+
+  title(doc, 'Report Card', { cohortName, generatedAt });
+
+  identityBlock(doc, [
+    ['Student Name', student.studentName],
+    ['Username', student.studentId],
+    ['EMIS ID', student.emisId],
+    ['School', student.schoolName],
+    ['OpenGrad School Code', student.schoolId],
+    ['UDSIE Code', student.udsieCode],
+  ]);
+
+  // Summary
+  heading(doc, 'Summary');
+  const attendancePercent = known.length > 0 ? (attended.length / known.length) * 100 : null;
+  const averagePercentages = scored.map(test => test.score.percentage).filter(value => value !== null);
+  doc.font('regular').fontSize(10).fillColor(COLORS.text)
+    .text(`Attended ${attended.length} of ${known.length} tests (${formatPercent(attendancePercent)})`)
+    .text(`Average score: ${averagePercentages.length > 0 ? formatPercent(averagePercentages.reduce((sum, v) => sum + v, 0) / averagePercentages.length) : '-'}`)
+    .text(`Trend: ${progress?.trend ? `${progress.trend} (${formatSigned(progress.slope)} per test)` : 'not enough scored tests'}`);
+
+  // Results
+  heading(doc, 'Results');
+  table(doc, [
+    { label: 'Test', width: 140 },
+    { label: 'Date', width: 60 },
+    { label: 'Status', width: 62 },
+    { label: 'Score', width: 52, align: 'right' },
+    { label: '%', width: 45, align: 'right' },
+    { label: 'School avg %', width: 60, align: 'right' },
+    { label: 'Percentile', width: 45, align: 'right' },
+    { label: 'Change', width: 31, align: 'right' },
+  ], tests.map(test => [
+    test.displayName || test.name,
+    test.testDate || '-',
+    STATUS_LABELS[test.status] || test.status,
+    test.score ? `${formatNumber(test.score.raw)}${test.score.maxMarks ? ` / ${test.score.maxMarks}` : ''}` : '-',
+    formatPercent(test.score?.percentage),
+    formatPercent(test.schoolAverage?.avgPercentage),
+    formatNumber(test.score?.percentileRank?.school, 0),
+    formatSigned(test.progress?.change),
+  ]));
+  doc.font('regular').fontSize(7.5).fillColor(COLORS.muted)
+    .text('Percentile: the share of students in the school who scored lower. Change: normalized score since the previous test.', PAGE_MARGIN, doc.y + 4);
+
+  // Trend
+  if (scored.length > 0) {
+    heading(doc, 'Progress');
+    doc.font('regular').fontSize(7.5).fillColor(COLORS.muted)
+      .text('Normalized score: how far above (+) or below (-) the average of everyone who took the test, in standard deviations.');
+    doc.moveDown(0.5);
+    trendChart(doc, scored);
+  }
+
+  // Sections
+  if (report.sections.size > 0) {
+    heading(doc, 'Section Scores');
+    for (const test of attended) {
+      const sections = report.sections.get(test.name);
+      if (!sections) continue;
+      ensureSpace(doc, 60);
+      doc.font('bold').fontSize(9.5).fillColor(COLORS.text).text(test.displayName || test.name, PAGE_MARGIN);
+      doc.moveDown(0.2);
+      table(doc, [
+        { label: 'Section', width: 200 },
+        { label: 'Score', width: 100, align: 'right' },
+        { label: '%', width: 90, align: 'right' },
+        { label: 'School avg %', width: 105, align: 'right' },
+      ], sections.map(section => [
+        section.name,
+        section.score !== null ? `${formatNumber(section.score)}${section.maxMarks ? ` / ${section.maxMarks}` : ''}` : '-',
+        formatPercent(section.percentage),
+        formatPercent(section.schoolAvgPercentage),
+      ]));
+      doc.moveDown(0.6);
+    }
+  }
+
+  doc.end();
+}
+
+/**
+ * Write a PDF summary of a school's statistics (getSchoolStats) to `stream`:
+ * attendance and scores of each test, and of each class when there are several.
+ */
+export function renderSchoolSummary(stats, stream, { cohortName = null, generatedAt = new Date() } = {}) {
+  const doc = createDocument(`School summary ${stats.schoolId}`, stream);
+
+  title(doc, 'School Summary', { cohortName, generatedAt });
+
+  identityBlock(doc, [
+    ['School', stats.schoolName],
+    ['OpenGrad School Code', stats.schoolId],
+    ['UDSIE Code', stats.udsieCode],
+    ['Students', String(stats.totalStudents)],
+  ]);
+
+  heading(doc, 'Summary');
+  doc.font('regular').fontSize(10).fillColor(COLORS.text)
+    .text(`Tests: ${stats.testStats.length}`)
+    .text(`Average attendance: ${formatPercent(stats.overallStats.avgAttendance)}`)
+    .text(`Average score: ${formatPercent(stats.overallStats.avgPercentage)}`)
+    .text(`Average normalized score: ${formatSigned(stats.overallStats.avgNormalizedScore)}`);
+
+  heading(doc, 'Tests');
+  table(doc, [
+    { label: 'Test', width: 150 },
+    { label: 'Date', width: 60 },
+    { label: 'Attended', width: 60, align: 'right' },
+    { label: 'Attendance', width: 60, align: 'right' },
+    { label: 'Average %', width: 55, align: 'right' },
+    { label: 'Passed', width: 45, align: 'right' },
+    { label: 'Weakest section', width: 65 },
+  ], stats.testStats.map(test => [
+    test.displayName || test.testName,
+    test.testDate || '-',
+    `${test.attendedCount} / ${test.totalStudents}`,
+    formatPercent(test.attendancePercent),
+    formatPercent(test.avgPercentage),
+    formatNumber(test.passCount, 0),
+    test.weakestSection?.name || '-',
+  ]));
+
+  if (stats.classes.length > 1) {
+    heading(doc, 'Classes');
+    table(doc, [
+      { label: 'Class', width: 150 },
+      { label: 'Students', width: 80, align: 'right' },
+      { label: 'Attendance', width: 90, align: 'right' },
+      { label: 'Average %', width: 85, align: 'right' },
+      { label: 'Avg normalized', width: 90, align: 'right' },
+    ], stats.classes.map(classResult => [
+      classResult.label,
+      String(classResult.totalStudents),
+      formatPercent(classResult.avgAttendance),
+      formatPercent(classResult.avgPercentage),
+      formatSigned(classResult.avgNormalizedScore),
+    ]));
+  }
+
+  doc.end();
+}
+
+/**
+ * Render a PDF into a Buffer, `render(stream)` being renderReportCard or
+ * renderSchoolSummary. Nothing is sent until the whole PDF is built.
+ */
+export function renderToBuffer(render) {
+  return new Promise((resolve, reject) => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+    render(stream);
+  });
+}
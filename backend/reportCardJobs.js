@@ -0,0 +1,178 @@
+/**
+ * Report Card Jobs
+ * Builds the report card of every student of a school in the background and
+ * packages them in a ZIP file, with a PDF summary of the school's statistics,
+ * for coordinators to print at the end of a term. A job reports its progress
+ * while it runs and keeps the ZIP file in the temp directory until it expires.
+ *
+ * Jobs live in memory: they are lost when the server restarts, and one job runs
+ * at a time per school and cohort.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ZipArchive } from 'archiver';
+import { getSchoolRoster, getSchoolStats, readCohortResults } from './sheetsService.js';
+import { getReportCard, renderReportCard, renderSchoolSummary, renderToBuffer } from './reportCard.js';
+
+export const JOB_STATUS = {
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+// Finished jobs and their ZIP files are removed after this long
+const JOB_TTL_MS = parseInt(process.env.REPORT_JOB_TTL_MINUTES || '60', 10) * 60 * 1000;
+
+const jobs = new Map();
+
+/**
+ * The job as sent to the dashboard, without the server's file path
+ */
+export function describeJob(job) {
+  return {
+    jobId: job.id,
+    schoolId: job.schoolId,
+    cohortId: job.cohortId,
+    status: job.status,
+    total: job.total,
+    completed: job.completed,
+    failedStudents: job.failedStudents,
+    error: job.error,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    expiresAt: job.expiresAt,
+  };
+}
+
+/**
+ * A job of this school and cohort, or null. Without `jobId`, the latest one.
+ */
+export function findJob(schoolId, cohortId, jobId = null) {
+  const matching = [...jobs.values()].filter(job =>
+    job.schoolId === schoolId && job.cohortId === cohortId && (!jobId || job.id === jobId));
+  return matching.sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null;
+}
+
+function removeJob(job) {
+  jobs.delete(job.id);
+  if (job.filePath) {
+    fs.promises.unlink(job.filePath).catch(() => {});
+  }
+}
+
+function finish(job, status) {
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  job.expiresAt = new Date(Date.now() + JOB_TTL_MS).toISOString();
+  setTimeout(() => removeJob(job), JOB_TTL_MS).unref();
+}
+
+const safeName = (value) => value.replace(/[\\/:*?"<>|]+/g, '_').trim();
+
+/**
+ * Path of a student's report card in the ZIP: a folder per class when the
+ * Mapping sheet has grades or sections
+ */
+function entryName(student) {
+  const fileName = safeName(`${student.studentId}${student.studentName ? ` - ${student.studentName}` : ''}.pdf`);
+  return student.className === 'Unassigned'
+    ? `report-cards/${fileName}`
+    : `report-cards/${safeName(student.className)}/${fileName}`;
+}
+
+async function runJob(source, job, { cohortName }) {
+  const roster = await getSchoolRoster(source, job.schoolId);
+  if (roster.error) {
+    throw new Error(roster.details ? `${roster.error}: ${roster.details}` : roster.error);
+  }
+  job.total = roster.students.length;
+
+  const filePath = path.join(os.tmpdir(), `report-cards-${job.id}.zip`);
+  const output = fs.createWriteStream(filePath);
+  const archive = new ZipArchive({ zlib: { level: 9 } });
+  const written = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  archive.pipe(output);
+
+  try {
+    const stats = await getSchoolStats(source, job.schoolId);
+    if (stats.error) {
+      throw new Error(stats.details ? `${stats.error}: ${stats.details}` : stats.error);
+    }
+    archive.append(await renderToBuffer(stream => renderSchoolSummary(stats, stream, { cohortName })), { name: 'school-summary.pdf' });
+
+    // Every test is read and matched once, then each student is looked up in the results
+    const cohortResults = await readCohortResults(source);
+
+    for (const student of roster.students) {
+      try {
+        const report = await getReportCard(source, student.studentId, { cohortResults });
+        if (report.error) throw new Error(report.error);
+        const pdf = await renderToBuffer(stream => renderReportCard(report, stream, { cohortName }));
+        archive.append(pdf, { name: entryName(student) });
+      } catch (error) {
+        console.error(`[ReportJobs] Report card of ${student.studentId} failed:`, error.message);
+        job.failedStudents.push({ studentId: student.studentId, error: error.message });
+      }
+      job.completed++;
+      // Let other requests through between students
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    await archive.finalize();
+    await written;
+  } catch (error) {
+    archive.abort();
+    output.destroy();
+    await fs.promises.unlink(filePath).catch(() => {});
+    throw error;
+  }
+
+  job.filePath = filePath;
+}
+
+/**
+ * Start building the report cards of a school, or return the job already
+ * building them. `source` should be a request snapshot, so every report card
+ * is built from the same data.
+ */
+export function startReportCardJob(source, { schoolId, cohortId, cohortName = null }) {
+  const running = findJob(schoolId, cohortId);
+  if (running?.status === JOB_STATUS.RUNNING) return running;
+
+  const job = {
+    id: crypto.randomUUID(),
+    schoolId,
+    cohortId,
+    status: JOB_STATUS.RUNNING,
+    total: null,
+    completed: 0,
+    failedStudents: [],
+    error: null,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    expiresAt: null,
+    filePath: null,
+  };
+  jobs.set(job.id, job);
+  console.log(`[ReportJobs] Job ${job.id}: report cards for school ${schoolId} (cohort ${cohortId})`);
+
+  runJob(source, job, { cohortName })
+    .then(() => {
+      finish(job, JOB_STATUS.DONE);
+      console.log(`[ReportJobs] Job ${job.id} done: ${job.completed - job.failedStudents.length} of ${job.total} report cards`);
+    })
+    .catch(error => {
+      job.error = error.message;
+      finish(job, JOB_STATUS.FAILED);
+      console.error(`[ReportJobs] Job ${job.id} failed:`, error.message);
+    });
+
+  return job;
+}
@@ -0,0 +1,472 @@
+/**
+ * Result Tables
+ * Typed tables of the SQLite mirror (see sqliteMirror.js) that hold Mapping
+ * students, identity keys and the matched, scored rows of every test, so the
+ * dashboards query SQL instead of re-matching and re-scoring whole sheets on
+ * every request. The tables are rebuilt from the mirrored sheets after each sync
+ * that changes them, with the same matching (identity.js) and scoring
+ * (scoring.js) as the sheet path in sheetsService.js. While they are not built,
+ * or the last rebuild failed, isReady() is false and the service reads the sheets.
+ */
+
+import { SheetReadError } from './dataSources.js';
+import { schemaOf, resolveTestColumns } from './columnResolver.js';
+import { listTests } from './testConfig.js';
+import { matchTestRows, resolveUsernameValue, normalizeUsername } from './identity.js';
+import { createTestScorer } from './scoring.js';
+import { percentileRankFromCounts } from './statistics.js';
+import { buildIdentityIndex, readMapping, cellValue } from './sheetsService.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS result_tables (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    built_at TEXT,
+    error TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS students (
+    row INTEGER PRIMARY KEY,
+    user_name TEXT NOT NULL,
+    student_name TEXT NOT NULL,
+    school_name TEXT NOT NULL,
+    school_code TEXT NOT NULL,
+    school_key TEXT NOT NULL,
+    udsie_code TEXT NOT NULL,
+    emis_id TEXT NOT NULL,
+    grade TEXT NOT NULL,
+    section TEXT NOT NULL,
+    canonical INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS students_by_user ON students (user_name);
+  CREATE INDEX IF NOT EXISTS students_by_school ON students (school_key);
+
+  CREATE TABLE IF NOT EXISTS identity_keys (
+    key TEXT NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('username', 'alias')),
+    seq INTEGER NOT NULL,
+    user_name TEXT NOT NULL,
+    PRIMARY KEY (key, kind, seq)
+  );
+
+  CREATE TABLE IF NOT EXISTS tests (
+    sheet TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    display_name TEXT NOT NULL,
+    subject TEXT,
+    test_date TEXT,
+    max_marks REAL,
+    pass_threshold REAL,
+    visible INTEGER NOT NULL,
+    metadata TEXT NOT NULL,
+    readable INTEGER NOT NULL,
+    header TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS test_sections (
+    sheet TEXT NOT NULL REFERENCES tests(sheet) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    max_marks REAL,
+    PRIMARY KEY (sheet, position)
+  );
+
+  CREATE TABLE IF NOT EXISTS test_rows (
+    sheet TEXT NOT NULL REFERENCES tests(sheet) ON DELETE CASCADE,
+    row_number INTEGER NOT NULL,
+    user_name TEXT,
+    match_method TEXT,
+    raw REAL,
+    max_marks REAL,
+    percentage REAL,
+    normalized_score REAL,
+    cells TEXT,
+    PRIMARY KEY (sheet, row_number)
+  );
+  CREATE INDEX IF NOT EXISTS test_rows_by_user ON test_rows (sheet, user_name);
+
+  CREATE TABLE IF NOT EXISTS row_sections (
+    sheet TEXT NOT NULL,
+    row_number INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    score REAL,
+    PRIMARY KEY (sheet, row_number, position),
+    FOREIGN KEY (sheet, row_number) REFERENCES test_rows(sheet, row_number) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS test_ambiguities (
+    sheet TEXT NOT NULL REFERENCES tests(sheet) ON DELETE CASCADE,
+    seq INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    rows TEXT NOT NULL,
+    value TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    PRIMARY KEY (sheet, seq)
+  );
+
+  CREATE TABLE IF NOT EXISTS ambiguity_candidates (
+    sheet TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    user_name TEXT NOT NULL,
+    PRIMARY KEY (sheet, seq, user_name),
+    FOREIGN KEY (sheet, seq) REFERENCES test_ambiguities(sheet, seq) ON DELETE CASCADE
+  );
+`;
+
+const STUDENT_COLUMNS = `
+  row, user_name AS userName, student_name AS studentName, school_name AS schoolName,
+  school_code AS schoolCode, udsie_code AS udsieCode, emis_id AS emisId, grade, section
+`;
+
+const schoolKey = (schoolId) => schoolId.toString().trim().toUpperCase();
+
+/**
+ * Match and score every test of `source` (the mirror) in memory, the rows to
+ * write into the tables
+ */
+async function deriveResults(source) {
+  const schema = schemaOf(source);
+  const index = await buildIdentityIndex(source);
+  const { rows: mappingRows, columns } = await readMapping(source);
+
+  const students = [];
+  if (columns) {
+    const seen = new Set();
+    mappingRows.forEach((row, idx) => {
+      const userName = cellValue(row, columns.userName);
+      if (!userName) return;
+      const schoolCode = cellValue(row, columns.schoolCode);
+      students.push({
+        row: idx + 2, // header is row 1
+        userName,
+        studentName: cellValue(row, columns.studentName),
+        schoolName: cellValue(row, columns.schoolName),
+        schoolCode,
+        schoolKey: schoolKey(schoolCode),
+        udsieCode: cellValue(row, columns.udsieCode),
+        emisId: cellValue(row, columns.emisId),
+        grade: cellValue(row, columns.grade),
+        section: cellValue(row, columns.section),
+        canonical: seen.has(userName) ? 0 : 1,
+      });
+      seen.add(userName);
+    });
+  }
+
+  const identityKeys = [];
+  for (const [kind, keys] of [['username', index.keys.userNames], ['alias', index.keys.aliases]]) {
+    for (const [key, userNames] of keys) {
+      userNames.forEach((userName, seq) => identityKeys.push({ key, kind, seq, userName }));
+    }
+  }
+
+  const testList = await listTests(source);
+  const sheets = await source.readSheets(testList.map(test => test.sheetName));
+
+  const tests = testList.map((test, position) => {
+    const testData = sheets.get(test.sheetName);
+    const entry = { test, position, readable: !(testData instanceof SheetReadError), header: null, sections: [], rows: [], ambiguous: [] };
+    if (!entry.readable || !testData || testData.length === 0) return entry;
+
+    entry.header = testData[0];
+    const testColumns = resolveTestColumns(testData[0], test.sheetName, schema);
+    const { matches, ambiguous } = matchTestRows(index, testData, testColumns);
+    const scorer = createTestScorer(testData, test);
+
+    entry.sections = scorer.scoring.sections;
+    entry.ambiguous = ambiguous;
+
+    // Every scored row, for ranks among everyone who took the test, and every matched row
+    const matchByRow = new Map([...matches].map(([userName, match]) => [match.rowNumber, { userName, match }]));
+    for (let i = 1; i < testData.length; i++) {
+      const row = testData[i];
+      const score = row ? scorer.score(row) : null;
+      const matched = matchByRow.get(i + 1);
+      if (!score && !matched) continue;
+      entry.rows.push({ rowNumber: i + 1, userName: matched?.userName ?? null, method: matched?.match.method ?? null, cells: matched ? row : null, score });
+    }
+    return entry;
+  });
+
+  return { students, identityKeys, tests };
+}
+
+/**
+ * Result tables in the mirror database `db`, derived from `source`, the mirror
+ */
+export function createResultTables(db, source) {
+  db.exec(SCHEMA);
+
+  const statements = {
+    status: db.prepare('SELECT built_at, error FROM result_tables WHERE id = 1'),
+    setStatus: db.prepare(`
+      INSERT INTO result_tables (id, built_at, error) VALUES (1, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET built_at = excluded.built_at, error = excluded.error
+    `),
+    counts: db.prepare('SELECT (SELECT COUNT(*) FROM students) AS students, (SELECT COUNT(*) FROM tests) AS tests, (SELECT COUNT(*) FROM test_rows) AS rows'),
+
+    insertStudent: db.prepare(`
+      INSERT INTO students (row, user_name, student_name, school_name, school_code, school_key, udsie_code, emis_id, grade, section, canonical)
+      VALUES (@row, @userName, @studentName, @schoolName, @schoolCode, @schoolKey, @udsieCode, @emisId, @grade, @section, @canonical)
+    `),
+    insertIdentityKey: db.prepare('INSERT INTO identity_keys (key, kind, seq, user_name) VALUES (@key, @kind, @seq, @userName)'),
+    insertTest: db.prepare(`
+      INSERT INTO tests (sheet, position, display_name, subject, test_date, max_marks, pass_threshold, visible, metadata, readable, header)
+      VALUES (@sheet, @position, @displayName, @subject, @testDate, @maxMarks, @passThreshold, @visible, @metadata, @readable, @header)
+    `),
+    insertSection: db.prepare('INSERT INTO test_sections (sheet, position, name, max_marks) VALUES (?, ?, ?, ?)'),
+    insertRow: db.prepare(`
+      INSERT INTO test_rows (sheet, row_number, user_name, match_method, raw, max_marks, percentage, normalized_score, cells)
+      VALUES (@sheet, @rowNumber, @userName, @method, @raw, @maxMarks, @percentage, @normalizedScore, @cells)
+    `),
+    insertRowSection: db.prepare('INSERT INTO row_sections (sheet, row_number, position, score) VALUES (?, ?, ?, ?)'),
+    insertAmbiguity: db.prepare('INSERT INTO test_ambiguities (sheet, seq, type, rows, value, reason) VALUES (?, ?, ?, ?, ?, ?)'),
+    insertCandidate: db.prepare('INSERT OR IGNORE INTO ambiguity_candidates (sheet, seq, user_name) VALUES (?, ?, ?)'),
+
+    identityKeys: db.prepare('SELECT kind, user_name FROM identity_keys WHERE key = ? ORDER BY kind, seq'),
+    canonicalStudent: db.prepare(`SELECT ${STUDENT_COLUMNS} FROM students WHERE user_name = ? AND canonical = 1`),
+    studentRows: db.prepare(`SELECT ${STUDENT_COLUMNS} FROM students WHERE user_name = ? ORDER BY row`),
+    schoolStudents: db.prepare(`SELECT ${STUDENT_COLUMNS} FROM students WHERE school_key = ? ORDER BY row`),
+    schoolCodes: db.prepare("SELECT DISTINCT school_code FROM students WHERE school_code <> '' ORDER BY school_code"),
+
+    tests: db.prepare('SELECT sheet, metadata, visible, readable, header FROM tests ORDER BY position'),
+    sections: db.prepare('SELECT position, name, max_marks FROM test_sections WHERE sheet = ? ORDER BY position'),
+    ambiguities: db.prepare('SELECT seq, type, rows, value, reason FROM test_ambiguities WHERE sheet = ? ORDER BY seq'),
+    candidates: db.prepare('SELECT seq, user_name FROM ambiguity_candidates WHERE sheet = ? ORDER BY seq, rowid'),
+    rowsOfUsers: db.prepare(`
+      SELECT row_number, user_name, match_method, raw, max_marks, percentage, normalized_score, cells
+      FROM test_rows
+      WHERE sheet = ? AND user_name IN (SELECT value FROM json_each(?))
+    `),
+    scoresOfSchool: db.prepare(`
+      SELECT r.row_number, r.raw, r.max_marks, r.percentage, r.normalized_score
+      FROM test_rows r JOIN students s ON s.user_name = r.user_name AND s.canonical = 1
+      WHERE r.sheet = ? AND s.school_code = ? AND r.normalized_score IS NOT NULL
+      ORDER BY r.row_number
+    `),
+    sectionScores: db.prepare(`
+      SELECT row_number, position, score FROM row_sections
+      WHERE sheet = ? AND row_number IN (SELECT value FROM json_each(?))
+      ORDER BY row_number, position
+    `),
+    rankCounts: db.prepare(`
+      SELECT COUNT(*) AS total,
+        COALESCE(SUM(normalized_score < @value), 0) AS below,
+        COALESCE(SUM(normalized_score = @value), 0) AS equal
+      FROM test_rows
+      WHERE sheet = @sheet AND normalized_score IS NOT NULL
+    `),
+  };
+
+  const clear = () => {
+    // Sections, rows and ambiguities go with their test (ON DELETE CASCADE)
+    db.exec('DELETE FROM identity_keys; DELETE FROM students; DELETE FROM tests;');
+  };
+
+  const replaceAll = db.transaction(({ students, identityKeys, tests }, builtAt) => {
+    clear();
+    students.forEach(student => statements.insertStudent.run(student));
+    identityKeys.forEach(key => statements.insertIdentityKey.run(key));
+
+    for (const { test, position, readable, header, sections, rows, ambiguous } of tests) {
+      const sheet = test.sheetName;
+      statements.insertTest.run({
+        sheet,
+        position,
+        displayName: test.displayName,
+        subject: test.subject ?? null,
+        testDate: test.testDate ?? null,
+        maxMarks: test.maxMarks ?? null,
+        passThreshold: test.passThreshold ?? null,
+        visible: test.visible ? 1 : 0,
+        metadata: JSON.stringify(test),
+        readable: readable ? 1 : 0,
+        header: header ? JSON.stringify(header) : null,
+      });
+      sections.forEach((section, idx) => statements.insertSection.run(sheet, idx, section.name, section.maxMarks ?? null));
+
+      for (const { rowNumber, userName, method, cells, score } of rows) {
+        statements.insertRow.run({
+          sheet,
+          rowNumber,
+          userName,
+          method,
+          raw: score?.raw ?? null,
+          maxMarks: score?.maxMarks ?? null,
+          percentage: score?.percentage ?? null,
+          normalizedScore: score?.normalizedScore ?? null,
+          cells: cells ? JSON.stringify(cells) : null,
+        });
+        if (score) {
+          sections.forEach((section, idx) => statements.insertRowSection.run(sheet, rowNumber, idx, score.sections[section.name]));
+        }
+      }
+
+      ambiguous.forEach((entry, seq) => {
+        statements.insertAmbiguity.run(sheet, seq, entry.type, JSON.stringify(entry.rows), entry.value, entry.reason);
+        entry.candidates.forEach(userName => statements.insertCandidate.run(sheet, seq, userName));
+      });
+    }
+
+    statements.setStatus.run(builtAt, null);
+  });
+
+  const markFailed = db.transaction((message) => {
+    clear();
+    statements.setStatus.run(null, message);
+  });
+
+  /**
+   * Results of one test, with the same shape as the sheet path's (see readTestResults in sheetsService.js)
+   */
+  function sheetResults(test) {
+    const sheet = test.sheetName;
+    const sections = statements.sections.all(sheet).map(section => ({ name: section.name, maxMarks: section.max_marks }));
+
+    const candidatesBySeq = new Map();
+    for (const { seq, user_name: userName } of statements.candidates.all(sheet)) {
+      if (!candidatesBySeq.has(seq)) candidatesBySeq.set(seq, []);
+      candidatesBySeq.get(seq).push(userName);
+    }
+    const ambiguous = statements.ambiguities.all(sheet).map(({ seq, type, rows, value, reason }) => ({
+      type,
+      rows: JSON.parse(rows),
+      value,
+      reason,
+      candidates: candidatesBySeq.get(seq) || [],
+    }));
+
+    // Row scores as scoring.js gives them; section scores are queried for all the rows at once
+    const scoresOf = (rows) => {
+      const sectionScores = new Map();
+      for (const { row_number: rowNumber, position, score } of statements.sectionScores.all(sheet, JSON.stringify(rows.map(r => r.row_number)))) {
+        if (!sectionScores.has(rowNumber)) sectionScores.set(rowNumber, new Map());
+        sectionScores.get(rowNumber).set(position, score);
+      }
+      return rows.map(row => {
+        if (row.normalized_score === null) return null;
+        const scores = sectionScores.get(row.row_number);
+        return {
+          raw: row.raw,
+          maxMarks: row.max_marks,
+          percentage: row.percentage,
+          sections: Object.fromEntries(sections.map(({ name }, idx) => [name, scores?.get(idx) ?? null])),
+          normalizedScore: row.normalized_score,
+        };
+      });
+    };
+
+    return {
+      header: JSON.parse(test.header),
+      sections,
+      ambiguous,
+
+      resultsOf(userNames) {
+        const rows = statements.rowsOfUsers.all(sheet, JSON.stringify([...userNames]));
+        const scores = scoresOf(rows);
+        return new Map(rows.map((row, idx) => [row.user_name, {
+          rowNumber: row.row_number,
+          method: row.match_method,
+          cells: JSON.parse(row.cells),
+          score: scores[idx],
+        }]));
+      },
+
+      schoolScores(schoolCode) {
+        return scoresOf(statements.scoresOfSchool.all(sheet, schoolCode));
+      },
+
+      cohortPercentileRank(value) {
+        return percentileRankFromCounts(statements.rankCounts.get({ sheet, value }));
+      },
+    };
+  }
+
+  const studentOf = (userName) => statements.canonicalStudent.get(userName);
+
+  return {
+    /**
+     * Rebuild every table from the mirrored sheets, in one transaction. On failure
+     * the tables are emptied and not ready until a rebuild succeeds.
+     */
+    async rebuild() {
+      try {
+        const derived = await deriveResults(source);
+        replaceAll(derived, new Date().toISOString());
+        console.log(`[ResultTables] Rebuilt: ${derived.students.length} students, ${derived.tests.length} tests`);
+      } catch (error) {
+        console.warn(`[ResultTables] Rebuild failed, reading sheets instead: ${error.message}`);
+        markFailed(error.message);
+      }
+    },
+
+    isReady() {
+      return !!statements.status.get()?.built_at;
+    },
+
+    getStatus() {
+      const status = statements.status.get();
+      return {
+        ready: !!status?.built_at,
+        builtAt: status?.built_at || null,
+        error: status?.error || null,
+        ...statements.counts.get(),
+      };
+    },
+
+    /**
+     * Same as the identity index's resolveUsername (see identity.js)
+     */
+    resolveUsername(value) {
+      const key = normalizeUsername(value);
+      if (!key) return null;
+      const keys = statements.identityKeys.all(key);
+      const of = (kind) => keys.filter(k => k.kind === kind).map(k => k.user_name);
+      return resolveUsernameValue(value, { userNames: of('username'), aliasOf: of('alias') }, studentOf);
+    },
+
+    /**
+     * Mapping rows of a username, in sheet order
+     */
+    studentRows(userName) {
+      return statements.studentRows.all(userName);
+    },
+
+    /**
+     * Mapping rows of a school, with school IDs compared case-insensitively
+     */
+    studentsOfSchool(schoolId) {
+      return statements.schoolStudents.all(schoolKey(schoolId));
+    },
+
+    schoolCodes() {
+      return statements.schoolCodes.all().map(row => row.school_code);
+    },
+
+    /**
+     * Tests as listTests returns them (see testConfig.js)
+     */
+    listTests({ includeHidden = true } = {}) {
+      return statements.tests.all()
+        .filter(test => includeHidden || test.visible)
+        .map(test => JSON.parse(test.metadata));
+    },
+
+    /**
+     * Map of sheet name -> sheet results, SheetReadError or null, as readTestResults in sheetsService.js
+     */
+    async testResults(sheetNames) {
+      const tests = new Map(statements.tests.all().map(test => [test.sheet, test]));
+      const results = new Map();
+      for (const sheetName of sheetNames) {
+        const test = tests.get(sheetName);
+        if (test && !test.readable) {
+          // The mirror keeps the error of a sheet it could never read
+          results.set(sheetName, await source.readSheet(sheetName).then(() => null, error => error));
+        } else {
+          results.set(sheetName, test?.header ? sheetResults({ sheetName, header: test.header }) : null);
+        }
+      }
+      return results;
+    },
+  };
+}
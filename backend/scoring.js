@@ -0,0 +1,229 @@
+/**
+ * Scoring
+ * How a test sheet's rows are scored. Each test has a scoring model:
+ *
+ * - obtained score: the Config sheet's Score Column, else the column headed "Score",
+ *   "Marks Obtained" (or similar), else the sum of the section columns
+ * - max marks: the Config sheet's Max Marks, else a per-row Max Marks Column
+ *   (Config, or a column headed "Max Marks", "Total Marks" or "Out Of")
+ * - sections: the columns listed in the Config sheet's Section Columns, else every
+ *   column whose header starts with "Section" (e.g. "Section 1", "Section: Quant").
+ *   A section's max marks can follow its name in brackets: "Quant (20)"
+ *
+ * A row's score is { raw, maxMarks, percentage, normalizedScore, sections }. A blank
+ * or non-numeric score cell means the row has no score; 0 is a score.
+ * The normalized score is a standard score: how many standard deviations the
+ * row is above (or below) the mean of everyone who took the test, so results of
+ * tests with different maximums and difficulty can be compared.
+ */
+
+// Headers (case-insensitive) of the obtained-score column when Config does not name one
+const OBTAINED_SCORE_HEADERS = ['score', 'marks obtained', 'obtained marks', 'marks scored', 'total score', 'marks'];
+
+// Headers of a per-row max marks column when Config has no Max Marks
+const MAX_MARKS_HEADERS = ['max marks', 'maximum marks', 'total marks', 'out of'];
+
+// Header convention for section columns when Config lists none
+const SECTION_HEADER_PATTERN = /^section\b/i;
+
+// "Quant (20)": a section name with its max marks
+const SECTION_MAX_PATTERN = /^(.*?)\s*\((\d+(?:\.\d+)?)\)$/;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Numeric value of a score cell, or null when it is blank or not a number
+ */
+export function parseScore(value) {
+  if (value === undefined || value === null) return null;
+  const str = value.toString().trim().replace(/,/g, '');
+  if (str === '' || isNaN(Number(str))) return null;
+  return Number(str);
+}
+
+function findHeader(header, names) {
+  const lower = header.map(h => h?.toString().trim().toLowerCase() || '');
+  for (const name of names) {
+    const idx = lower.indexOf(name.toLowerCase());
+    if (idx !== -1) return { index: idx, header: header[idx] };
+  }
+  return null;
+}
+
+/**
+ * Scoring model of a test sheet from its header and Config metadata. `missing`
+ * lists configured columns that are not in the sheet.
+ */
+export function resolveScoring(header, test) {
+  const missing = [];
+  const configured = (name) => {
+    const column = findHeader(header, [name]);
+    if (!column) missing.push(name);
+    return column;
+  };
+
+  const sectionMax = (text) => {
+    const match = text.match(SECTION_MAX_PATTERN);
+    return match ? { name: match[1], maxMarks: Number(match[2]) } : { name: text, maxMarks: null };
+  };
+
+  let sections;
+  if (test.sectionColumns?.length > 0) {
+    sections = test.sectionColumns
+      .map((spec) => {
+        const { name, maxMarks } = sectionMax(spec);
+        // The header may itself be written with the max marks, e.g. "Quant (20)"
+        const column = findHeader(header, [name, spec]);
+        if (!column) missing.push(spec);
+        return column && { name, index: column.index, maxMarks };
+      })
+      .filter(Boolean);
+  } else {
+    sections = header
+      .map((h, index) => ({ text: h?.toString().trim() || '', index }))
+      .filter(({ text }) => SECTION_HEADER_PATTERN.test(text))
+      .map(({ text, index }) => ({ ...sectionMax(text), index }));
+  }
+
+  let scoreColumn = test.scoreColumn ? configured(test.scoreColumn) : null;
+  if (!scoreColumn) {
+    scoreColumn = findHeader(header, OBTAINED_SCORE_HEADERS);
+  }
+
+  let maxMarksColumn = null;
+  if (test.maxMarks === null || test.maxMarks === undefined) {
+    maxMarksColumn = test.maxMarksColumn ? configured(test.maxMarksColumn) : findHeader(header, MAX_MARKS_HEADERS);
+  }
+
+  if (missing.length > 0) {
+    console.warn(`[Scoring] Columns ${missing.map(name => `"${name}"`).join(', ')} from Config not found in test sheet: ${test.sheetName}`);
+  }
+
+  return {
+    scoreColumn,
+    maxMarks: test.maxMarks ?? null,
+    maxMarksColumn,
+    sections,
+    missing,
+  };
+}
+
+/**
+ * Column indices a scoring model reads, for data checks
+ */
+export function scoringColumns(scoring) {
+  return [scoring.scoreColumn?.index, scoring.maxMarksColumn?.index, ...scoring.sections.map(s => s.index)]
+    .filter(idx => idx !== undefined);
+}
+
+/**
+ * Score of one row, without the normalized score, or null when the row has no score
+ */
+export function rowScore(row, scoring) {
+  const sections = {};
+  for (const { name, index } of scoring.sections) {
+    sections[name] = parseScore(row[index]);
+  }
+
+  let raw;
+  if (scoring.scoreColumn) {
+    raw = parseScore(row[scoring.scoreColumn.index]);
+  } else {
+    const values = Object.values(sections).filter(value => value !== null);
+    raw = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+  }
+  if (raw === null) return null;
+
+  const maxMarks = scoring.maxMarksColumn ? parseScore(row[scoring.maxMarksColumn.index]) : scoring.maxMarks;
+  const percentage = maxMarks > 0 ? round((raw / maxMarks) * 100) : null;
+
+  return { raw, maxMarks, percentage, sections };
+}
+
+/**
+ * Score every row of a test sheet. Returns { scoring, score(row), normalizedScores }
+ * where score(row) adds the normalized score to rowScore, relative to all scored
+ * rows, and normalizedScores are those of every scored row in the sheet.
+ * Percentages are compared when every scored row has one, raw scores otherwise.
+ */
+export function createTestScorer(testData, test) {
+  const scoring = resolveScoring(testData[0] || [], test);
+
+  const scored = testData.slice(1).map(row => (row ? rowScore(row, scoring) : null)).filter(Boolean);
+  const usePercentage = scored.length > 0 && scored.every(s => s.percentage !== null);
+  const basis = (s) => (usePercentage ? s.percentage : s.raw);
+
+  const values = scored.map(basis);
+  const mean = values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+  const sd = values.length > 0 ? Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length) : 0;
+
+  const normalize = (s) => (sd > 0 ? round((basis(s) - mean) / sd) : 0);
+
+  return {
+    scoring,
+    normalizedScores: scored.map(normalize),
+    score(row) {
+      const s = rowScore(row, scoring);
+      if (!s) return null;
+      return { ...s, normalizedScore: normalize(s) };
+    },
+  };
+}
+
+/**
+ * Max marks shared by all the scores, or null when they differ or are unknown
+ */
+export function commonMaxMarks(scores) {
+  const maxMarks = new Set(scores.map(s => s.maxMarks));
+  return maxMarks.size === 1 ? scores[0].maxMarks : null;
+}
+
+/**
+ * Averages over a list of row scores. A student counts towards the pass count
+ * when the raw score reaches the test's pass threshold.
+ */
+export function summarizeScores(scores, passThreshold = null) {
+  const avg = (values) => (values.length > 0 ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+  const percentages = scores.map(s => s.percentage).filter(value => value !== null);
+
+  return {
+    scoredCount: scores.length,
+    avgScore: avg(scores.map(s => s.raw)) ?? 0,
+    avgPercentage: avg(percentages),
+    avgNormalizedScore: avg(scores.map(s => s.normalizedScore)),
+    passCount: passThreshold !== null ? scores.filter(s => s.raw >= passThreshold).length : null,
+  };
+}
+
+/**
+ * Average of each section over a list of row scores:
+ * [{ name, maxMarks, scoredCount, avgScore, avgPercentage }]. Blank section cells are left out.
+ */
+export function summarizeSections(scores, scoring) {
+  return scoring.sections.map(({ name, maxMarks }) => {
+    const values = scores.map(s => s.sections[name]).filter(value => value !== null && value !== undefined);
+    const avgScore = values.length > 0 ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+    return {
+      name,
+      maxMarks,
+      scoredCount: values.length,
+      avgScore,
+      avgPercentage: avgScore !== null && maxMarks > 0 ? round((avgScore / maxMarks) * 100) : null,
+    };
+  });
+}
+
+/**
+ * The section with the lowest average: by percentage when every section has max
+ * marks, otherwise by raw average. Null when no section has scores.
+ */
+export function weakestSection(sections) {
+  const scored = sections.filter(section => section.avgScore !== null);
+  if (scored.length === 0) return null;
+
+  const byPercentage = scored.every(section => section.avgPercentage !== null);
+  const value = (section) => (byPercentage ? section.avgPercentage : section.avgScore);
+  const weakest = scored.reduce((lowest, section) => (value(section) < value(lowest) ? section : lowest));
+
+  return { name: weakest.name, basis: byPercentage ? 'percentage' : 'raw' };
+}
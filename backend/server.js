@@ -1,73 +1,289 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { google } from 'googleapis';
-import { getStudentTests, getTestDetails, getSchoolStats } from './sheetsService.js';
+import { getStudentTests, getTestDetails, getSchoolStats, enrichTestSheet } from './sheetsService.js';
+import { createRequestSnapshot } from './sheetCache.js';
+import { schemaOf, resolveMappingColumns, ColumnResolutionError } from './columnResolver.js';
+import { auditDataQuality } from './dataQuality.js';
+import { getOrgStats } from './orgStats.js';
+import { parseBins } from './statistics.js';
+import { getAbsentees, getAttendanceMatrix, parseMinMissed } from './attendance.js';
+import { parseExportFormat, sendTables } from './tableExport.js';
+import { getReportCard, renderReportCard, renderToBuffer } from './reportCard.js';
+import { startReportCardJob, findJob, describeJob, JOB_STATUS } from './reportCardJobs.js';
+import { digestConfig, listRecipients, readSendLog, previewDigest, runDigests, startDigestSchedule } from './digests.js';
+import { WEBHOOK_EVENTS, createEvent, deliver, describeWebhook, loadWebhooks, readDeliveryLog } from './webhooks.js';
+import { checkForChanges, startChangeWatcher } from './changeWatcher.js';
+import { openLiveStream, studentSchoolCodes } from './liveUpdates.js';
+import {
+  schoolStatsTables,
+  attendanceTable,
+  absenteesTable,
+  chronicAbsenteesTable,
+  enrichedTestTable,
+  studentHistoryTable,
+} from './exportTables.js';
+import {
+  requireAuth,
+  loginStudent,
+  loginStaff,
+  AuthenticationError,
+  TooManyAttemptsError,
+  assertStudentLoginAllowed,
+  recordFailedStudentLogin,
+  clearFailedStudentLogins,
+} from './auth.js';
+import {
+  loadCohortConfigs,
+  createCohort,
+  createCohortRegistry,
+  describeCohort,
+  cohortStatus,
+  getSheetsClientStats,
+} from './cohorts.js';
+import {
+  ROLES,
+  AccessDeniedError,
+  authorize,
+  allowRoles,
+  assertCohortAccess,
+  assertStudentAccess,
+  assertSchoolAccess,
+  requestedStudentId,
+  redactAmbiguities,
+  requestedSchoolId,
+  getDistrictSchools,
+} from './accessPolicy.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a reverse proxy, take the client address from X-Forwarded-For (sign-in limits are per address)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 app.use(cors());
 app.use(express.json());
 
-// Initialize Google Sheets API
-let sheets;
-let spreadsheetId;
+// Initialize cohorts (one spreadsheet or local directory each, optionally mirrored to SQLite)
+let cohorts = null;
+
+const cacheTtlSeconds = parseInt(process.env.SHEET_CACHE_TTL_SECONDS || '60', 10);
+const mirrorSyncIntervalSeconds = parseInt(process.env.SQLITE_SYNC_INTERVAL_SECONDS || '300', 10);
+const changePollIntervalSeconds = parseInt(process.env.CHANGE_POLL_INTERVAL_SECONDS || '300', 10);
+const livePollIntervalSeconds = parseInt(process.env.LIVE_POLL_INTERVAL_SECONDS || '30', 10);
 
-async function initializeSheets() {
+async function initializeCohorts() {
   try {
-    if (!process.env.GOOGLE_SPREADSHEET_ID) {
-      throw new Error('GOOGLE_SPREADSHEET_ID is not set in environment variables');
+    const configs = loadCohortConfigs();
+    const created = [];
+    for (const config of configs) {
+      created.push(await createCohort(config, {
+        cacheTtlMs: cacheTtlSeconds * 1000,
+        mirrorSyncIntervalMs: mirrorSyncIntervalSeconds * 1000,
+      }));
     }
+    cohorts = createCohortRegistry(created);
+    console.log(`   Cohorts: ${created.map(c => c.id).join(', ')} (default: ${cohorts.getDefault().id})`);
+    console.log(`   Sheet cache TTL: ${cacheTtlSeconds}s`);
 
-    if (process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL && process.env.GOOGLE_PRIVATE_KEY) {
-      const auth = new google.auth.GoogleAuth({
-        credentials: {
-          client_email: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
-          private_key: process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-        },
-        scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
-      });
-
-      const authClient = await auth.getClient();
-      sheets = google.sheets({ version: 'v4', auth: authClient });
-      spreadsheetId = process.env.GOOGLE_SPREADSHEET_ID;
-
-      console.log('✅ Google Sheets API initialized with service account');
-      console.log(`   Service Account: ${process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL}`);
-      console.log(`   Spreadsheet ID: ${spreadsheetId}`);
-    } else if (process.env.GOOGLE_API_KEY) {
-      sheets = google.sheets({ version: 'v4', auth: process.env.GOOGLE_API_KEY });
-      spreadsheetId = process.env.GOOGLE_SPREADSHEET_ID;
-      console.log('✅ Google Sheets API initialized with API key');
-      console.log(`   Spreadsheet ID: ${spreadsheetId}`);
-    } else {
-      throw new Error('No authentication method configured. Please set either GOOGLE_SERVICE_ACCOUNT_EMAIL/GOOGLE_PRIVATE_KEY or GOOGLE_API_KEY in .env file');
+    const failed = created.filter(cohort => cohort.error);
+    if (failed.length === created.length) {
+      throw new Error(failed.map(cohort => `${cohort.id}: ${cohort.error}`).join('; '));
     }
   } catch (error) {
-    console.error('❌ Error initializing Google Sheets:', error.message);
+    console.error('❌ Error initializing data source:', error.message);
     console.error('   Full error:', error);
     throw error;
   }
 }
 
+/**
+ * Cohort a request asks for (?cohort=ID), else the default, or the user's first
+ * cohort when they are limited to cohorts that do not include the default
+ */
+function requestedCohort(req) {
+  const cohortId = req.query.cohort?.toString().trim();
+  if (cohortId) return cohorts.get(cohortId);
+  return defaultCohortFor(req.user);
+}
+
+function defaultCohortFor(user) {
+  const allowed = user?.cohorts;
+  const cohort = cohorts.getDefault();
+  if (!Array.isArray(allowed) || allowed.length === 0 || allowed.includes(cohort.id)) return cohort;
+  return cohorts.get(allowed[0]) || cohort;
+}
+
+// Cohorts available to choose from, shown on the sign-in page
+app.get('/api/cohorts', (req, res) => {
+  if (!cohorts) {
+    return res.status(500).json({ error: 'Data source not initialized', details: 'Check server logs for configuration errors.' });
+  }
+  res.json({
+    cohorts: cohorts.list().map(describeCohort),
+    defaultCohort: cohorts.getDefault().id,
+  });
+});
+
+// Sign in: students with username + date of birth/PIN, staff with username + password.
+// Students are looked up in the requested cohort first, then in the others (default first).
+// Failed student sign-ins are limited per username and per client address.
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { type, username, secret, password, cohort: cohortId } = req.body || {};
+
+    if (!username || !(secret || password)) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    if (!cohorts) {
+      return res.status(500).json({ error: 'Data source not initialized. Check server logs for authentication errors.' });
+    }
+
+    let session;
+    let cohort = (cohortId && cohorts.get(cohortId)) || cohorts.getDefault();
+    if (type === 'student') {
+      assertStudentLoginAllowed(username, req.ip);
+      const candidates = [cohort, ...cohorts.listDefaultFirst().filter(c => c !== cohort)].filter(c => c.dataSource);
+      let lastError = new Error('No cohort data source is initialized. Check server logs.');
+      for (const candidate of candidates) {
+        try {
+          session = await loginStudent(createRequestSnapshot(candidate.dataSource), username, secret);
+          cohort = candidate;
+          break;
+        } catch (error) {
+          if (!(error instanceof AuthenticationError)) {
+            console.error(`[API] Error signing in against cohort ${candidate.id}:`, error.message);
+          }
+          lastError = error;
+        }
+      }
+      if (!session) {
+        if (lastError instanceof AuthenticationError) recordFailedStudentLogin(username, req.ip);
+        throw lastError;
+      }
+      clearFailedStudentLogins(username);
+    } else {
+      session = loginStaff(username, password);
+      const allowed = session.user.cohorts;
+      if (!cohortId || (Array.isArray(allowed) && allowed.length > 0 && !allowed.includes(cohort.id))) {
+        cohort = defaultCohortFor(session.user);
+      }
+    }
+
+    console.log(`[API] ${session.user.role} signed in: ${session.user.username} (cohort ${cohort.id})`);
+    res.json({ ...session, cohort: describeCohort(cohort) });
+  } catch (error) {
+    if (error instanceof TooManyAttemptsError) {
+      console.warn(`[API] Sign-in throttled for ${req.body?.username} from ${req.ip}`);
+      res.setHeader('Retry-After', error.retryAfterSeconds);
+      return res.status(429).json({ error: error.message, details: `Wait ${Math.ceil(error.retryAfterSeconds / 60)} minutes before trying again.` });
+    }
+    if (error instanceof AuthenticationError) {
+      console.warn(`[API] Failed sign-in for ${req.body?.username}: ${error.message}`);
+      return res.status(401).json({ error: error.message });
+    }
+    console.error('[API] Error signing in:', error);
+    res.status(500).json({
+      error: `Failed to sign in: ${error.message}`,
+      details: 'Check server logs for more details'
+    });
+  }
+});
+
+// Every other API route requires a signed-in user
+app.use('/api', requireAuth);
+
+// Every other API route works on one cohort (?cohort=ID, default cohort otherwise)
+// and gets its own snapshot, so each sheet is read at most once per request
+app.use('/api', (req, res, next) => {
+  if (!cohorts) {
+    req.cohort = null;
+    req.dataSource = null;
+    return next();
+  }
+
+  const cohort = requestedCohort(req);
+  if (!cohort) {
+    return res.status(404).json({
+      error: `Unknown cohort "${req.query.cohort}"`,
+      details: `Available cohorts: ${cohorts.list().map(c => c.id).join(', ')}`
+    });
+  }
+
+  req.cohort = cohort;
+  req.dataSource = cohort.dataSource ? createRequestSnapshot(cohort.dataSource) : null;
+  next();
+});
+
+// Staff limited to some cohorts cannot switch to the others
+app.use('/api', authorize((user, req) => (req.cohort ? assertCohortAccess(user, req.cohort.id) : undefined)));
+
+// Route policies (403 when denied)
+const adminOnly = authorize(allowRoles(ROLES.ADMIN));
+const orgWide = authorize(allowRoles(ROLES.ADMIN, ROLES.DISTRICT));
+const canReadStudent = authorize((user, req) => {
+  const studentId = requestedStudentId(req);
+  return studentId ? assertStudentAccess(user, req.dataSource, studentId) : undefined;
+});
+const canReadSchool = authorize((user, req) => {
+  const schoolId = requestedSchoolId(req);
+  // Without a school the route answers 400, except for students who never get school data
+  return schoolId || user.role === ROLES.STUDENT ? assertSchoolAccess(user, req.dataSource, schoolId) : undefined;
+});
+
+// Current session
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
 // Root route - API information
 app.get('/', (req, res) => {
   res.json({
     name: 'School Dash API',
     version: '1.0.0',
     status: 'running',
-    message: 'Welcome to the School Dash API',
+    message: 'Welcome to the School Dash API. All /api routes except /api/auth/login and /api/cohorts require "Authorization: Bearer <token>". Every /api route accepts ?cohort=COHORT_ID (default cohort otherwise).',
     endpoints: {
       health: '/health',
+      auth: {
+        login: 'POST /api/auth/login (body: { "type": "student", "username", "secret" } or { "type": "staff", "username", "password" })',
+        me: '/api/auth/me'
+      },
+      cohorts: '/api/cohorts',
+      cache: {
+        invalidate: 'POST /api/cache/invalidate (body: { "sheet": "SHEET_NAME" }, optional)'
+      },
       student: {
-        tests: '/api/student/tests?studentId=STUDENT_ID&schoolId=SCHOOL_ID (schoolId optional)',
-        testDetails: '/api/student/test-details?studentId=STUDENT_ID&testName=TEST_NAME'
+        tests: '/api/student/tests?studentId=STUDENT_ID&schoolId=SCHOOL_ID (schoolId optional, studentId defaults to the signed-in student)',
+        testDetails: '/api/student/test-details?studentId=STUDENT_ID&testName=TEST_NAME',
+        reportCard: '/api/student/report.pdf?studentId=STUDENT_ID',
+        history: '/api/student/history?studentId=STUDENT_ID (every cohort the student appears in, &format=csv or xlsx to download)',
+        live: '/api/student/live?studentId=STUDENT_ID (Server-Sent Events: the student\'s released tests whose results changed)'
       },
       school: {
-        stats: '/api/school/stats?schoolId=SCHOOL_ID'
+        stats: '/api/school/stats?schoolId=SCHOOL_ID&bins=10&grade=10&section=A',
+        attendance: '/api/school/attendance?schoolId=SCHOOL_ID&format=xlsx',
+        absentees: '/api/school/absentees?schoolId=SCHOOL_ID&minMissed=2&format=csv&list=chronic',
+        reportCards: 'POST /api/school/report-cards?schoolId=SCHOOL_ID starts a job, GET /api/school/report-cards?schoolId=SCHOOL_ID&jobId=JOB_ID reports its progress',
+        reportCardsDownload: '/api/school/report-cards/download?schoolId=SCHOOL_ID&jobId=JOB_ID (ZIP of every report card and a school summary)',
+        live: '/api/school/live?schoolId=SCHOOL_ID (Server-Sent Events: tests whose rows for the school changed)'
+      },
+      org: {
+        stats: '/api/org/stats'
+      },
+      admin: {
+        dataQuality: '/api/admin/data-quality',
+        digests: '/api/admin/digests (POST /api/admin/digests/run sends this week\'s digests now)',
+        digestPreview: '/api/admin/digests/preview?schoolId=SCHOOL_ID (&format=text)',
+        webhooks: '/api/admin/webhooks (POST /api/admin/webhooks/check looks for new results now, POST /api/admin/webhooks/ping?webhookId=ID sends a test event)',
+        debugMaster: '/api/debug/master',
+        enrichedTest: '/api/test/enriched?testName=TEST_NAME (&format=csv or xlsx to download)'
       }
     },
     frontend: 'Access the frontend application at http://localhost:3000',
@@ -77,120 +293,105 @@ app.get('/', (req, res) => {
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', message: 'School Dash API is running' });
+  res.json({
+    status: 'ok',
+    message: 'School Dash API is running',
+    cohorts: cohorts ? cohorts.list().map(cohortStatus) : [],
+    sheetsApi: getSheetsClientStats(),
+  });
+});
+
+// Drop cached sheet data so the next request reads fresh values
+app.post('/api/cache/invalidate', adminOnly, (req, res) => {
+  if (!req.dataSource) {
+    return res.status(500).json({ error: 'Data source not initialized' });
+  }
+
+  const { dataSource } = req.cohort;
+  const sheetName = req.body?.sheet || null;
+  dataSource.invalidate(sheetName);
+  console.log(`[API] Cache invalidated for cohort ${req.cohort.id}${sheetName ? `, sheet: ${sheetName}` : ''}`);
+  res.json({
+    cohort: req.cohort.id,
+    invalidated: sheetName || 'all',
+    cache: dataSource.getStats(),
+  });
 });
 
-// Debug endpoint - inspect Master sheet structure
-app.get('/api/debug/master', async (req, res) => {
+// Debug endpoint - inspect Mapping sheet structure and the columns resolved from the column schema
+app.get('/api/debug/master', adminOnly, async (req, res) => {
   try {
-    if (!sheets || !spreadsheetId) {
+    if (!req.dataSource) {
       return res.status(500).json({ 
-        error: 'Google Sheets API not initialized',
+        error: 'Data source not initialized',
         details: 'Check server logs for authentication errors.'
       });
     }
 
-    // First, get all sheet names to find the Mapping sheet (or Master as fallback)
+    const schema = schemaOf(req.dataSource);
+    const masterSheetName = schema.mapping.sheet;
+
     let allSheets = [];
-    let masterSheetName = 'Mapping';
     try {
-      const sheetsResponse = await sheets.spreadsheets.get({
-        spreadsheetId,
-      });
-      allSheets = sheetsResponse.data.sheets.map(sheet => sheet.properties.title);
-      
-      // Find Mapping sheet first (case-insensitive), then Master as fallback
-      const mappingSheet = allSheets.find(name => name.toLowerCase() === 'mapping');
-      if (mappingSheet) {
-        masterSheetName = mappingSheet;
-      } else {
-        const masterSheet = allSheets.find(name => name.toLowerCase() === 'master');
-        if (masterSheet) {
-          masterSheetName = masterSheet;
-        } else if (allSheets.length > 0) {
-          // If no exact match, use first sheet or one that contains "mapping" or "master"
-          const mappingLike = allSheets.find(name => name.toLowerCase().includes('mapping'));
-          if (mappingLike) {
-            masterSheetName = mappingLike;
-          } else {
-            const masterLike = allSheets.find(name => name.toLowerCase().includes('master'));
-            if (masterLike) {
-              masterSheetName = masterLike;
-            }
-          }
-        }
-      }
+      allSheets = await req.dataSource.listSheets();
     } catch (err) {
       console.error('[API] Error getting sheet names:', err.message);
     }
 
-    // Read Master sheet directly
-    let masterData = [];
-    try {
-      const response = await sheets.spreadsheets.values.get({
-        spreadsheetId,
-        range: `${masterSheetName}!A1:Z1000`,
-      });
-      masterData = response.data.values || [];
-    } catch (rangeError) {
-      console.error('[API] Error reading Master sheet:', rangeError.message);
-      return res.status(500).json({
-        error: 'Failed to read Master sheet',
-        details: rangeError.message,
-        availableSheets: allSheets,
-        masterSheetName: masterSheetName
-      });
-    }
+    const masterData = await req.dataSource.readSheet(masterSheetName);
     
     if (!masterData || masterData.length === 0) {
       return res.json({
-        error: 'Master sheet is empty or could not be read',
+        error: `${masterSheetName} sheet is empty or could not be read`,
+        availableSheets: allSheets,
+        masterSheetName,
         rowCount: 0,
         headers: []
       });
     }
 
     const header = masterData[0];
-    
-    // Find school ID column
-    let schoolIdIndex = header.findIndex(h => {
-      const lower = h.toLowerCase();
-      return lower.includes('opengrad') && lower.includes('school') && lower.includes('code');
-    });
-    if (schoolIdIndex === -1) {
-      schoolIdIndex = header.findIndex(h => h.toLowerCase().includes('school'));
+
+    let columns;
+    try {
+      columns = resolveMappingColumns(header, schema);
+    } catch (error) {
+      if (!(error instanceof ColumnResolutionError)) throw error;
+      return res.json({
+        error: error.message,
+        missingColumns: error.missing,
+        availableSheets: allSheets,
+        masterSheetName,
+        rowCount: masterData.length,
+        headers: header,
+        schema: schema.mapping.columns
+      });
     }
-    
-    const studentIdIndex = header.findIndex(h => h.toLowerCase().includes('student') && !h.toLowerCase().includes('school'));
 
     // Get unique school IDs (first 50)
     const schoolIds = new Set();
-    if (schoolIdIndex !== -1) {
-      for (let i = 1; i < Math.min(masterData.length, 1000); i++) {
-        const row = masterData[i];
-        if (row && row[schoolIdIndex]) {
-          const id = row[schoolIdIndex].toString().trim();
-          if (id) schoolIds.add(id);
-        }
-      }
+    for (let i = 1; i < masterData.length; i++) {
+      const id = masterData[i]?.[columns.schoolCode]?.toString().trim();
+      if (id) schoolIds.add(id);
     }
 
     res.json({
       rowCount: masterData.length,
       availableSheets: allSheets,
-      masterSheetName: masterSheetName,
+      masterSheetName,
       headers: header,
-      columnIndices: {
-        schoolId: schoolIdIndex,
-        studentId: studentIdIndex,
-        schoolColumnName: schoolIdIndex !== -1 ? header[schoolIdIndex] : null,
-        studentColumnName: studentIdIndex !== -1 ? header[studentIdIndex] : null
-      },
+      columnIndices: Object.fromEntries(
+        Object.entries(columns).map(([field, index]) => [field, {
+          index,
+          columnName: index !== -1 ? header[index] : null
+        }])
+      ),
       uniqueSchoolIds: Array.from(schoolIds).sort().slice(0, 50),
       sampleRows: masterData.slice(1, 6).map(row => {
         const obj = {};
         header.forEach((col, idx) => {
-          obj[col] = row[idx] || '';
+          // Never expose student sign-in secrets
+          obj[col] = idx === columns.secret ? '********' : row[idx] || '';
         });
         return obj;
       })
@@ -199,20 +400,166 @@ app.get('/api/debug/master', async (req, res) => {
     console.error('[API] Error in debug endpoint:', error);
     res.status(500).json({ 
       error: error.message,
-      details: 'Failed to read Master sheet'
+      details: 'Failed to read Mapping sheet'
+    });
+  }
+});
+
+// Data quality audit - scan Mapping and all test sheets for problems
+app.get('/api/admin/data-quality', adminOnly, async (req, res) => {
+  try {
+    if (!req.dataSource) {
+      return res.status(500).json({ 
+        error: 'Data source not initialized',
+        details: 'Check server logs for authentication errors.'
+      });
+    }
+
+    console.log('[API] Running data quality audit');
+    const result = await auditDataQuality(req.dataSource);
+    console.log(`[API] Data quality audit found ${result.summary.totalIssues} issues`);
+
+    res.json(result);
+  } catch (error) {
+    console.error('[API] Error running data quality audit:', error);
+    res.status(500).json({ 
+      error: `Failed to run data quality audit: ${error.message}`,
+      details: 'Check server logs for more details'
+    });
+  }
+});
+
+// Weekly coordinator digests: schedule, recipients and the latest sends
+app.get('/api/admin/digests', adminOnly, (req, res) => {
+  const { enabled, day, hour, from } = digestConfig();
+  res.json({
+    enabled,
+    schedule: { day, hour },
+    from,
+    recipients: listRecipients(),
+    log: readSendLog().slice(-100).reverse(),
+  });
+});
+
+// The next digest of a school as HTML (?format=text for the plain-text version); nothing is sent
+app.get('/api/admin/digests/preview', adminOnly, async (req, res) => {
+  try {
+    const schoolId = req.query.schoolId?.toString().trim();
+
+    if (!req.dataSource) {
+      return res.status(500).json({
+        error: 'Data source not initialized',
+        details: 'Check server logs for authentication errors.'
+      });
+    }
+
+    if (!schoolId) {
+      return res.status(400).json({ error: 'School ID is required' });
+    }
+
+    const preview = await previewDigest(req.dataSource, schoolId, { cohort: req.cohort });
+    if (preview.error) {
+      return res.status(404).json(preview);
+    }
+
+    if (req.query.format === 'text') {
+      return res.type('text/plain').send(`To: ${preview.recipients.join(', ') || '-'}\nSubject: ${preview.subject}\n\n${preview.text}`);
+    }
+    res.type('html').send(preview.html);
+  } catch (error) {
+    console.error('[API] Error previewing digest:', error);
+    const columnMismatch = error instanceof ColumnResolutionError;
+    res.status(500).json({
+      error: columnMismatch
+        ? 'Spreadsheet columns do not match the column schema'
+        : `Failed to preview digest: ${error.message}`,
+      details: columnMismatch ? error.message : 'Check server logs for more details'
+    });
+  }
+});
+
+// Send this week's digests now, instead of waiting for the scheduler. Digests
+// already sent this week are not sent again.
+app.post('/api/admin/digests/run', adminOnly, async (req, res) => {
+  if (!cohorts) {
+    return res.status(500).json({ error: 'Data source not initialized', details: 'Check server logs for authentication errors.' });
+  }
+  if (!digestConfig().enabled) {
+    return res.status(400).json({ error: 'Digests are off', details: 'Set SMTP_HOST (and SMTP_PORT, SMTP_USER, SMTP_PASS) to send digests.' });
+  }
+
+  try {
+    console.log(`[API] Sending digests (requested by ${req.user.username})`);
+    const sends = await runDigests(cohorts);
+    res.json({ sends });
+  } catch (error) {
+    console.error('[API] Error sending digests:', error);
+    res.status(500).json({
+      error: `Failed to send digests: ${error.message}`,
+      details: 'Check server logs for more details'
+    });
+  }
+});
+
+// Webhooks for new results: subscriptions and the latest delivery attempts
+app.get('/api/admin/webhooks', adminOnly, (req, res) => {
+  res.json({
+    pollIntervalSeconds: changePollIntervalSeconds,
+    webhooks: loadWebhooks().map(describeWebhook),
+    deliveries: readDeliveryLog().slice(-100).reverse(),
+  });
+});
+
+// Look for new test sheets and rows now instead of waiting for the next poll
+app.post('/api/admin/webhooks/check', adminOnly, async (req, res) => {
+  if (!cohorts) {
+    return res.status(500).json({ error: 'Data source not initialized', details: 'Check server logs for authentication errors.' });
+  }
+
+  try {
+    console.log(`[API] Checking for new results (requested by ${req.user.username})`);
+    const fired = await checkForChanges(cohorts);
+    res.json({ events: fired });
+  } catch (error) {
+    console.error('[API] Error checking for new results:', error);
+    res.status(500).json({
+      error: `Failed to check for new results: ${error.message}`,
+      details: 'Check server logs for more details'
+    });
+  }
+});
+
+// Send a signed test event to one webhook, to check the receiving end
+app.post('/api/admin/webhooks/ping', adminOnly, async (req, res) => {
+  const webhookId = req.query.webhookId?.toString().trim();
+  const webhook = loadWebhooks().find(w => w.id === webhookId);
+  if (!webhook) {
+    return res.status(404).json({ error: `Unknown webhook "${webhookId || ''}"`, details: 'See GET /api/admin/webhooks for the configured webhooks.' });
+  }
+
+  try {
+    console.log(`[API] Pinging webhook ${webhook.id} (requested by ${req.user.username})`);
+    const delivery = await deliver(webhook, createEvent(WEBHOOK_EVENTS.PING, { webhookId: webhook.id }));
+    res.json({ delivery });
+  } catch (error) {
+    console.error('[API] Error pinging webhook:', error);
+    res.status(500).json({
+      error: `Failed to ping webhook: ${error.message}`,
+      details: 'Check server logs for more details'
     });
   }
 });
 
 // Get student tests (attendance status)
-app.get('/api/student/tests', async (req, res) => {
+app.get('/api/student/tests', canReadStudent, async (req, res) => {
   try {
-    const { studentId, schoolId } = req.query;
+    const { schoolId } = req.query;
+    const studentId = requestedStudentId(req);
 
-    if (!sheets || !spreadsheetId) {
+    if (!req.dataSource) {
       return res.status(500).json({ 
-        error: 'Google Sheets API not initialized. Check server logs for authentication errors.',
-        details: 'The server may not be properly configured with Google Sheets credentials.'
+        error: 'Data source not initialized. Check server logs for authentication errors.',
+        details: 'The server may not be properly configured with Google Sheets credentials or a local data directory.'
       });
     }
 
@@ -221,13 +568,13 @@ app.get('/api/student/tests', async (req, res) => {
     }
 
     console.log(`[API] Fetching tests for student: ${studentId}${schoolId ? `, school: ${schoolId}` : ''}`);
-    const result = await getStudentTests(sheets, spreadsheetId, studentId, schoolId || null);
+    const result = await getStudentTests(req.dataSource, studentId, schoolId || null);
 
     if (result.error) {
       console.error(`[API] Error for student ${studentId}:`, result.error);
     }
 
-    res.json(result);
+    res.json(redactAmbiguities(req.user, result));
   } catch (error) {
     console.error('[API] Error fetching student tests:', error);
     const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
@@ -240,15 +587,88 @@ app.get('/api/student/tests', async (req, res) => {
   }
 });
 
+// Printable report card of a student, as a PDF
+app.get('/api/student/report.pdf', canReadStudent, async (req, res) => {
+  try {
+    const studentId = requestedStudentId(req);
+
+    if (!req.dataSource) {
+      return res.status(500).json({
+        error: 'Data source not initialized. Check server logs for authentication errors.',
+        details: 'The server may not be properly configured with Google Sheets credentials or a local data directory.'
+      });
+    }
+
+    if (!studentId) {
+      return res.status(400).json({ error: 'Student ID is required' });
+    }
+
+    console.log(`[API] Building report card for student: ${studentId}`);
+    const report = await getReportCard(req.dataSource, studentId);
+    if (report.error) {
+      return res.status(404).json({ error: report.error });
+    }
+
+    // Built in full before anything is sent, so a failure still gets the JSON error below
+    const pdf = await renderToBuffer(stream => renderReportCard(report, stream, { cohortName: req.cohort?.name }));
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="report-card-${studentId.replace(/[^\w.-]+/g, '_')}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('[API] Error building report card:', error);
+    const columnMismatch = error instanceof ColumnResolutionError;
+    res.status(500).json({
+      error: columnMismatch
+        ? 'Spreadsheet columns do not match the column schema'
+        : `Failed to build report card: ${error.message}`,
+      details: columnMismatch ? error.message : 'Check server logs for more details'
+    });
+  }
+});
+
+// Live updates of a student's released tests, as Server-Sent Events (see liveUpdates.js)
+app.get('/api/student/live', canReadStudent, async (req, res) => {
+  try {
+    const studentId = requestedStudentId(req);
+
+    if (!req.dataSource) {
+      return res.status(500).json({
+        error: 'Data source not initialized. Check server logs for authentication errors.',
+        details: 'The server may not be properly configured with Google Sheets credentials or a local data directory.'
+      });
+    }
+
+    if (!studentId) {
+      return res.status(400).json({ error: 'Student ID is required' });
+    }
+
+    const schoolCodes = await studentSchoolCodes(req.dataSource, studentId);
+    console.log(`[API] Streaming live updates for student: ${studentId}`);
+    openLiveStream(req, res, {
+      cohortId: req.cohort.id,
+      schoolCodes,
+      forStudent: true,
+      pollIntervalSeconds: livePollIntervalSeconds,
+    });
+  } catch (error) {
+    console.error('[API] Error opening live updates:', error);
+    res.status(500).json({
+      error: `Failed to open live updates: ${error.message}`,
+      details: 'Check server logs for more details'
+    });
+  }
+});
+
 // Get detailed test results for a student
-app.get('/api/student/test-details', async (req, res) => {
+app.get('/api/student/test-details', canReadStudent, async (req, res) => {
   try {
-    const { studentId, testName } = req.query;
+    const { testName } = req.query;
+    const studentId = requestedStudentId(req);
 
-    if (!sheets || !spreadsheetId) {
+    if (!req.dataSource) {
       return res.status(500).json({ 
-        error: 'Google Sheets API not initialized. Check server logs for authentication errors.',
-        details: 'The server may not be properly configured with Google Sheets credentials.'
+        error: 'Data source not initialized. Check server logs for authentication errors.',
+        details: 'The server may not be properly configured with Google Sheets credentials or a local data directory.'
       });
     }
 
@@ -257,13 +677,16 @@ app.get('/api/student/test-details', async (req, res) => {
     }
 
     console.log(`[API] Fetching test details for student: ${studentId}, test: ${testName}`);
-    const result = await getTestDetails(sheets, spreadsheetId, studentId, testName);
+    const result = await getTestDetails(req.dataSource, studentId, testName);
+    if (result.notFound) {
+      return res.status(404).json({ error: result.error, details: `"${testName}" is not a test sheet in this cohort.` });
+    }
 
     if (result.error) {
       console.error(`[API] Error for student ${studentId}, test ${testName}:`, result.error);
     }
 
-    res.json(result);
+    res.json(redactAmbiguities(req.user, result));
   } catch (error) {
     console.error('[API] Error fetching test details:', error);
     const errorMessage = error.response?.data?.error || error.message || 'Unknown error occurred';
@@ -277,15 +700,89 @@ app.get('/api/student/test-details', async (req, res) => {
   }
 });
 
+// Get a student's tests in every cohort they appear in (default cohort first)
+app.get('/api/student/history', async (req, res) => {
+  try {
+    const studentId = requestedStudentId(req);
+
+    if (!cohorts) {
+      return res.status(500).json({
+        error: 'Data source not initialized. Check server logs for authentication errors.',
+        details: 'The server may not be properly configured with Google Sheets credentials or a local data directory.'
+      });
+    }
+
+    if (!studentId) {
+      return res.status(400).json({ error: 'Student ID is required' });
+    }
+
+    console.log(`[API] Fetching history for student: ${studentId}`);
+    const history = [];
+    let denied = 0;
+
+    for (const cohort of cohorts.listDefaultFirst()) {
+      const entry = { cohort: describeCohort(cohort) };
+      try {
+        assertCohortAccess(req.user, cohort.id);
+        if (!cohort.dataSource) {
+          history.push({ ...entry, error: `Cohort could not be initialized: ${cohort.error}` });
+          continue;
+        }
+
+        const source = createRequestSnapshot(cohort.dataSource);
+        await assertStudentAccess(req.user, source, studentId);
+
+        const result = await getStudentTests(source, studentId);
+        if (result.error) continue; // not in this cohort
+
+        history.push({ ...entry, ...redactAmbiguities(req.user, result) });
+      } catch (error) {
+        if (error instanceof AccessDeniedError) {
+          denied++;
+          continue;
+        }
+        console.error(`[API] Error reading history for student ${studentId} in cohort ${cohort.id}:`, error.message);
+        history.push({ ...entry, error: error.message });
+      }
+    }
+
+    if (history.length === 0 && denied > 0) {
+      console.warn(`[Access] Denied ${req.method} ${req.path} for ${req.user.role} ${req.user.username}: student ${studentId} in every cohort`);
+      return res.status(403).json({ error: 'Access denied', details: `You do not have access to student ${studentId}` });
+    }
+
+    const response = {
+      studentId,
+      cohorts: history,
+      error: history.length === 0 ? 'Student not found in any cohort' : undefined,
+    };
+
+    const format = parseExportFormat(req.query.format);
+    if (format) {
+      if (response.error) return res.status(404).json(response);
+      return sendTables(res, format, `results-${studentId}`, [studentHistoryTable(response)]);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('[API] Error fetching student history:', error);
+    res.status(500).json({
+      error: `Failed to fetch student history: ${error.message}`,
+      details: 'Check server logs for more details',
+      studentId: req.query.studentId
+    });
+  }
+});
+
 // Get enriched test sheet data
-app.get('/api/test/enriched', async (req, res) => {
+app.get('/api/test/enriched', adminOnly, async (req, res) => {
   try {
     const { testName } = req.query;
 
-    if (!sheets || !spreadsheetId) {
+    if (!req.dataSource) {
       return res.status(500).json({ 
-        error: 'Google Sheets API not initialized. Check server logs for authentication errors.',
-        details: 'The server may not be properly configured with Google Sheets credentials.'
+        error: 'Data source not initialized. Check server logs for authentication errors.',
+        details: 'The server may not be properly configured with Google Sheets credentials or a local data directory.'
       });
     }
 
@@ -293,8 +790,12 @@ app.get('/api/test/enriched', async (req, res) => {
       return res.status(400).json({ error: 'Test name is required' });
     }
 
-    const { enrichTestSheet } = await import('./sheetsService.js');
-    const enrichedData = await enrichTestSheet(sheets, spreadsheetId, testName);
+    const enrichedData = await enrichTestSheet(req.dataSource, testName);
+
+    const format = parseExportFormat(req.query.format);
+    if (format) {
+      return sendTables(res, format, testName, [enrichedTestTable(testName, enrichedData)]);
+    }
 
     res.json({
       testName,
@@ -312,14 +813,14 @@ app.get('/api/test/enriched', async (req, res) => {
 });
 
 // Get school statistics
-app.get('/api/school/stats', async (req, res) => {
+app.get('/api/school/stats', canReadSchool, async (req, res) => {
   try {
-    const { schoolId } = req.query;
+    const schoolId = requestedSchoolId(req);
 
-    if (!sheets || !spreadsheetId) {
+    if (!req.dataSource) {
       return res.status(500).json({ 
-        error: 'Google Sheets API not initialized. Check server logs for authentication errors.',
-        details: 'The server may not be properly configured with Google Sheets credentials.',
+        error: 'Data source not initialized. Check server logs for authentication errors.',
+        details: 'The server may not be properly configured with Google Sheets credentials or a local data directory.',
         troubleshooting: [
           '1. Verify .env file exists in backend directory',
           '2. Check GOOGLE_SERVICE_ACCOUNT_EMAIL and GOOGLE_PRIVATE_KEY are set',
@@ -334,7 +835,11 @@ app.get('/api/school/stats', async (req, res) => {
     }
 
     console.log(`[API] Fetching stats for school: ${schoolId}`);
-    const result = await getSchoolStats(sheets, spreadsheetId, schoolId);
+    const result = await getSchoolStats(req.dataSource, schoolId, {
+      bins: parseBins(req.query.bins),
+      grade: req.query.grade?.trim() || null,
+      section: req.query.section?.trim() || null,
+    });
 
     if (result.error) {
       console.error(`[API] Error for school ${schoolId}:`, result.error);
@@ -342,6 +847,12 @@ app.get('/api/school/stats', async (req, res) => {
       console.log(`[API] Successfully fetched stats for school ${schoolId}: ${result.totalStudents} students, ${result.testStats?.length || 0} tests`);
     }
 
+    const format = parseExportFormat(req.query.format);
+    if (format) {
+      if (result.error) return res.status(404).json(result);
+      return sendTables(res, format, `school-stats-${schoolId}`, schoolStatsTables(result));
+    }
+
     res.json(result);
   } catch (error) {
     console.error('[API] Error fetching school stats:', error);
@@ -385,16 +896,233 @@ app.get('/api/school/stats', async (req, res) => {
   }
 });
 
+// Attendance of every student of a school in every test (?format=csv or xlsx to download)
+app.get('/api/school/attendance', canReadSchool, async (req, res) => {
+  try {
+    const schoolId = requestedSchoolId(req);
+
+    if (!req.dataSource) {
+      return res.status(500).json({
+        error: 'Data source not initialized. Check server logs for authentication errors.',
+        details: 'The server may not be properly configured with Google Sheets credentials or a local data directory.'
+      });
+    }
+
+    if (!schoolId) {
+      return res.status(400).json({ error: 'School ID is required' });
+    }
+
+    console.log(`[API] Fetching attendance for school: ${schoolId}`);
+    const result = await getAttendanceMatrix(req.dataSource, schoolId, {
+      grade: req.query.grade?.trim() || null,
+      section: req.query.section?.trim() || null,
+    });
+
+    if (result.error) {
+      return res.status(404).json(result);
+    }
+
+    const format = parseExportFormat(req.query.format);
+    if (format) {
+      return sendTables(res, format, `attendance-${schoolId}`, [attendanceTable(result)]);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('[API] Error fetching attendance:', error);
+    const columnMismatch = error instanceof ColumnResolutionError;
+    res.status(500).json({
+      error: columnMismatch
+        ? 'Spreadsheet columns do not match the column schema'
+        : `Failed to fetch attendance: ${error.message}`,
+      details: columnMismatch ? error.message : 'Check server logs for more details'
+    });
+  }
+});
+
+// Absent students of a school for each test, and students who missed several tests.
+// ?format=csv (or xlsx) downloads every absence, adding &list=chronic the chronic absentees.
+app.get('/api/school/absentees', canReadSchool, async (req, res) => {
+  try {
+    const schoolId = requestedSchoolId(req);
+
+    if (!req.dataSource) {
+      return res.status(500).json({
+        error: 'Data source not initialized. Check server logs for authentication errors.',
+        details: 'The server may not be properly configured with Google Sheets credentials or a local data directory.'
+      });
+    }
+
+    if (!schoolId) {
+      return res.status(400).json({ error: 'School ID is required' });
+    }
+
+    console.log(`[API] Fetching absentees for school: ${schoolId}`);
+    const result = await getAbsentees(req.dataSource, schoolId, {
+      grade: req.query.grade?.trim() || null,
+      section: req.query.section?.trim() || null,
+      minMissed: parseMinMissed(req.query.minMissed),
+    });
+
+    if (result.error) {
+      return res.status(404).json(result);
+    }
+
+    const format = parseExportFormat(req.query.format);
+    if (format) {
+      const chronic = req.query.list === 'chronic';
+      return sendTables(
+        res,
+        format,
+        `${chronic ? 'chronic-absentees' : 'absentees'}-${schoolId}`,
+        [chronic ? chronicAbsenteesTable(result) : absenteesTable(result)]
+      );
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('[API] Error fetching absentees:', error);
+    const columnMismatch = error instanceof ColumnResolutionError;
+    res.status(500).json({
+      error: columnMismatch
+        ? 'Spreadsheet columns do not match the column schema'
+        : `Failed to fetch absentees: ${error.message}`,
+      details: columnMismatch ? error.message : 'Check server logs for more details'
+    });
+  }
+});
+
+// Live updates of a school's tests, as Server-Sent Events (see liveUpdates.js)
+app.get('/api/school/live', canReadSchool, (req, res) => {
+  const schoolId = requestedSchoolId(req);
+
+  if (!req.dataSource) {
+    return res.status(500).json({
+      error: 'Data source not initialized. Check server logs for authentication errors.',
+      details: 'The server may not be properly configured with Google Sheets credentials or a local data directory.'
+    });
+  }
+
+  if (!schoolId) {
+    return res.status(400).json({ error: 'School ID is required' });
+  }
+
+  console.log(`[API] Streaming live updates for school: ${schoolId}`);
+  openLiveStream(req, res, {
+    cohortId: req.cohort.id,
+    schoolCodes: new Set([schoolId]),
+    pollIntervalSeconds: livePollIntervalSeconds,
+  });
+});
+
+// Start building the report card of every student of a school, as a ZIP file.
+// Answers 202 with the job (or the job already running for the school).
+app.post('/api/school/report-cards', canReadSchool, (req, res) => {
+  const schoolId = requestedSchoolId(req);
+
+  if (!req.dataSource) {
+    return res.status(500).json({
+      error: 'Data source not initialized. Check server logs for authentication errors.',
+      details: 'The server may not be properly configured with Google Sheets credentials or a local data directory.'
+    });
+  }
+
+  if (!schoolId) {
+    return res.status(400).json({ error: 'School ID is required' });
+  }
+
+  console.log(`[API] Starting report cards for school: ${schoolId}`);
+  const job = startReportCardJob(req.dataSource, {
+    schoolId,
+    cohortId: req.cohort.id,
+    cohortName: req.cohort.name,
+  });
+  res.status(202).json(describeJob(job));
+});
+
+// Progress of a report card job (?jobId=, or the school's latest job; null when there is none)
+app.get('/api/school/report-cards', canReadSchool, (req, res) => {
+  const schoolId = requestedSchoolId(req);
+  if (!schoolId) {
+    return res.status(400).json({ error: 'School ID is required' });
+  }
+
+  const jobId = req.query.jobId?.toString().trim() || null;
+  const job = findJob(schoolId, req.cohort?.id, jobId);
+  if (!job && jobId) {
+    return res.status(404).json({ error: 'Report card job not found', details: 'Finished jobs expire, start a new one.' });
+  }
+  res.json({ job: job ? describeJob(job) : null });
+});
+
+// ZIP file of a finished report card job
+app.get('/api/school/report-cards/download', canReadSchool, (req, res) => {
+  const schoolId = requestedSchoolId(req);
+  const jobId = req.query.jobId?.toString().trim();
+  if (!schoolId || !jobId) {
+    return res.status(400).json({ error: 'School ID and job ID are required' });
+  }
+
+  const job = findJob(schoolId, req.cohort?.id, jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Report card job not found', details: 'Finished jobs expire, start a new one.' });
+  }
+  if (job.status !== JOB_STATUS.DONE) {
+    return res.status(409).json({ error: `Report card job is ${job.status}`, details: job.error || undefined });
+  }
+
+  res.download(job.filePath, `report-cards-${schoolId.replace(/[^\w.-]+/g, '_')}.zip`, (error) => {
+    if (error && !res.headersSent) {
+      console.error('[API] Error sending report cards:', error.message);
+      res.status(404).json({ error: 'Report card file not found', details: 'Finished jobs expire, start a new one.' });
+    }
+  });
+});
+
+// Get statistics for every school (district officers see their district)
+app.get('/api/org/stats', orgWide, async (req, res) => {
+  try {
+    if (!req.dataSource) {
+      return res.status(500).json({ 
+        error: 'Data source not initialized. Check server logs for authentication errors.',
+        details: 'The server may not be properly configured with Google Sheets credentials or a local data directory.'
+      });
+    }
+
+    const schoolCodes = req.user.role === ROLES.DISTRICT ? await getDistrictSchools(req.dataSource, req.user) : null;
+
+    console.log(`[API] Fetching organization stats${schoolCodes ? ` for ${schoolCodes.size} district schools` : ''}`);
+    const result = await getOrgStats(req.dataSource, { schoolCodes });
+    console.log(`[API] Successfully fetched organization stats: ${result.totalSchools} schools, ${result.tests.length} tests`);
+
+    res.json(result);
+  } catch (error) {
+    console.error('[API] Error fetching organization stats:', error);
+    const columnMismatch = error instanceof ColumnResolutionError;
+    res.status(500).json({ 
+      error: columnMismatch
+        ? 'Spreadsheet columns do not match the column schema'
+        : `Failed to fetch organization statistics: ${error.message}`,
+      details: columnMismatch ? error.message : 'Check server logs for more details'
+    });
+  }
+});
+
 // Initialize and start server
-initializeSheets()
+initializeCohorts()
   .then(() => {
+    startDigestSchedule(cohorts);
+    startChangeWatcher(cohorts, {
+      intervalMs: changePollIntervalSeconds * 1000,
+      liveIntervalMs: livePollIntervalSeconds * 1000,
+    });
     app.listen(PORT, () => {
       console.log(`🚀 Server running on http://localhost:${PORT}`);
       console.log(`📊 Health check: http://localhost:${PORT}/health`);
     });
   })
   .catch((error) => {
-    console.error('❌ Failed to initialize Google Sheets API:', error.message);
+    console.error('❌ Failed to initialize data source:', error.message);
     console.error('   Server will start but API endpoints may not work.');
     console.error('   Please check your .env file configuration.');
     
@@ -402,7 +1130,7 @@ initializeSheets()
     app.listen(PORT, () => {
       console.log(`🚀 Server running on http://localhost:${PORT} (with errors)`);
       console.log(`📊 Health check: http://localhost:${PORT}/health`);
-      console.log('⚠️  Google Sheets API is not initialized. API endpoints will return errors.');
+      console.log('⚠️  Data source is not initialized. API endpoints will return errors.');
     });
   });
 
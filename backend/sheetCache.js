@@ -0,0 +1,163 @@
+/**
+ * Sheet Cache
+ * Keeps an in-memory snapshot of sheet contents shared by all requests, so a
+ * page load does not re-read the same sheets from the data source.
+ */
+
+import { settleSheetReads, sheetRows } from './dataSources.js';
+
+const DEFAULT_TTL_MS = 60 * 1000;
+
+/**
+ * Wrap a data source with a shared TTL cache.
+ * In-flight reads are shared too, so concurrent requests for the same sheet
+ * result in a single call to the underlying source.
+ */
+export function createCachedSource(source, { ttlMs = DEFAULT_TTL_MS } = {}) {
+  // key -> { promise, loadedAt }
+  const entries = new Map();
+  const stats = {
+    hits: 0,
+    misses: 0,
+    invalidations: 0,
+    lastInvalidatedAt: null,
+  };
+
+  const isFresh = (entry) => entry && Date.now() - entry.loadedAt < ttlMs;
+
+  const remember = (key, promise) => {
+    const entry = { promise, loadedAt: Date.now() };
+    entries.set(key, entry);
+    // Don't keep failures around, the next request should retry
+    promise.catch(() => {
+      if (entries.get(key) === entry) entries.delete(key);
+    });
+    return promise;
+  };
+
+  const lookup = (key) => {
+    const entry = entries.get(key);
+    if (isFresh(entry)) {
+      stats.hits++;
+      return entry.promise;
+    }
+    stats.misses++;
+    return null;
+  };
+
+  return {
+    type: source.type,
+    description: source.description,
+    columnSchema: source.columnSchema,
+    results: source.results,
+    source,
+
+    listSheets() {
+      return lookup('list') || remember('list', source.listSheets());
+    },
+
+    readSheet(sheetName) {
+      const key = `sheet:${sheetName}`;
+      return lookup(key) || remember(key, source.readSheet(sheetName));
+    },
+
+    /**
+     * Read several sheets, fetching only the ones missing from the cache in one batch
+     */
+    async readSheets(sheetNames) {
+      const pending = new Map();
+      const missing = [];
+      for (const name of new Set(sheetNames)) {
+        const cached = lookup(`sheet:${name}`);
+        if (cached) {
+          pending.set(name, cached);
+        } else {
+          missing.push(name);
+        }
+      }
+
+      if (missing.length > 0) {
+        const batch = source.readSheets(missing);
+        for (const name of missing) {
+          // A sheet that failed rejects, so it is dropped from the cache and retried next time
+          pending.set(name, remember(`sheet:${name}`, batch.then(results => sheetRows(results, name))));
+        }
+      }
+
+      return settleSheetReads(pending);
+    },
+
+    /**
+     * Drop one sheet (or everything when no name is given) from the cache, along
+     * with what the source keeps between reads (e.g. Google grid sizes)
+     */
+    invalidate(sheetName = null) {
+      if (sheetName) {
+        entries.delete(`sheet:${sheetName}`);
+      } else {
+        entries.clear();
+      }
+      source.invalidate?.();
+      stats.invalidations++;
+      stats.lastInvalidatedAt = new Date().toISOString();
+    },
+
+    getStats() {
+      const lookups = stats.hits + stats.misses;
+      return {
+        ...stats,
+        hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 10000) / 100 : 0,
+        entries: entries.size,
+        ttlSeconds: ttlMs / 1000,
+      };
+    },
+  };
+}
+
+/**
+ * Request-scoped view of a data source.
+ * Every sheet is read at most once per request, and all computations in the
+ * request see the same data even if the shared cache expires halfway through.
+ */
+export function createRequestSnapshot(source) {
+  const sheetReads = new Map();
+  let sheetList = null;
+
+  // A failed read stays failed for the rest of the request, so every part of the
+  // response agrees on which sheets are missing
+  const remember = (sheetName, promise) => {
+    promise.catch(() => {});
+    sheetReads.set(sheetName, promise);
+  };
+
+  return {
+    type: source.type,
+    description: source.description,
+    columnSchema: source.columnSchema,
+    results: source.results,
+
+    listSheets() {
+      if (!sheetList) sheetList = source.listSheets();
+      return sheetList;
+    },
+
+    readSheet(sheetName) {
+      if (!sheetReads.has(sheetName)) {
+        remember(sheetName, source.readSheet(sheetName));
+      }
+      return sheetReads.get(sheetName);
+    },
+
+    async readSheets(sheetNames) {
+      const missing = [...new Set(sheetNames)].filter(name => !sheetReads.has(name));
+      if (missing.length > 0) {
+        const batch = source.readSheets(missing);
+        for (const name of missing) {
+          remember(name, batch.then(results => sheetRows(results, name)));
+        }
+      }
+
+      return settleSheetReads(sheetNames.map(name => [name, sheetReads.get(name)]));
+    },
+  };
+}
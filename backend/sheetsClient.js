@@ -0,0 +1,144 @@
+/**
+ * Quota-aware Google Sheets Client
+ * Wraps the googleapis Sheets client so every call:
+ *   - waits for a free slot (at most `maxConcurrent` requests in flight)
+ *   - retries rate limits (429), server errors (5xx) and network failures with
+ *     exponential backoff and jitter, honouring Retry-After when Google sends it
+ *
+ * Only the calls the data source uses are wrapped: spreadsheets.get,
+ * spreadsheets.values.get and spreadsheets.values.batchGet.
+ */
+
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ESOCKETTIMEDOUT'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * HTTP status of a googleapis (gaxios) error, if any
+ */
+export function errorStatus(error) {
+  const status = error?.response?.status ?? error?.status ?? (/^\d{3}$/.test(error?.code) ? Number(error.code) : null);
+  return Number.isInteger(status) ? status : null;
+}
+
+export function isRetryableError(error) {
+  const status = errorStatus(error);
+  if (status !== null) return RETRYABLE_STATUS.includes(status);
+  return RETRYABLE_NETWORK_CODES.includes(error?.code);
+}
+
+/**
+ * Retry-After header in milliseconds (seconds or an HTTP date), or null
+ */
+function retryAfterMs(error) {
+  const header = error?.response?.headers?.['retry-after'];
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Limit the number of promises running at once. Calls over the limit wait in FIFO order.
+ */
+function createConcurrencyLimiter(maxConcurrent) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= maxConcurrent || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return {
+    run(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+      });
+    },
+    get active() {
+      return active;
+    },
+    get queued() {
+      return queue.length;
+    },
+  };
+}
+
+/**
+ * Wrap a googleapis Sheets client (google.sheets({ version: 'v4', ... }))
+ */
+export function createQuotaAwareSheetsClient(sheets, {
+  maxRetries = 5,
+  baseDelayMs = 500,
+  maxDelayMs = 30000,
+  maxConcurrent = 4,
+} = {}) {
+  const limiter = createConcurrencyLimiter(maxConcurrent);
+  const stats = {
+    requests: 0,
+    retries: 0,
+    rateLimited: 0,
+    failures: 0,
+    lastFailure: null,
+  };
+
+  async function withRetry(label, fn) {
+    for (let attempt = 0; ; attempt++) {
+      stats.requests++;
+      try {
+        return await fn();
+      } catch (error) {
+        const status = errorStatus(error);
+        if (status === 429) stats.rateLimited++;
+
+        if (!isRetryableError(error) || attempt >= maxRetries) {
+          stats.failures++;
+          stats.lastFailure = { call: label, status, message: error.message, at: new Date().toISOString() };
+          throw error;
+        }
+
+        // Exponential backoff with jitter, at least as long as Google asks for
+        const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+        const delay = Math.max(retryAfterMs(error) ?? 0, backoff / 2 + Math.random() * (backoff / 2));
+        stats.retries++;
+        console.warn(`[SheetsClient] ${label} failed (${status || error.code}), retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // A request keeps its slot while it backs off, so retries do not add to the load
+  const call = (label, fn) => limiter.run(() => withRetry(label, fn));
+
+  return {
+    spreadsheets: {
+      get: (params) => call('spreadsheets.get', () => sheets.spreadsheets.get(params)),
+      values: {
+        get: (params) => call(`values.get ${params.range}`, () => sheets.spreadsheets.values.get(params)),
+        batchGet: (params) => call(
+          `values.batchGet (${params.ranges.length} ranges)`,
+          () => sheets.spreadsheets.values.batchGet(params)
+        ),
+      },
+    },
+
+    getStats() {
+      return {
+        ...stats,
+        active: limiter.active,
+        queued: limiter.queued,
+        maxConcurrent,
+        maxRetries,
+      };
+    },
+  };
+}
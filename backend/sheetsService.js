@@ -1,271 +1,334 @@
 /**
- * Google Sheets Service
- * Handles all interactions with Google Sheets API
+ * Sheets Service
+ * Computes dashboard data from a spreadsheet data source (see dataSources.js)
  */
 
-// Cache for sheet metadata
-let sheetMetadata = null;
+import { listTests } from './testConfig.js';
+import {
+  schemaOf,
+  resolveMappingColumns,
+  resolveAliasColumns,
+  resolveTestColumns,
+  ColumnResolutionError,
+} from './columnResolver.js';
+import { SheetReadError } from './dataSources.js';
+import { createIdentityIndex, matchTestRows } from './identity.js';
+import { createTestScorer, summarizeScores, summarizeSections, weakestSection, commonMaxMarks } from './scoring.js';
+import { describeScores, percentileRank, slope, trendOf, DEFAULT_HISTOGRAM_BINS } from './statistics.js';
+
+// Errors that must reach the API instead of being read as "no data"
+const isDataError = (error) => error instanceof ColumnResolutionError || error instanceof SheetReadError;
 
 /**
- * Get all sheet names from the spreadsheet
+ * Partial-data warning for a sheet that could not be read
  */
-async function getSheetNames(sheets, spreadsheetId) {
-  try {
-    if (!sheets || !spreadsheetId) {
-      throw new Error('Google Sheets API not initialized. Missing sheets client or spreadsheet ID.');
-    }
-    const response = await sheets.spreadsheets.get({
-      spreadsheetId,
-    });
-    return response.data.sheets.map(sheet => sheet.properties.title);
-  } catch (error) {
-    console.error('[SheetsService] Error fetching sheet names:', error.message);
-    if (error.response) {
-      const status = error.response.status;
-      const message = error.response.data?.error?.message || error.message;
-      if (status === 403) {
-        throw new Error(`Permission denied (403): ${message}. Make sure the service account has access to the spreadsheet.`);
-      } else if (status === 404) {
-        throw new Error(`Spreadsheet not found (404): ${message}. Check that the spreadsheet ID is correct.`);
-      } else if (status === 401) {
-        throw new Error(`Authentication failed (401): ${message}. Check your service account credentials.`);
-      }
-      throw new Error(`Google Sheets API error (${status}): ${message}`);
-    }
-    throw new Error(`Failed to fetch sheet names: ${error.message}`);
-  }
+export function sheetWarning(error, consequence) {
+  return {
+    sheet: error.sheet,
+    message: `${error.message}. ${consequence}`,
+    retryable: error.retryable,
+  };
 }
 
 /**
- * Read data from a specific sheet
+ * Trimmed string value of a cell, '' when the column is not configured or empty
  */
-async function readSheet(sheets, spreadsheetId, sheetName, range = null) {
-  try {
-    const rangeStr = range || `${sheetName}!A:Z`;
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: rangeStr,
-    });
-    return response.data.values || [];
-  } catch (error) {
-    console.error(`Error reading sheet ${sheetName}:`, error);
-    return [];
-  }
+export function cellValue(row, index) {
+  if (index === -1 || !row) return '';
+  return row[index]?.toString().trim() || '';
 }
 
 /**
- * Build a lookup map from Mapping sheet: UserName -> {schoolName, schoolCode, udsieCode, emisId}
- * This allows us to enrich test sheet data with student information
+ * Read the Mapping sheet and resolve its columns from the column schema.
+ * Throws ColumnResolutionError when a configured column is missing.
  */
-async function buildStudentLookupMap(sheets, spreadsheetId) {
-  try {
-    const masterData = await readSheet(sheets, spreadsheetId, 'Mapping');
-    
-    if (!masterData || masterData.length === 0) {
-      return new Map();
-    }
+export async function readMapping(source) {
+  const schema = schemaOf(source);
+  const masterData = await source.readSheet(schema.mapping.sheet);
 
-    const header = masterData[0];
-    
-    // Find column indices
-    const userNameIndex = header.findIndex(h => h.toLowerCase() === 'username');
-    const schoolNameIndex = header.findIndex(h => {
-      const lower = h.toLowerCase();
-      return lower.includes('school') && lower.includes('name');
-    });
-    const schoolCodeIndex = header.findIndex(h => {
-      const lower = h.toLowerCase();
-      return lower.includes('opengrad') && lower.includes('school') && lower.includes('code');
-    });
-    const udsieCodeIndex = header.findIndex(h => {
-      const lower = h.toLowerCase();
-      return lower.includes('udsie') || (lower.includes('school') && lower.includes('code') && !lower.includes('opengrad'));
-    });
-    const emisIdIndex = header.findIndex(h => h.toLowerCase() === 'emis_id' || h.toLowerCase().includes('emis'));
+  if (!masterData || masterData.length === 0) {
+    return { header: [], rows: [], columns: null };
+  }
 
-    if (userNameIndex === -1) {
-      console.warn('[SheetsService] Could not find UserName column in Mapping sheet');
-      return new Map();
-    }
+  const header = masterData[0];
+  return {
+    header,
+    rows: masterData.slice(1),
+    columns: resolveMappingColumns(header, schema),
+  };
+}
 
-    const lookupMap = new Map();
-    
-    for (let i = 1; i < masterData.length; i++) {
-      const row = masterData[i];
-      if (!row || row.length === 0) continue;
-      
-      const userName = row[userNameIndex]?.toString().trim();
-      if (!userName) continue;
-
-      lookupMap.set(userName, {
-        userName: userName,
-        schoolName: schoolNameIndex !== -1 ? (row[schoolNameIndex]?.toString().trim() || '') : '',
-        schoolCode: schoolCodeIndex !== -1 ? (row[schoolCodeIndex]?.toString().trim() || '') : '',
-        udsieCode: udsieCodeIndex !== -1 ? (row[udsieCodeIndex]?.toString().trim() || '') : '',
-        emisId: emisIdIndex !== -1 ? (row[emisIdIndex]?.toString().trim() || '') : '',
+/**
+ * Rows of the optional Aliases sheet: [{ alias, userName, row }]
+ */
+async function readAliases(source) {
+  const schema = schemaOf(source);
+  const aliasSheet = (await source.listSheets()).find(name => name.toLowerCase() === schema.aliases.sheet.toLowerCase());
+  if (!aliasSheet) return [];
+
+  const aliasData = await source.readSheet(aliasSheet);
+  if (aliasData.length === 0) return [];
+
+  const columns = resolveAliasColumns(aliasData[0], schema);
+  return aliasData.slice(1)
+    .map((row, idx) => ({
+      alias: cellValue(row, columns.alias),
+      userName: cellValue(row, columns.userName),
+      row: idx + 2, // header is row 1
+    }))
+    .filter(entry => entry.alias || entry.userName);
+}
+
+/**
+ * Identity index of the Mapping students and their aliases, used to match
+ * test sheet rows to students (see identity.js)
+ */
+export async function buildIdentityIndex(source) {
+  const schema = schemaOf(source);
+  const { rows, columns } = await readMapping(source);
+
+  const students = [];
+  if (columns) {
+    rows.forEach((row, idx) => {
+      const userName = cellValue(row, columns.userName);
+      if (!userName) return;
+      students.push({
+        userName,
+        studentName: cellValue(row, columns.studentName),
+        schoolName: cellValue(row, columns.schoolName),
+        schoolCode: cellValue(row, columns.schoolCode),
+        udsieCode: cellValue(row, columns.udsieCode),
+        emisId: cellValue(row, columns.emisId),
+        grade: cellValue(row, columns.grade),
+        section: cellValue(row, columns.section),
+        row: idx + 2,
       });
-    }
+    });
+  }
 
-    console.log(`[SheetsService] Built student lookup map with ${lookupMap.size} students`);
-    return lookupMap;
-  } catch (error) {
-    console.error('[SheetsService] Error building student lookup map:', error);
-    return new Map();
+  const aliases = await readAliases(source);
+  const index = createIdentityIndex(students, aliases, {
+    mappingSheet: schema.mapping.sheet,
+    aliasSheet: schema.aliases.sheet,
+  });
+
+  console.log(`[SheetsService] Built identity index with ${index.students.size} students and ${aliases.length} aliases`);
+  for (const issue of index.issues) {
+    console.warn(`[SheetsService] ${issue.sheet}: ${issue.message}`);
   }
+  return index;
 }
 
 /**
- * Find student by student ID only (returns first match)
+ * Ambiguity report for a test sheet: [{ sheet, rows, value, reason }]
  */
-async function findStudentById(sheets, spreadsheetId, studentId) {
-  try {
-    const masterData = await readSheet(sheets, spreadsheetId, 'Mapping');
-    
-    if (!masterData || masterData.length === 0) {
-      return null;
-    }
+function ambiguityReport(sheet, entries) {
+  return entries.map(({ rows, value, reason }) => ({ sheet, rows, value, reason }));
+}
 
-    const header = masterData[0];
-    // Prioritize "opengrad school code" column, fallback to any column with "school"
-    let schoolIdIndex = header.findIndex(h => {
-      const lower = h.toLowerCase();
-      return lower.includes('opengrad') && lower.includes('school') && lower.includes('code');
-    });
-    // Fallback to any column with "school" if opengrad school code not found
-    if (schoolIdIndex === -1) {
-      schoolIdIndex = header.findIndex(h => h.toLowerCase().includes('school'));
-    }
-    // Prioritize UserName or emis_id for student ID, fallback to student name
-    let studentIdIndex = header.findIndex(h => {
-      const lower = h.toLowerCase();
-      return (lower === 'username' || lower === 'emis_id' || lower.includes('student id'));
-    });
-    // Fallback to any column with "student" if specific ID columns not found
-    if (studentIdIndex === -1) {
-      studentIdIndex = header.findIndex(h => h.toLowerCase().includes('student') && !h.toLowerCase().includes('school'));
-    }
+/**
+ * Result tables of the SQLite mirror, when the source has them and they are built
+ * (see resultTables.js). Otherwise students and results are read from the sheets.
+ */
+function resultTablesOf(source) {
+  return source.results?.isReady() ? source.results : null;
+}
 
-    if (schoolIdIndex === -1 || studentIdIndex === -1) {
-      return null;
-    }
+/**
+ * What resolves usernames to students: the result tables, or the identity index of the sheets
+ */
+async function identityIndexOf(source) {
+  return resultTablesOf(source) || buildIdentityIndex(source);
+}
+
+/**
+ * Tests with their metadata, as listTests in testConfig.js
+ */
+async function testsOf(source, options) {
+  const tables = resultTablesOf(source);
+  return tables ? tables.listTests(options) : listTests(source, options);
+}
 
-    // Find matching row by student ID only
-    for (let i = 1; i < masterData.length; i++) {
-      const row = masterData[i];
-      const rowStudentId = row[studentIdIndex]?.toString().trim();
+/**
+ * Results of a test sheet matched to students (identity.js) and scored (scoring.js):
+ *   - header:     the sheet's header row
+ *   - sections:   scoring sections, [{ name, maxMarks }]
+ *   - ambiguous:  rows left out, as from matchTestRows
+ *   - resultsOf(userNames): Map of username -> { rowNumber, method, cells, score } for those with a row
+ *   - schoolScores(schoolCode): scores of the matched students whose Mapping school is schoolCode
+ *   - cohortPercentileRank(normalizedScore): percentile rank among every scored row of the test
+ */
+function scanTestResults(index, test, testData, schema) {
+  const header = testData[0];
+  const columns = resolveTestColumns(header, test.sheetName, schema);
+  const { matches, ambiguous } = matchTestRows(index, testData, columns);
+  const scorer = createTestScorer(testData, test);
 
-      if (rowStudentId === studentId.toString()) {
-        return {
-          studentId: row[studentIdIndex],
-          schoolId: row[schoolIdIndex],
-        };
+  return {
+    header,
+    sections: scorer.scoring.sections,
+    ambiguous,
+
+    resultsOf(userNames) {
+      const results = new Map();
+      for (const userName of userNames) {
+        const match = matches.get(userName);
+        if (!match) continue;
+        results.set(userName, { rowNumber: match.rowNumber, method: match.method, cells: match.row, score: scorer.score(match.row) });
       }
-    }
+      return results;
+    },
 
-    return null;
-  } catch (error) {
-    console.error('Error finding student in master sheet:', error);
-    return null;
+    schoolScores(schoolCode) {
+      return [...matches]
+        .filter(([userName]) => index.students.get(userName)?.schoolCode === schoolCode)
+        .map(([, match]) => scorer.score(match.row))
+        .filter(Boolean);
+    },
+
+    cohortPercentileRank(normalizedScore) {
+      return percentileRank(scorer.normalizedScores, normalizedScore);
+    },
+  };
+}
+
+/**
+ * Results of each test (see scanTestResults): Map of sheet name -> results, a
+ * SheetReadError when the sheet could not be read, or null when it is empty.
+ * Queried from the result tables when they are built, otherwise all sheets are
+ * read in one batch and matched with `index`.
+ */
+async function readTestResults(source, tests, index) {
+  const tables = resultTablesOf(source);
+  if (tables) {
+    return tables.testResults(tests.map(test => test.sheetName));
+  }
+
+  const testSheets = await source.readSheets(tests.map(test => test.sheetName));
+  const results = new Map();
+  for (const test of tests) {
+    const testData = testSheets.get(test.sheetName);
+    if (testData instanceof SheetReadError) {
+      results.set(test.sheetName, testData);
+    } else {
+      results.set(test.sheetName, testData && testData.length > 0 ? scanTestResults(index, test, testData, schemaOf(source)) : null);
+    }
   }
+  return results;
 }
 
 /**
- * Find student ID in master sheet and verify school ID
+ * The identity index, every test and the results of the released ones (of all
+ * of them with `includeHidden`), read once so that many lookups can share them:
+ * a report card, a school's report cards, attendance. `testResults` is a Map of
+ * sheet name -> results (see scanTestResults), SheetReadError or null.
+ * Pass it as `cohortResults` to getStudentTests and getTestDetails.
  */
-async function findStudentInMaster(sheets, spreadsheetId, studentId, schoolId) {
+export async function readCohortResults(source, { includeHidden = false } = {}) {
+  const index = await identityIndexOf(source);
+  const tests = await testsOf(source);
+  const testResults = await readTestResults(source, includeHidden ? tests : tests.filter(test => test.visible), index);
+  return { index, tests, testResults };
+}
+
+/**
+ * Find student by student ID only (returns first match)
+ */
+async function findStudentById(source, studentId, index = null) {
+  return findStudentInMaster(source, studentId, null, index);
+}
+
+/**
+ * Find student ID in master sheet and verify school ID (when given).
+ * The ID is resolved like test rows are (normalized username or alias, see
+ * identity.js) and school IDs compare case-insensitively, as in getStudentsBySchool.
+ */
+async function findStudentInMaster(source, studentId, schoolId, index = null) {
   try {
-    const masterData = await readSheet(sheets, spreadsheetId, 'Mapping');
-    
-    if (!masterData || masterData.length === 0) {
+    const resolved = (index || await identityIndexOf(source)).resolveUsername(studentId);
+    if (!resolved || resolved.ambiguous) {
       return null;
     }
 
-    // Assume first row is header: [School ID, Student ID]
-    const header = masterData[0];
-    // Prioritize "opengrad school code" column, fallback to any column with "school"
-    let schoolIdIndex = header.findIndex(h => {
-      const lower = h.toLowerCase();
-      return lower.includes('opengrad') && lower.includes('school') && lower.includes('code');
-    });
-    // Fallback to any column with "school" if opengrad school code not found
-    if (schoolIdIndex === -1) {
-      schoolIdIndex = header.findIndex(h => h.toLowerCase().includes('school'));
-    }
-    // Prioritize UserName or emis_id for student ID, fallback to student name
-    let studentIdIndex = header.findIndex(h => {
-      const lower = h.toLowerCase();
-      return (lower === 'username' || lower === 'emis_id' || lower.includes('student id'));
-    });
-    // Fallback to any column with "student" if specific ID columns not found
-    if (studentIdIndex === -1) {
-      studentIdIndex = header.findIndex(h => h.toLowerCase().includes('student') && !h.toLowerCase().includes('school'));
-    }
+    const searchSchoolId = schoolId ? schoolId.toString().trim().toUpperCase() : null;
+    const student = (await mappingRowsOf(source, resolved.student.userName))
+      .find(row => !searchSchoolId || row.schoolCode.toUpperCase() === searchSchoolId);
 
-    if (schoolIdIndex === -1 || studentIdIndex === -1) {
+    if (!student) {
       return null;
     }
 
-    // Find matching row
-    for (let i = 1; i < masterData.length; i++) {
-      const row = masterData[i];
-      const rowStudentId = row[studentIdIndex]?.toString().trim();
-      const rowSchoolId = row[schoolIdIndex]?.toString().trim();
-
-      if (rowStudentId === studentId.toString() && rowSchoolId === schoolId.toString()) {
-        return {
-          studentId: row[studentIdIndex],
-          schoolId: row[schoolIdIndex],
-        };
-      }
-    }
-
-    return null;
+    return {
+      studentId: student.userName,
+      schoolId: student.schoolCode,
+      studentName: student.studentName,
+      schoolName: student.schoolName,
+      udsieCode: student.udsieCode,
+      emisId: student.emisId,
+    };
   } catch (error) {
+    if (isDataError(error)) throw error;
     console.error('Error finding student in master sheet:', error);
     return null;
   }
 }
 
+/**
+ * Master sheet rows of one username, in sheet order
+ */
+async function mappingRowsOf(source, userName) {
+  const tables = resultTablesOf(source);
+  if (tables) {
+    return tables.studentRows(userName);
+  }
+
+  const { rows, columns } = await readMapping(source);
+  if (!columns) {
+    return [];
+  }
+
+  return rows
+    .filter(row => cellValue(row, columns.userName) === userName)
+    .map(row => ({
+      userName,
+      studentName: cellValue(row, columns.studentName),
+      schoolName: cellValue(row, columns.schoolName),
+      schoolCode: cellValue(row, columns.schoolCode),
+      udsieCode: cellValue(row, columns.udsieCode),
+      emisId: cellValue(row, columns.emisId),
+    }));
+}
+
 /**
  * Get all students for a school from master sheet
  */
-async function getStudentsBySchool(sheets, spreadsheetId, schoolId) {
+async function getStudentsBySchool(source, schoolId) {
   try {
-    const masterData = await readSheet(sheets, spreadsheetId, 'Mapping');
+    const tables = resultTablesOf(source);
+    if (tables) {
+      const students = tables.studentsOfSchool(schoolId).map(student => ({
+        studentId: student.userName,
+        studentName: student.studentName,
+        schoolId: student.schoolCode,
+        schoolName: student.schoolName,
+        udsieCode: student.udsieCode,
+        emisId: student.emisId,
+        grade: student.grade,
+        section: student.section,
+      }));
+      console.log(`[SheetsService] Found ${students.length} students for school ID: "${schoolId}" in the result tables`);
+      return students;
+    }
+
+    const { header, rows, columns } = await readMapping(source);
     
-    if (!masterData || masterData.length === 0) {
+    if (!columns) {
       console.warn('[SheetsService] Mapping sheet is empty or could not be read');
       return [];
     }
 
-    const header = masterData[0];
-    // Prioritize "opengrad school code" column, fallback to any column with "school"
-    let schoolIdIndex = header.findIndex(h => {
-      const lower = h.toLowerCase();
-      return lower.includes('opengrad') && lower.includes('school') && lower.includes('code');
-    });
-    // Fallback to any column with "school" if opengrad school code not found
-    if (schoolIdIndex === -1) {
-      schoolIdIndex = header.findIndex(h => h.toLowerCase().includes('school'));
-    }
-    // Prioritize UserName or emis_id for student ID, fallback to student name
-    let studentIdIndex = header.findIndex(h => {
-      const lower = h.toLowerCase();
-      return (lower === 'username' || lower === 'emis_id' || lower.includes('student id'));
-    });
-    // Fallback to any column with "student" if specific ID columns not found
-    if (studentIdIndex === -1) {
-      studentIdIndex = header.findIndex(h => h.toLowerCase().includes('student') && !h.toLowerCase().includes('school'));
-    }
-
-    if (schoolIdIndex === -1 || studentIdIndex === -1) {
-      console.warn(`[SheetsService] Could not find required columns in Mapping sheet. Header: ${JSON.stringify(header)}`);
-      return [];
-    }
-
-    const schoolColumnName = header[schoolIdIndex];
     console.log(`[SheetsService] Looking for school ID: "${schoolId}" in Mapping sheet`);
-    console.log(`[SheetsService] Using column: "${schoolColumnName}" (index: ${schoolIdIndex}), Student ID column index: ${studentIdIndex}`);
+    console.log(`[SheetsService] Using column: "${header[columns.schoolCode]}" (index: ${columns.schoolCode}), Student ID column index: ${columns.userName}`);
 
     // Normalize the search school ID (trim and convert to string)
     const searchSchoolId = schoolId.toString().trim().toUpperCase();
@@ -273,12 +336,11 @@ async function getStudentsBySchool(sheets, spreadsheetId, schoolId) {
     const students = [];
     const foundSchoolIds = new Set(); // Track all unique school IDs found for debugging
     
-    for (let i = 1; i < masterData.length; i++) {
-      const row = masterData[i];
+    for (const row of rows) {
       if (!row || row.length === 0) continue;
       
-      const rowSchoolId = row[schoolIdIndex]?.toString().trim().toUpperCase() || '';
-      const rowStudentId = row[studentIdIndex]?.toString().trim() || '';
+      const rowSchoolId = cellValue(row, columns.schoolCode).toUpperCase();
+      const rowStudentId = cellValue(row, columns.userName);
       
       // Track all school IDs we see
       if (rowSchoolId) {
@@ -288,8 +350,14 @@ async function getStudentsBySchool(sheets, spreadsheetId, schoolId) {
       // Case-insensitive comparison with trimmed values
       if (rowSchoolId === searchSchoolId && rowStudentId) {
         students.push({
-          studentId: row[studentIdIndex],
-          schoolId: row[schoolIdIndex],
+          studentId: rowStudentId,
+          studentName: cellValue(row, columns.studentName),
+          schoolId: cellValue(row, columns.schoolCode),
+          schoolName: cellValue(row, columns.schoolName),
+          udsieCode: cellValue(row, columns.udsieCode),
+          emisId: cellValue(row, columns.emisId),
+          grade: cellValue(row, columns.grade),
+          section: cellValue(row, columns.section),
         });
       }
     }
@@ -303,117 +371,202 @@ async function getStudentsBySchool(sheets, spreadsheetId, schoolId) {
 
     return students;
   } catch (error) {
+    if (isDataError(error)) throw error;
     console.error('[SheetsService] Error getting students by school:', error);
     return [];
   }
 }
 
 /**
- * Extract username from "Learner Details" column (e.g., "TN1015257176@username.com" -> "TN1015257176")
+ * School codes in the Mapping sheet, sorted
  */
-function extractUsernameFromLearnerDetails(learnerDetails) {
-  if (!learnerDetails) return null;
-  const str = learnerDetails.toString().trim();
-  // Extract part before "@" if it exists
-  const atIndex = str.indexOf('@');
-  if (atIndex !== -1) {
-    return str.substring(0, atIndex);
+export async function listSchoolCodes(source) {
+  const tables = resultTablesOf(source);
+  if (tables) {
+    return tables.schoolCodes();
   }
-  return str;
+
+  const { rows, columns } = await readMapping(source);
+  if (!columns) return [];
+
+  const schoolCodes = new Set();
+  for (const row of rows) {
+    const schoolCode = cellValue(row, columns.schoolCode);
+    if (schoolCode) schoolCodes.add(schoolCode);
+  }
+  return [...schoolCodes].sort();
 }
 
 /**
- * Check if student exists in a test sheet and enrich with Mapping sheet data
+ * Class of a student, e.g. "10-A", from the Mapping grade and section columns
  */
-async function findStudentInTestSheet(sheets, spreadsheetId, studentId, testSheetName, studentLookupMap = null) {
-  try {
-    const testData = await readSheet(sheets, spreadsheetId, testSheetName);
+function classLabel({ grade, section }) {
+  if (grade && section) return `${grade}-${section}`;
+  return grade || section || 'Unassigned';
+}
+
+const sameValue = (a, b) => a.toString().trim().toLowerCase() === b.toString().trim().toLowerCase();
+
+/**
+ * Students of a school, optionally only those of one class (`grade` and/or
+ * `section`). Returns { students, availableClasses } where availableClasses are
+ * all the school's classes, [{ label, grade, section, totalStudents }], and each
+ * student has its class label as `className`. Returns { error, details } instead
+ * when the school or the class has no students.
+ */
+export async function getSchoolRoster(source, schoolId, { grade = null, section = null } = {}) {
+  const schoolStudents = await getStudentsBySchool(source, schoolId);
+  
+  if (schoolStudents.length === 0) {
+    console.warn(`[SheetsService] No students found for school: ${schoolId}`);
     
-    if (!testData || testData.length === 0) {
-      return null;
+    // Try to get a list of available school IDs for better error message
+    let availableSchoolIds = [];
+    try {
+      availableSchoolIds = (await listSchoolCodes(source)).slice(0, 10);
+    } catch (err) {
+      console.error('[SheetsService] Error getting available school IDs:', err);
     }
-
-    const header = testData[0];
     
-    // Look for "Learner Details" column first (contains username@email.com)
-    let learnerDetailsIndex = header.findIndex(h => {
-      const lower = h.toLowerCase();
-      return lower.includes('learner') && lower.includes('details');
-    });
+    let errorDetails = 'Verify the School ID is correct and exists in the Mapping sheet of your Google Spreadsheet.';
+    if (availableSchoolIds.length > 0) {
+      errorDetails += ` Available school IDs (first 10): ${availableSchoolIds.join(', ')}`;
+    }
     
-    // Fallback to any column with "student" if Learner Details not found
-    const studentIdIndex = learnerDetailsIndex === -1 
-      ? header.findIndex(h => h.toLowerCase().includes('student'))
-      : -1;
+    return {
+      error: `School "${schoolId}" not found or has no students in the Mapping sheet`,
+      details: errorDetails,
+    };
+  }
 
-    if (learnerDetailsIndex === -1 && studentIdIndex === -1) {
-      return null;
+  // Classes in the school, for choosing one
+  const classCounts = new Map();
+  for (const student of schoolStudents) {
+    const label = classLabel(student);
+    if (!classCounts.has(label)) {
+      classCounts.set(label, { label, grade: student.grade || null, section: student.section || null, totalStudents: 0 });
     }
+    classCounts.get(label).totalStudents++;
+  }
+  const availableClasses = [...classCounts.values()]
+    .sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }));
 
-    // Build lookup map if not provided
-    if (!studentLookupMap) {
-      studentLookupMap = await buildStudentLookupMap(sheets, spreadsheetId);
+  let students = schoolStudents;
+  if (grade || section) {
+    if (!schoolStudents.some(student => student.grade || student.section)) {
+      return {
+        error: 'This school has no grade or section data',
+        details: 'Set the Mapping "grade" and "section" columns in the column schema to filter by class.',
+      };
     }
 
-    // Find matching row
-    for (let i = 1; i < testData.length; i++) {
-      const row = testData[i];
-      let rowStudentId = null;
-      let userName = null;
-
-      if (learnerDetailsIndex !== -1) {
-        const learnerDetails = row[learnerDetailsIndex]?.toString().trim();
-        userName = extractUsernameFromLearnerDetails(learnerDetails);
-        rowStudentId = learnerDetails; // Use full learner details for matching
-      } else {
-        rowStudentId = row[studentIdIndex]?.toString().trim();
-        userName = rowStudentId; // Assume student ID is the username
-      }
-
-      // Match by studentId (could be full learner details or just ID)
-      const matches = rowStudentId && (
-        rowStudentId === studentId.toString() || 
-        rowStudentId.includes(studentId.toString()) ||
-        userName === studentId.toString()
-      );
-
-      if (matches) {
-        // Return all data for this student, enriched with Mapping sheet data
-        const studentData = {};
-        header.forEach((col, idx) => {
-          studentData[col] = row[idx] || '';
-        });
+    students = schoolStudents.filter(student =>
+      (!grade || sameValue(student.grade, grade)) && (!section || sameValue(student.section, section))
+    );
+    if (students.length === 0) {
+      return {
+        error: `No students in ${[grade && `grade ${grade}`, section && `section ${section}`].filter(Boolean).join(', ')} at school "${schoolId}"`,
+        details: `Classes in this school: ${availableClasses.map(c => c.label).join(', ')}`,
+      };
+    }
+    console.log(`[SheetsService] ${students.length} students in the requested class`);
+  }
 
-        // Enrich with Mapping sheet data if username found
-        if (userName && studentLookupMap.has(userName)) {
-          const mappingData = studentLookupMap.get(userName);
-          studentData['_enriched'] = {
-            schoolName: mappingData.schoolName,
-            openGradSchoolCode: mappingData.schoolCode,
-            udsieCode: mappingData.udsieCode,
-            emisId: mappingData.emisId,
-          };
-        }
+  return {
+    students: students.map(student => ({ ...student, className: classLabel(student) })),
+    availableClasses,
+  };
+}
 
-        return studentData;
-      }
-    }
+/**
+ * Find a student's row in the results of a test sheet (see scanTestResults; null
+ * for an empty sheet). Returns null when the student has no row,
+ * { ambiguous } when more than one row could be theirs, otherwise
+ * { data, match: { method, row }, score, student } with data keyed by column header
+ * and score as in scoring.js (null when the row has no score). The score also has
+ * percentileRank: { school, cohort }, among the student's school and everyone who took the test,
+ * `schoolAverage` is the school's { avgScore, avgPercentage, avgNormalizedScore } and
+ * `sections` compares each section score with the school average.
+ */
+function findStudentInResults(results, studentId, testSheetName, index) {
+  if (!results) {
+    return null;
+  }
 
+  const resolved = index.resolveUsername(studentId);
+  if (!resolved) {
     return null;
-  } catch (error) {
-    console.error(`Error finding student in test sheet ${testSheetName}:`, error);
+  }
+  if (resolved.ambiguous) {
+    return { ambiguous: { sheet: testSheetName, rows: [], value: studentId, reason: resolved.reason } };
+  }
+
+  const { student } = resolved;
+  const contested = results.ambiguous.find(entry => entry.candidates.includes(student.userName));
+  if (contested) {
+    console.warn(`[SheetsService] Ambiguous match for ${student.userName} in ${testSheetName}: ${contested.reason}`);
+    return { ambiguous: ambiguityReport(testSheetName, [contested])[0] };
+  }
+
+  const match = results.resultsOf([student.userName]).get(student.userName);
+  if (!match) {
     return null;
   }
+
+  const data = {};
+  results.header.forEach((col, idx) => {
+    data[col] = match.cells[idx] || '';
+  });
+
+  const { score } = match;
+  let sections = [];
+  let schoolAverage = null;
+
+  if (score) {
+    const schoolScores = results.schoolScores(student.schoolCode);
+
+    const { avgScore, avgPercentage, avgNormalizedScore } = summarizeScores(schoolScores);
+    schoolAverage = { avgScore, avgPercentage, avgNormalizedScore };
+
+    score.percentileRank = {
+      school: percentileRank(schoolScores.map(s => s.normalizedScore), score.normalizedScore),
+      cohort: results.cohortPercentileRank(score.normalizedScore),
+    };
+
+    sections = summarizeSections(schoolScores, results).map(({ name, maxMarks, avgScore, avgPercentage }) => {
+      const sectionScore = score.sections[name];
+      return {
+        name,
+        maxMarks,
+        score: sectionScore,
+        percentage: sectionScore !== null && maxMarks > 0 ? Math.round((sectionScore / maxMarks) * 10000) / 100 : null,
+        schoolAvgScore: avgScore,
+        schoolAvgPercentage: avgPercentage,
+      };
+    });
+  }
+
+  return {
+    data,
+    match: { method: match.method, row: match.rowNumber },
+    score,
+    schoolAverage,
+    sections,
+    student,
+  };
 }
 
 /**
- * Get student tests with attendance status
+ * Get student tests with attendance status. `cohortResults` (readCohortResults)
+ * saves reading the tests again.
  */
-export async function getStudentTests(sheets, spreadsheetId, studentId, schoolId = null) {
+export async function getStudentTests(source, studentId, schoolId = null, { cohortResults = null } = {}) {
+  const index = cohortResults?.index || await identityIndexOf(source);
+
   // If schoolId is provided, verify both match. Otherwise, find student by ID only
   let student;
   if (schoolId) {
-    student = await findStudentInMaster(sheets, spreadsheetId, studentId, schoolId);
+    student = await findStudentInMaster(source, studentId, schoolId, index);
     if (!student) {
       return {
         error: 'Student not found or school ID mismatch',
@@ -421,7 +574,7 @@ export async function getStudentTests(sheets, spreadsheetId, studentId, schoolId
       };
     }
   } else {
-    student = await findStudentById(sheets, spreadsheetId, studentId);
+    student = await findStudentById(source, studentId, index);
     if (!student) {
       return {
         error: 'Student not found',
@@ -430,61 +583,104 @@ export async function getStudentTests(sheets, spreadsheetId, studentId, schoolId
     }
   }
 
-  // Get all sheet names
-  const allSheets = await getSheetNames(sheets, spreadsheetId);
-  
-  // Filter out 'Mapping' sheet and any other non-test sheets
-  const testSheets = allSheets.filter(name => 
-    name.toLowerCase() !== 'mapping' && 
-    name.toLowerCase() !== 'config'
-  );
+  // Released tests only, ordered by test date (see Config sheet)
+  const testList = cohortResults
+    ? cohortResults.tests.filter(test => test.visible)
+    : await testsOf(source, { includeHidden: false });
+
+  // Results of all tests at once, matched with the identity index above
+  const testResults = cohortResults?.testResults || await readTestResults(source, testList, index);
 
   // Check attendance for each test
   const tests = [];
-  for (const testSheet of testSheets) {
-    const studentData = await findStudentInTestSheet(sheets, spreadsheetId, studentId, testSheet);
+  const warnings = [];
+  for (const test of testList) {
+    const entry = {
+      name: test.sheetName,
+      displayName: test.displayName,
+      subject: test.subject,
+      testDate: test.testDate,
+      maxMarks: test.maxMarks,
+      passThreshold: test.passThreshold,
+    };
+
+    // Attendance is unknown, not "Absent", when the sheet could not be read
+    const results = testResults.get(test.sheetName);
+    if (results instanceof SheetReadError) {
+      warnings.push(sheetWarning(results, 'Attendance for this test is unknown.'));
+      tests.push({ ...entry, status: 'Unknown', hasData: false });
+      continue;
+    }
+
+    // Never guess between rows that could each be this student's
+    const result = findStudentInResults(results, studentId, test.sheetName, index);
+    if (result?.ambiguous) {
+      tests.push({ ...entry, status: 'Ambiguous', hasData: false, ambiguity: result.ambiguous });
+      continue;
+    }
+
     tests.push({
-      name: testSheet,
-      status: studentData ? 'Attended' : 'Absent',
-      hasData: !!studentData,
+      ...entry,
+      status: result ? 'Attended' : 'Absent',
+      hasData: !!result,
+      match: result ? result.match : null,
+      score: result ? result.score : null,
+      schoolAverage: result ? result.schoolAverage : null,
     });
   }
 
+  // Change in normalized score since the previous scored test, in test date order
+  let previous = null;
+  for (const test of tests) {
+    if (!test.score) continue;
+    const change = previous ? Math.round((test.score.normalizedScore - previous.score.normalizedScore) * 100) / 100 : null;
+    test.progress = { change, trend: trendOf(change) };
+    previous = test;
+  }
+
+  const scoredTests = tests.filter(test => test.score);
+  const overallSlope = slope(scoredTests.map(test => test.score.normalizedScore));
+
   return {
-    student: {
-      studentId: student.studentId,
-      schoolId: student.schoolId,
-    },
+    student,
     tests,
+    progress: {
+      scoredTests: scoredTests.length,
+      slope: overallSlope,
+      trend: trendOf(overallSlope),
+      lastChange: previous ? previous.progress.change : null,
+    },
+    partialData: warnings.length > 0,
+    warnings,
   };
 }
 
 /**
  * Enrich all rows in a test sheet with Mapping sheet data
  */
-export async function enrichTestSheet(sheets, spreadsheetId, testSheetName) {
+export async function enrichTestSheet(source, testSheetName) {
   try {
-    const testData = await readSheet(sheets, spreadsheetId, testSheetName);
+    const testData = await source.readSheet(testSheetName);
     
     if (!testData || testData.length === 0) {
       return testData;
     }
 
     const header = testData[0];
-    
-    // Look for "Learner Details" column
-    const learnerDetailsIndex = header.findIndex(h => {
-      const lower = h.toLowerCase();
-      return lower.includes('learner') && lower.includes('details');
-    });
+    const columns = resolveTestColumns(header, testSheetName, schemaOf(source));
 
-    if (learnerDetailsIndex === -1) {
-      // No Learner Details column, return as-is
-      return testData;
-    }
+    // Match every row once
+    const index = await buildIdentityIndex(source);
+    const { matches, ambiguous } = matchTestRows(index, testData, columns);
 
-    // Build lookup map once
-    const studentLookupMap = await buildStudentLookupMap(sheets, spreadsheetId);
+    // spreadsheet row number -> { student, method } or { reason }
+    const matchByRow = new Map();
+    for (const [userName, match] of matches) {
+      matchByRow.set(match.rowNumber, { student: index.students.get(userName), method: match.method });
+    }
+    for (const entry of ambiguous) {
+      entry.rows.forEach(rowNumber => matchByRow.set(rowNumber, { reason: entry.reason }));
+    }
 
     // Add enrichment columns to header if they don't exist
     const enrichedHeader = [...header];
@@ -497,25 +693,26 @@ export async function enrichTestSheet(sheets, spreadsheetId, testSheetName) {
     if (!enrichedHeader.includes(schoolCodeCol)) enrichedHeader.push(schoolCodeCol);
     if (!enrichedHeader.includes(udsieCodeCol)) enrichedHeader.push(udsieCodeCol);
     if (!enrichedHeader.includes(emisIdCol)) enrichedHeader.push(emisIdCol);
+    enrichedHeader.push('Matched UserName', 'Match Method');
 
     // Enrich each row
     const enrichedData = [enrichedHeader];
     
     for (let i = 1; i < testData.length; i++) {
       const row = [...testData[i]];
-      const learnerDetails = row[learnerDetailsIndex]?.toString().trim() || '';
-      const userName = extractUsernameFromLearnerDetails(learnerDetails);
+      const match = matchByRow.get(i + 1);
 
       // Add enrichment data
-      if (userName && studentLookupMap.has(userName)) {
-        const mappingData = studentLookupMap.get(userName);
-        row.push(mappingData.schoolName || '');
-        row.push(mappingData.schoolCode || '');
-        row.push(mappingData.udsieCode || '');
-        row.push(mappingData.emisId || '');
+      if (match?.student) {
+        const student = match.student;
+        row.push(student.schoolName || '');
+        row.push(student.schoolCode || '');
+        row.push(student.udsieCode || '');
+        row.push(student.emisId || '');
+        row.push(student.userName, match.method);
       } else {
         // Add empty values if no match found
-        row.push('', '', '', '');
+        row.push('', '', '', '', '', match ? `ambiguous: ${match.reason}` : 'unmatched');
       }
       
       enrichedData.push(row);
@@ -523,49 +720,89 @@ export async function enrichTestSheet(sheets, spreadsheetId, testSheetName) {
 
     return enrichedData;
   } catch (error) {
+    if (isDataError(error)) throw error;
     console.error(`Error enriching test sheet ${testSheetName}:`, error);
     return testData; // Return original data on error
   }
 }
 
 /**
- * Get detailed test results for a student
+ * Get detailed test results for a student. `cohortResults` (readCohortResults)
+ * saves reading and matching the test again.
  */
-export async function getTestDetails(sheets, spreadsheetId, studentId, testName) {
-  const studentData = await findStudentInTestSheet(sheets, spreadsheetId, studentId, testName);
+export async function getTestDetails(source, studentId, testName, { cohortResults = null } = {}) {
+  // Only sheets in the test registry; Mapping, Config and the alias sheet are not tests
+  const test = (cohortResults?.tests || await testsOf(source)).find(t => t.sheetName === testName);
+  if (!test) {
+    return {
+      error: 'Test not found',
+      notFound: true,
+      data: null,
+    };
+  }
+
+  if (!test.visible) {
+    return {
+      error: 'Results for this test have not been released',
+      data: null,
+    };
+  }
+
+  const index = cohortResults?.index || await identityIndexOf(source);
+  const results = (cohortResults?.testResults || await readTestResults(source, [test], index)).get(testName);
+  if (results instanceof SheetReadError) {
+    throw results;
+  }
+
+  const result = findStudentInResults(results, studentId, testName, index);
   
-  if (!studentData) {
+  if (!result) {
     return {
       error: 'Student not found in this test',
       data: null,
     };
   }
 
-  // Merge enriched data into main data object for easier access
-  const enrichedData = { ...studentData };
-  if (studentData._enriched) {
-    enrichedData['School Name'] = studentData._enriched.schoolName;
-    enrichedData['OpenGrad School Code'] = studentData._enriched.openGradSchoolCode;
-    enrichedData['UDSIE Code'] = studentData._enriched.udsieCode;
-    enrichedData['EMIS ID'] = studentData._enriched.emisId;
-    delete enrichedData._enriched; // Remove nested object
+  if (result.ambiguous) {
+    return {
+      error: 'More than one row in this test could be this student',
+      details: result.ambiguous.reason,
+      ambiguity: result.ambiguous,
+      data: null,
+    };
   }
 
+  // Add the student's Mapping details to the row
+  const { student } = result;
+  const enrichedData = {
+    ...result.data,
+    'School Name': student.schoolName,
+    'OpenGrad School Code': student.schoolCode,
+    'UDSIE Code': student.udsieCode,
+    'EMIS ID': student.emisId,
+  };
+
   return {
     testName,
+    test,
     data: enrichedData,
+    match: result.match,
+    score: result.score,
+    sections: result.sections,
   };
 }
 
 /**
- * Get school statistics
+ * Get school statistics. `bins` is the number of bars in each test's score histogram.
+ * `grade` and `section` limit the stats to one class (see the Mapping grade and
+ * section columns); `classes` breaks the stats down by class either way.
  */
-export async function getSchoolStats(sheets, spreadsheetId, schoolId) {
+export async function getSchoolStats(source, schoolId, { bins = DEFAULT_HISTOGRAM_BINS, grade = null, section = null } = {}) {
   try {
-    if (!sheets || !spreadsheetId) {
+    if (!source) {
       return {
-        error: 'Google Sheets API not initialized',
-        details: 'The server may not be properly configured with Google Sheets credentials.',
+        error: 'Data source not initialized',
+        details: 'The server may not be properly configured with Google Sheets credentials or a local data directory.',
         stats: null,
       };
     }
@@ -579,61 +816,31 @@ export async function getSchoolStats(sheets, spreadsheetId, schoolId) {
 
     console.log(`[SheetsService] Getting stats for school: ${schoolId}`);
     
-    // Get all students for this school
-    const students = await getStudentsBySchool(sheets, spreadsheetId, schoolId);
-    
-    if (students.length === 0) {
-      console.warn(`[SheetsService] No students found for school: ${schoolId}`);
-      
-      // Try to get a list of available school IDs for better error message
-      let availableSchoolIds = [];
-      try {
-        const masterData = await readSheet(sheets, spreadsheetId, 'Mapping');
-        if (masterData && masterData.length > 0) {
-          const header = masterData[0];
-          // Prioritize "opengrad school code" column, fallback to any column with "school"
-          let schoolIdIndex = header.findIndex(h => {
-            const lower = h.toLowerCase();
-            return lower.includes('opengrad') && lower.includes('school') && lower.includes('code');
-          });
-          // Fallback to any column with "school" if opengrad school code not found
-          if (schoolIdIndex === -1) {
-            schoolIdIndex = header.findIndex(h => h.toLowerCase().includes('school'));
-          }
-          if (schoolIdIndex !== -1) {
-            const schoolIdSet = new Set();
-            for (let i = 1; i < masterData.length; i++) {
-              const row = masterData[i];
-              if (row && row[schoolIdIndex]) {
-                const id = row[schoolIdIndex].toString().trim();
-                if (id) schoolIdSet.add(id);
-              }
-            }
-            availableSchoolIds = Array.from(schoolIdSet).sort().slice(0, 10);
-          }
-        }
-      } catch (err) {
-        console.error('[SheetsService] Error getting available school IDs:', err);
-      }
-      
-      let errorDetails = 'Verify the School ID is correct and exists in the Mapping sheet of your Google Spreadsheet.';
-      if (availableSchoolIds.length > 0) {
-        errorDetails += ` Available school IDs (first 10): ${availableSchoolIds.join(', ')}`;
+    const roster = await getSchoolRoster(source, schoolId, { grade, section });
+    if (roster.error) {
+      return { ...roster, stats: null };
+    }
+    const { students, availableClasses } = roster;
+    const classCounts = new Map(availableClasses.map(c => [c.label, c]));
+
+    // username -> class label
+    const classByUser = new Map(students.map(student => [student.studentId, student.className]));
+    const studentsById = new Map(students.map(student => [student.studentId, student]));
+
+    // class label -> per-test results of the class
+    const classResults = new Map();
+    for (const student of students) {
+      const label = student.className;
+      if (!classResults.has(label)) {
+        classResults.set(label, { ...classCounts.get(label), totalStudents: 0, tests: [] });
       }
-      
-      return {
-        error: `School "${schoolId}" not found or has no students in the Mapping sheet`,
-        details: errorDetails,
-        stats: null,
-      };
+      classResults.get(label).totalStudents++;
     }
 
-    console.log(`[SheetsService] Found ${students.length} students for school: ${schoolId}`);
-
-    // Get all test sheets
-    let allSheets;
+    // Get all test sheets, ordered by test date. Hidden tests are included for coordinators.
+    let testList;
     try {
-      allSheets = await getSheetNames(sheets, spreadsheetId);
+      testList = await testsOf(source);
     } catch (error) {
       console.error(`[SheetsService] Error fetching sheet names for school ${schoolId}:`, error.message);
       return {
@@ -643,185 +850,166 @@ export async function getSchoolStats(sheets, spreadsheetId, schoolId) {
       };
     }
 
-    const testSheets = allSheets.filter(name => 
-      name.toLowerCase() !== 'mapping' && 
-      name.toLowerCase() !== 'config'
-    );
+    console.log(`[SheetsService] Found ${testList.length} test sheets`);
 
-    console.log(`[SheetsService] Found ${testSheets.length} test sheets`);
+    // Results of all tests at once: queried from the result tables, or read in one batch and matched
+    const testResults = await readTestResults(source, testList, await identityIndexOf(source));
 
-    // Build lookup map to get UserNames for students
-    const studentLookupMap = await buildStudentLookupMap(sheets, spreadsheetId);
-    
     // Create a set of UserNames for students in this school
-    // We need to match by UserName (from Mapping sheet) not Student Name
-    const masterData = await readSheet(sheets, spreadsheetId, 'Mapping');
-    const header = masterData[0];
-    const userNameIndex = header.findIndex(h => h.toLowerCase() === 'username');
-    const studentNameIndex = header.findIndex(h => {
-      const lower = h.toLowerCase();
-      return lower.includes('student') && lower.includes('name') && !lower.includes('school');
-    });
-    const schoolCodeIndex = header.findIndex(h => {
-      const lower = h.toLowerCase();
-      return lower.includes('opengrad') && lower.includes('school') && lower.includes('code');
-    });
-    
-    // Build set of UserNames for students in this school
-    const studentUserNames = new Set();
-    const studentNameToUserName = new Map();
-    
-    if (userNameIndex !== -1 && studentNameIndex !== -1 && schoolCodeIndex !== -1) {
-      const searchSchoolId = schoolId.toString().trim().toUpperCase();
-      for (let i = 1; i < masterData.length; i++) {
-        const row = masterData[i];
-        if (!row || row.length === 0) continue;
-        
-        const rowSchoolId = row[schoolCodeIndex]?.toString().trim().toUpperCase() || '';
-        const rowUserName = row[userNameIndex]?.toString().trim() || '';
-        const rowStudentName = row[studentNameIndex]?.toString().trim() || '';
-        
-        if (rowSchoolId === searchSchoolId && rowUserName) {
-          studentUserNames.add(rowUserName);
-          if (rowStudentName) {
-            studentNameToUserName.set(rowStudentName, rowUserName);
-          }
-        }
-      }
-    }
+    // Test sheets identify learners by UserName (from Mapping sheet), not Student Name
+    const studentUserNames = new Set(students.map(s => s.studentId));
     
     console.log(`[SheetsService] Found ${studentUserNames.size} UserNames for school ${schoolId}`);
 
     // Calculate stats for each test
     const testStats = [];
-    const studentIds = students.map(s => s.studentId.toString().trim());
+    const warnings = [];
+    const ambiguousMatches = [];
 
-    for (const testSheet of testSheets) {
-      const testData = await readSheet(sheets, spreadsheetId, testSheet);
-      
-      if (!testData || testData.length === 0) {
+    for (const test of testList) {
+      const testSheet = test.sheetName;
+      const results = testResults.get(testSheet);
+
+      // Leave unreadable tests out rather than reporting 0% attendance
+      if (results instanceof SheetReadError) {
+        warnings.push(sheetWarning(results, 'This test is left out of the statistics.'));
         continue;
       }
 
-      const header = testData[0];
-      
-      // Look for "Learner Details" column first (contains username@email.com)
-      const learnerDetailsIndex = header.findIndex(h => {
-        const lower = h.toLowerCase();
-        return lower.includes('learner') && lower.includes('details');
-      });
-      
-      // Fallback to any column with "student" if Learner Details not found
-      const studentIdIndex = learnerDetailsIndex === -1 
-        ? header.findIndex(h => h.toLowerCase().includes('student'))
-        : -1;
-
-      if (learnerDetailsIndex === -1 && studentIdIndex === -1) {
-        console.warn(`[SheetsService] No student identifier column found in test sheet: ${testSheet}`);
+      if (!results) {
         continue;
       }
 
-      const scoreIndices = header
-        .map((col, idx) => ({ col, idx }))
-        .filter(({ col }) => {
-          const lower = col.toLowerCase();
-          return lower.includes('score') || lower.includes('mark') || lower.includes('total');
-        })
-        .map(({ idx }) => idx);
+      // Rows that could be one of this school's students are reported, not counted
+      const schoolAmbiguities = results.ambiguous.filter(entry => entry.candidates.some(userName => studentUserNames.has(userName)));
+      ambiguousMatches.push(...ambiguityReport(testSheet, schoolAmbiguities));
+
+      const matches = results.resultsOf(studentUserNames);
 
       let attendedCount = 0;
-      let totalScore = 0;
-      let scoreCount = 0;
       const studentScores = [];
 
-      for (let i = 1; i < testData.length; i++) {
-        const row = testData[i];
-        let matched = false;
-        let rowUserName = null;
-        let rowStudentId = null;
-
-        if (learnerDetailsIndex !== -1) {
-          // Extract username from Learner Details (e.g., "TN1014033746@username.com" -> "TN1014033746")
-          const learnerDetails = row[learnerDetailsIndex]?.toString().trim() || '';
-          rowUserName = extractUsernameFromLearnerDetails(learnerDetails);
-          matched = rowUserName && studentUserNames.has(rowUserName);
-          rowStudentId = learnerDetails;
-        } else if (studentIdIndex !== -1) {
-          // Try matching by student name or other identifier
-          rowStudentId = row[studentIdIndex]?.toString().trim();
-          // Try matching by student name
-          matched = studentIds.includes(rowStudentId);
-          // Also try matching by UserName if we have a mapping
-          if (!matched && rowStudentId) {
-            const userName = studentNameToUserName.get(rowStudentId);
-            if (userName && studentUserNames.has(userName)) {
-              matched = true;
-              rowUserName = userName;
-            }
-          }
-        }
+      // class label -> { attended, scores } for this test
+      const byClass = new Map([...classResults.keys()].map(label => [label, { attended: 0, scores: [] }]));
+
+      for (const userName of studentUserNames) {
+        const match = matches.get(userName);
+        if (!match) continue;
 
-        if (matched) {
-          attendedCount++;
-          
-          // Calculate score (use first score column found, or sum all)
-          let score = 0;
-          if (scoreIndices.length > 0) {
-            score = scoreIndices.reduce((sum, idx) => {
-              const val = parseFloat(row[idx]) || 0;
-              return sum + val;
-            }, 0);
-          }
-
-          if (score > 0) {
-            totalScore += score;
-            scoreCount++;
-            studentScores.push({
-              studentId: rowUserName || rowStudentId,
-              score,
-            });
-          }
+        attendedCount++;
+        const classTotals = byClass.get(classByUser.get(userName));
+        classTotals.attended++;
+
+        // Attended without a score (blank or non-numeric cell) is not a 0
+        const { score } = match;
+        if (score) {
+          studentScores.push({ studentId: userName, ...score });
+          classTotals.scores.push(score);
         }
       }
 
-      const avgScore = scoreCount > 0 ? totalScore / scoreCount : 0;
+      for (const [label, { attended, scores }] of byClass) {
+        const classResult = classResults.get(label);
+        const { avgScore, avgPercentage, avgNormalizedScore } = summarizeScores(scores);
+        classResult.tests.push({
+          testName: testSheet,
+          attendedCount: attended,
+          attendancePercent: Math.round((attended / classResult.totalStudents) * 10000) / 100,
+          avgScore,
+          avgPercentage,
+          avgNormalizedScore,
+        });
+      }
+
+      const summary = summarizeScores(studentScores, test.passThreshold);
+      const sections = summarizeSections(studentScores, results);
       const attendancePercent = (attendedCount / students.length) * 100;
 
       testStats.push({
         testName: testSheet,
+        displayName: test.displayName,
+        subject: test.subject,
+        testDate: test.testDate,
+        maxMarks: test.maxMarks,
+        passThreshold: test.passThreshold,
+        visible: test.visible,
         totalStudents: students.length,
         attendedCount,
         attendancePercent: Math.round(attendancePercent * 100) / 100,
-        avgScore: Math.round(avgScore * 100) / 100,
+        ...summary,
+        distribution: describeScores(studentScores.map(s => s.raw), { bins, maxMarks: commonMaxMarks(studentScores) }),
+        sections,
+        weakestSection: weakestSection(sections),
+        ambiguousCount: schoolAmbiguities.length,
         topPerformers: studentScores
-          .sort((a, b) => b.score - a.score)
+          .sort((a, b) => b.normalizedScore - a.normalizedScore)
           .slice(0, 5)
-          .map(s => {
-            const student = students.find(st => st.studentId.toString().trim() === s.studentId.toString().trim());
-            return {
-              studentId: student?.studentId || s.studentId,
-              score: s.score,
-            };
-          }),
+          .map(s => ({
+            studentId: s.studentId,
+            studentName: studentsById.get(s.studentId).studentName,
+            emisId: studentsById.get(s.studentId).emisId,
+            score: s.raw,
+            percentage: s.percentage,
+            normalizedScore: s.normalizedScore,
+          })),
       });
     }
 
-    // Calculate overall stats
-    const overallAttendance = testStats.reduce((sum, t) => sum + t.attendancePercent, 0) / testStats.length || 0;
-    const overallAvgScore = testStats.reduce((sum, t) => sum + t.avgScore, 0) / testStats.length || 0;
+    // Calculate overall stats, as the mean over tests. Raw scores are not averaged
+    // across tests, since tests can have different max marks.
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length || 0;
+    const meanOf = (values) => {
+      const set = values.filter(value => value !== null);
+      return set.length > 0 ? Math.round(mean(set) * 100) / 100 : null;
+    };
+    const overallAttendance = mean(testStats.map(t => t.attendancePercent));
+
+    const classes = [...classResults.values()]
+      .sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }))
+      .map(classResult => ({
+        ...classResult,
+        avgAttendance: meanOf(classResult.tests.map(t => t.attendancePercent)) ?? 0,
+        avgPercentage: meanOf(classResult.tests.map(t => t.avgPercentage)),
+        avgNormalizedScore: meanOf(classResult.tests.map(t => t.avgNormalizedScore)),
+      }));
 
     console.log(`[SheetsService] Successfully calculated stats for school ${schoolId}: ${testStats.length} tests processed`);
 
     return {
       schoolId,
+      schoolName: students[0].schoolName,
+      udsieCode: students[0].udsieCode,
+      filters: { grade: grade || null, section: section || null },
       totalStudents: students.length,
       overallStats: {
         avgAttendance: Math.round(overallAttendance * 100) / 100,
-        avgScore: Math.round(overallAvgScore * 100) / 100,
+        avgPercentage: meanOf(testStats.map(t => t.avgPercentage)),
+        avgNormalizedScore: meanOf(testStats.map(t => t.avgNormalizedScore)),
       },
       testStats,
+      classes,
+      availableClasses,
+      partialData: warnings.length > 0,
+      warnings,
+      ambiguousMatches,
     };
   } catch (error) {
+    if (error instanceof SheetReadError) {
+      console.error(`[SheetsService] Could not read ${error.sheet} for school ${schoolId}:`, error.message);
+      return {
+        error: 'Spreadsheet data could not be loaded',
+        details: `${error.message}${error.retryable ? '. The spreadsheet is busy or unavailable, try again in a minute.' : ''}`,
+        stats: null,
+      };
+    }
+    if (error instanceof ColumnResolutionError) {
+      console.error(`[SheetsService] Column schema mismatch for school ${schoolId}:`, error.message);
+      return {
+        error: 'Spreadsheet columns do not match the column schema',
+        details: error.message,
+        stats: null,
+      };
+    }
     console.error(`[SheetsService] Unexpected error getting school stats for ${schoolId}:`, error);
     return {
       error: `Unexpected error: ${error.message}`,
@@ -0,0 +1,247 @@
+/**
+ * SQLite Mirror
+ * Copies every sheet of a data source into a local SQLite database and serves
+ * reads from there. Sheets are re-imported only when their content hash changes,
+ * and the last synced copy keeps being served when the upstream source is down.
+ * A sheet that fails to load keeps its mirrored copy; if it has never been
+ * mirrored, reading it fails with a SheetReadError until a sync succeeds.
+ * After each sync that changes the sheets, the typed result tables (see
+ * resultTables.js) are rebuilt; the mirror's `results` serves queries on them.
+ */
+
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+import { SheetReadError, settleSheetReads } from './dataSources.js';
+import { createResultTables } from './resultTables.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sheets (
+    name TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    content_hash TEXT NOT NULL,
+    row_count INTEGER NOT NULL,
+    synced_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS sheet_rows (
+    sheet TEXT NOT NULL REFERENCES sheets(name) ON DELETE CASCADE,
+    row_index INTEGER NOT NULL,
+    cells TEXT NOT NULL,
+    PRIMARY KEY (sheet, row_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS sync_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    status TEXT NOT NULL,
+    changed_sheets TEXT,
+    error TEXT
+  );
+`;
+
+function hashRows(rows) {
+  return crypto.createHash('sha256').update(JSON.stringify(rows)).digest('hex');
+}
+
+/**
+ * Create a mirror of `source` stored in the SQLite file at `dbPath`.
+ * The mirror itself is a data source (listSheets/readSheet/readSheets) with the
+ * result tables as `results`.
+ */
+export function createSqliteMirror(source, { dbPath }) {
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+
+  const statements = {
+    listSheets: db.prepare('SELECT name FROM sheets ORDER BY position'),
+    getSheet: db.prepare('SELECT name, content_hash, row_count FROM sheets WHERE name = ?'),
+    readRows: db.prepare('SELECT cells FROM sheet_rows WHERE sheet = ? ORDER BY row_index'),
+    upsertSheet: db.prepare(`
+      INSERT INTO sheets (name, position, content_hash, row_count, synced_at)
+      VALUES (@name, @position, @contentHash, @rowCount, @syncedAt)
+      ON CONFLICT(name) DO UPDATE SET
+        position = excluded.position,
+        content_hash = excluded.content_hash,
+        row_count = excluded.row_count,
+        synced_at = excluded.synced_at
+    `),
+    updatePosition: db.prepare('UPDATE sheets SET position = ? WHERE name = ?'),
+    deleteRows: db.prepare('DELETE FROM sheet_rows WHERE sheet = ?'),
+    insertRow: db.prepare('INSERT INTO sheet_rows (sheet, row_index, cells) VALUES (?, ?, ?)'),
+    deleteSheet: db.prepare('DELETE FROM sheets WHERE name = ?'),
+    startRun: db.prepare("INSERT INTO sync_runs (started_at, status) VALUES (?, 'running')"),
+    finishRun: db.prepare('UPDATE sync_runs SET finished_at = ?, status = ?, changed_sheets = ?, error = ? WHERE id = ?'),
+    lastSuccess: db.prepare("SELECT finished_at FROM sync_runs WHERE status IN ('ok', 'partial') ORDER BY id DESC LIMIT 1"),
+    lastRun: db.prepare('SELECT started_at, finished_at, status, error FROM sync_runs ORDER BY id DESC LIMIT 1'),
+  };
+
+  const importSheet = db.transaction((name, position, rows, contentHash, syncedAt) => {
+    statements.deleteRows.run(name);
+    statements.upsertSheet.run({ name, position, contentHash, rowCount: rows.length, syncedAt });
+    rows.forEach((row, idx) => {
+      statements.insertRow.run(name, idx, JSON.stringify(row));
+    });
+  });
+
+  const removeSheets = db.transaction((names) => {
+    for (const name of names) {
+      statements.deleteSheet.run(name);
+    }
+  });
+
+  let syncInProgress = null;
+  let syncTimer = null;
+  // sheet name -> SheetReadError, for sheets the last sync could not read
+  let failedSheets = new Map();
+
+  /**
+   * Pull every sheet from the upstream source and re-import the changed ones
+   */
+  async function runSync() {
+    const startedAt = new Date().toISOString();
+    const runId = statements.startRun.run(startedAt).lastInsertRowid;
+    const changed = [];
+    const removed = [];
+    const failed = new Map();
+
+    try {
+      const sheetNames = await source.listSheets();
+      const sheetData = await source.readSheets(sheetNames);
+      const syncedAt = new Date().toISOString();
+
+      sheetNames.forEach((name, position) => {
+        const rows = sheetData.get(name) || [];
+        const existing = statements.getSheet.get(name);
+
+        // Never replace mirrored data because of a failed read
+        if (rows instanceof SheetReadError) {
+          failed.set(name, rows);
+          console.warn(`[SqliteMirror] ${rows.message}${existing ? ', keeping the mirrored copy' : ''}`);
+          if (existing) statements.updatePosition.run(position, name);
+          return;
+        }
+
+        const contentHash = hashRows(rows);
+        if (existing && existing.content_hash === contentHash) {
+          statements.updatePosition.run(position, name);
+          return;
+        }
+
+        importSheet(name, position, rows, contentHash, syncedAt);
+        changed.push(name);
+      });
+
+      const upstream = new Set(sheetNames);
+      for (const { name } of statements.listSheets.all()) {
+        if (!upstream.has(name)) removed.push(name);
+      }
+      removeSheets(removed);
+
+      const failedChanged = failed.size !== failedSheets.size || [...failed.keys()].some(name => !failedSheets.has(name));
+      failedSheets = failed;
+      const status = failed.size > 0 ? 'partial' : 'ok';
+      const failureSummary = failed.size > 0 ? [...failed.values()].map(error => error.message).join('; ') : null;
+      statements.finishRun.run(new Date().toISOString(), status, JSON.stringify([...changed, ...removed]), failureSummary, runId);
+      if (changed.length > 0 || removed.length > 0 || failed.size > 0) {
+        console.log(`[SqliteMirror] Sync complete: ${changed.length} sheets updated, ${removed.length} removed, ${failed.size} failed`);
+      }
+
+      // Rebuild the result tables when their sheets may have changed, or they were never built
+      const { builtAt, error } = results.getStatus();
+      if (changed.length > 0 || removed.length > 0 || failedChanged || (!builtAt && !error)) {
+        await results.rebuild();
+      }
+      return { changed, removed, failed: [...failed.keys()] };
+    } catch (error) {
+      console.error('[SqliteMirror] Sync failed, serving last synced data:', error.message);
+      statements.finishRun.run(new Date().toISOString(), 'error', null, error.message, runId);
+      throw error;
+    }
+  }
+
+  const mirror = {
+    type: 'sqlite',
+    description: `SQLite mirror of ${source.description}`,
+    columnSchema: source.columnSchema,
+
+    async listSheets() {
+      const mirrored = statements.listSheets.all().map(row => row.name);
+      // Sheets that exist upstream but have never been mirrored are listed, so they show up as unreadable
+      const neverMirrored = [...failedSheets.keys()].filter(name => !mirrored.includes(name));
+      return [...mirrored, ...neverMirrored];
+    },
+
+    async readSheet(sheetName) {
+      if (!statements.getSheet.get(sheetName)) {
+        throw failedSheets.get(sheetName) || new SheetReadError(sheetName, 'not in the SQLite mirror');
+      }
+      return statements.readRows.all(sheetName).map(row => JSON.parse(row.cells));
+    },
+
+    async readSheets(sheetNames) {
+      return settleSheetReads(sheetNames.map(name => [name, this.readSheet(name)]));
+    },
+
+    /**
+     * Sync once. Concurrent calls share the sync that is already running.
+     */
+    sync() {
+      if (!syncInProgress) {
+        syncInProgress = runSync().finally(() => {
+          syncInProgress = null;
+        });
+      }
+      return syncInProgress;
+    },
+
+    /**
+     * Sync every `intervalMs`; `onSync` receives the result of each successful sync
+     */
+    startSchedule(intervalMs, onSync = () => {}) {
+      this.stopSchedule();
+      syncTimer = setInterval(() => {
+        this.sync().then(onSync).catch(() => {
+          // Already logged and recorded in sync_runs
+        });
+      }, intervalMs);
+    },
+
+    stopSchedule() {
+      if (syncTimer) {
+        clearInterval(syncTimer);
+        syncTimer = null;
+      }
+    },
+
+    hasData() {
+      return statements.listSheets.all().length > 0;
+    },
+
+    getStatus() {
+      const lastRun = statements.lastRun.get();
+      return {
+        dbPath,
+        syncing: !!syncInProgress,
+        lastSuccessfulSyncAt: statements.lastSuccess.get()?.finished_at || null,
+        lastAttempt: lastRun
+          ? {
+              startedAt: lastRun.started_at,
+              finishedAt: lastRun.finished_at,
+              status: lastRun.status,
+              error: lastRun.error,
+            }
+          : null,
+        sheetCount: statements.listSheets.all().length,
+        failedSheets: [...failedSheets.values()].map(error => ({ sheet: error.sheet, error: error.message })),
+        resultTables: results.getStatus(),
+      };
+    },
+  };
+
+  const results = createResultTables(db, mirror);
+  mirror.results = results;
+  return mirror;
+}
@@ -0,0 +1,131 @@
+/**
+ * Statistics
+ * Summary statistics for the spread of a test's scores: min, max, median,
+ * quartiles, standard deviation, a histogram and percentile ranks.
+ */
+
+export const DEFAULT_HISTOGRAM_BINS = 10;
+export const MAX_HISTOGRAM_BINS = 50;
+
+// Changes in normalized score smaller than this (in standard deviations) are "stable"
+export const STABLE_CHANGE = 0.1;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Number of histogram bins from a request parameter, within 1..MAX_HISTOGRAM_BINS
+ */
+export function parseBins(value) {
+  const bins = parseInt(value, 10);
+  if (isNaN(bins)) return DEFAULT_HISTOGRAM_BINS;
+  return Math.max(1, Math.min(MAX_HISTOGRAM_BINS, bins));
+}
+
+/**
+ * Quantile of sorted values, interpolating between the two nearest values
+ */
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Equal-width bins from `start` to `end`. The last bin includes `end`.
+ */
+function histogram(values, bins, start, end) {
+  if (end <= start) {
+    return [{ start: round(start), end: round(end), count: values.length }];
+  }
+
+  const width = (end - start) / bins;
+  const result = Array.from({ length: bins }, (_, i) => ({
+    start: round(start + i * width),
+    end: round(start + (i + 1) * width),
+    count: 0,
+  }));
+  for (const value of values) {
+    const i = Math.min(bins - 1, Math.max(0, Math.floor((value - start) / width)));
+    result[i].count++;
+  }
+  return result;
+}
+
+/**
+ * Spread of a list of scores. The histogram covers 0 to `maxMarks` when every
+ * score is in that range, otherwise the lowest to the highest score.
+ * Returns null when there are no scores.
+ */
+export function describeScores(values, { bins = DEFAULT_HISTOGRAM_BINS, maxMarks = null } = {}) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  const variance = sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / sorted.length;
+
+  const fullScale = maxMarks > 0 && min >= 0 && max <= maxMarks;
+
+  return {
+    count: sorted.length,
+    min,
+    max,
+    mean: round(mean),
+    median: round(quantile(sorted, 0.5)),
+    q1: round(quantile(sorted, 0.25)),
+    q3: round(quantile(sorted, 0.75)),
+    stdDev: round(Math.sqrt(variance)),
+    histogram: histogram(sorted, bins, fullScale ? 0 : min, fullScale ? maxMarks : max),
+  };
+}
+
+/**
+ * Percentile rank of `value` among `values` (0-100): the share of values below
+ * it, counting values equal to it as half below
+ */
+export function percentileRank(values, value) {
+  if (values.length === 0) return null;
+  let below = 0;
+  let equal = 0;
+  for (const v of values) {
+    if (v < value) below++;
+    else if (v === value) equal++;
+  }
+  return percentileRankFromCounts({ below, equal, total: values.length });
+}
+
+/**
+ * Percentile rank from the number of values below and equal to the value, out of `total`
+ */
+export function percentileRankFromCounts({ below, equal, total }) {
+  if (total === 0) return null;
+  return round(((below + equal / 2) / total) * 100);
+}
+
+/**
+ * Slope of the least-squares line through values taken at steps 0, 1, 2, ...
+ */
+export function slope(values) {
+  if (values.length < 2) return null;
+  const meanX = (values.length - 1) / 2;
+  const meanY = values.reduce((sum, v) => sum + v, 0) / values.length;
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((value, x) => {
+    numerator += (x - meanX) * (value - meanY);
+    denominator += (x - meanX) ** 2;
+  });
+  return round(numerator / denominator);
+}
+
+/**
+ * "improving", "declining" or "stable" for a change in normalized score
+ */
+export function trendOf(change) {
+  if (change === null || change === undefined) return null;
+  if (change > STABLE_CHANGE) return 'improving';
+  if (change < -STABLE_CHANGE) return 'declining';
+  return 'stable';
+}
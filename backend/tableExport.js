@@ -0,0 +1,83 @@
+/**
+ * Table Export
+ * Builds CSV and XLSX downloads from tables of { name, header, rows }, where rows
+ * are arrays of cell values. An XLSX file has one worksheet per table; a CSV file
+ * with several tables has each under a line with its name, separated by a blank line.
+ *
+ * Cells starting with =, +, - or @ are prefixed with a quote so spreadsheet
+ * programs show them as text instead of running them as formulas.
+ */
+
+import XLSX from 'xlsx';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+// Excel limits worksheet names to 31 characters and does not allow some characters
+const MAX_WORKSHEET_NAME = 31;
+
+/**
+ * Export format from a request parameter, or null for a JSON response
+ */
+export function parseExportFormat(value) {
+  const format = value?.toString().trim().toLowerCase();
+  return EXPORT_FORMATS.includes(format) ? format : null;
+}
+
+const safeText = (value) => {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' && FORMULA_PATTERN.test(value) ? `'${value}` : value;
+};
+
+function csvCell(value) {
+  const str = safeText(value).toString();
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * CSV text from a header row and data rows
+ */
+export function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function tablesToCsv(tables) {
+  if (tables.length === 1) return toCsv(tables[0].header, tables[0].rows);
+  return tables.map(table => `${csvCell(table.name)}\r\n${toCsv(table.header, table.rows)}`).join('\r\n');
+}
+
+function tablesToXlsx(tables) {
+  const workbook = XLSX.utils.book_new();
+  const used = new Set();
+  for (const table of tables) {
+    const base = table.name.replace(/[\\/?*[\]:]/g, ' ').slice(0, MAX_WORKSHEET_NAME) || 'Sheet';
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      name = `${base.slice(0, MAX_WORKSHEET_NAME - 3)} ${n}`;
+    }
+    used.add(name.toLowerCase());
+
+    const worksheet = XLSX.utils.aoa_to_sheet([table.header, ...table.rows.map(row => row.map(safeText))]);
+    XLSX.utils.book_append_sheet(workbook, worksheet, name);
+  }
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+/**
+ * Send tables as a CSV or XLSX download named `basename` plus the format's extension
+ */
+export function sendTables(res, format, basename, tables) {
+  const filename = `${basename.replace(/[^\w.-]+/g, '_')}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(tablesToXlsx(tables));
+    return;
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  // Byte order mark so Excel reads the file as UTF-8
+  res.send(`﻿${tablesToCsv(tables)}`);
+}
@@ -0,0 +1,221 @@
+/**
+ * Access Policy
+ * Unit tests for accessPolicy.js: which schools, students and cohorts each role
+ * may read, and how authorize() answers. Runs against an in-memory Mapping sheet,
+ * without the server (routeAccess.test.js covers the routes).
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  ROLES,
+  AccessDeniedError,
+  allowRoles,
+  assertCohortAccess,
+  assertSchoolAccess,
+  assertStudentAccess,
+  authorize,
+  getDistrictSchools,
+} from '../accessPolicy.js';
+import { getColumnSchema } from '../columnResolver.js';
+
+/**
+ * Data source holding only the given sheets, with the default column schema
+ * plus `mappingColumns`
+ */
+function memorySource(sheets, mappingColumns = {}) {
+  const schema = structuredClone(getColumnSchema());
+  Object.assign(schema.mapping.columns, mappingColumns);
+  return {
+    type: 'memory',
+    columnSchema: schema,
+    async listSheets() {
+      return Object.keys(sheets);
+    },
+    async readSheet(sheetName) {
+      return sheets[sheetName] || [];
+    },
+  };
+}
+
+// Two schools in Chennai, one in Madurai; S4 has rows in two schools
+const MAPPING = [
+  ['UserName', 'Student Name', 'School Name', 'OpenGrad School Code', 'UDSIE Code', 'EMIS_ID', 'Date of Birth', 'District'],
+  ['S1', 'Student One', 'Alpha', 'OG001', '', '', '', 'Chennai'],
+  ['S2', 'Student Two', 'Beta', 'OG002', '', '', '', 'Chennai'],
+  ['S3', 'Student Three', 'Gamma', 'OG003', '', '', '', 'Madurai'],
+  ['S4', 'Student Four', 'Gamma', 'OG003', '', '', '', 'Madurai'],
+  ['S4', 'Student Four', 'Beta', 'OG002', '', '', '', 'Chennai'],
+];
+const source = memorySource({ Mapping: MAPPING }, { district: 'District' });
+
+const USERS = {
+  student: { username: 'S1', role: ROLES.STUDENT },
+  school: { username: 'og001.coordinator', role: ROLES.SCHOOL, schoolCode: 'OG001' },
+  unassignedSchool: { username: 'new.coordinator', role: ROLES.SCHOOL },
+  districtByColumn: { username: 'chennai.district', role: ROLES.DISTRICT, district: ' chennai ' },
+  districtByList: { username: 'list.district', role: ROLES.DISTRICT, district: 'Chennai', schools: ['OG003'] },
+  admin: { username: 'admin', role: ROLES.ADMIN },
+  unknownRole: { username: 'guest', role: 'guest' },
+};
+
+// [user, school code, allowed]
+const SCHOOL_ACCESS = [
+  ['student', 'OG001', false],
+  ['school', 'OG001', true],
+  ['school', 'OG002', false],
+  ['school', 'og001', false],
+  ['unassignedSchool', 'OG001', false],
+  ['districtByColumn', 'OG001', true],
+  ['districtByColumn', 'OG002', true],
+  ['districtByColumn', 'OG003', false],
+  ['districtByList', 'OG003', true],
+  ['districtByList', 'OG001', false],
+  ['admin', 'OG001', true],
+  ['admin', 'OG999', true],
+  ['unknownRole', 'OG001', false],
+];
+
+// [user, student ID, allowed]
+const STUDENT_ACCESS = [
+  ['student', 'S1', true],
+  ['student', 'S2', false],
+  ['school', 'S1', true],
+  ['school', 'S2', false],
+  ['school', 'UNKNOWN', false],
+  ['unassignedSchool', 'S1', false],
+  ['districtByColumn', 'S1', true],
+  ['districtByColumn', 'S3', false],
+  ['districtByColumn', 'S4', true],
+  ['districtByList', 'S3', true],
+  ['districtByList', 'S4', true],
+  ['districtByList', 'S1', false],
+  ['admin', 'S3', true],
+  ['admin', 'UNKNOWN', true],
+  ['unknownRole', 'S1', false],
+];
+
+async function assertAllowed(check, allowed) {
+  if (allowed) {
+    await check();
+  } else {
+    await assert.rejects(check, AccessDeniedError);
+  }
+}
+
+describe('assertSchoolAccess', () => {
+  for (const [user, schoolCode, allowed] of SCHOOL_ACCESS) {
+    it(`${user} ${allowed ? 'may' : 'may not'} read school ${schoolCode}`, async () => {
+      await assertAllowed(() => assertSchoolAccess(USERS[user], source, schoolCode), allowed);
+    });
+  }
+});
+
+describe('assertStudentAccess', () => {
+  for (const [user, studentId, allowed] of STUDENT_ACCESS) {
+    it(`${user} ${allowed ? 'may' : 'may not'} read student ${studentId}`, async () => {
+      await assertAllowed(() => assertStudentAccess(USERS[user], source, studentId), allowed);
+    });
+  }
+});
+
+describe('getDistrictSchools', () => {
+  it('uses the user\'s schools list before the Mapping district column', async () => {
+    assert.deepEqual(await getDistrictSchools(source, { ...USERS.districtByList, schools: [' OG003 ', 'OG004'] }), new Set(['OG003', 'OG004']));
+  });
+
+  it('reads the district column, ignoring case and whitespace', async () => {
+    assert.deepEqual(await getDistrictSchools(source, USERS.districtByColumn), new Set(['OG001', 'OG002']));
+  });
+
+  it('is empty for a user with no schools list and no district', async () => {
+    assert.deepEqual(await getDistrictSchools(source, { username: 'nobody', role: ROLES.DISTRICT }), new Set());
+  });
+
+  it('is empty when Mapping has no district column', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const noDistrictColumn = memorySource({ Mapping: MAPPING.map(row => row.slice(0, -1)) });
+    assert.deepEqual(await getDistrictSchools(noDistrictColumn, USERS.districtByColumn), new Set());
+    await assert.rejects(() => assertSchoolAccess(USERS.districtByColumn, noDistrictColumn, 'OG001'), AccessDeniedError);
+  });
+});
+
+describe('assertCohortAccess', () => {
+  // [cohorts list, cohort ID, allowed]
+  const COHORT_ACCESS = [
+    [undefined, '2024', true],
+    [[], '2024', true],
+    [['2024'], '2024', true],
+    [['2024'], '2025', false],
+    [['2024', '2025'], '2025', true],
+  ];
+
+  for (const role of Object.values(ROLES)) {
+    for (const [cohorts, cohortId, allowed] of COHORT_ACCESS) {
+      it(`${role} with cohorts ${JSON.stringify(cohorts)} ${allowed ? 'may' : 'may not'} read cohort ${cohortId}`, () => {
+        const user = { username: 'user', role, cohorts };
+        if (allowed) {
+          assertCohortAccess(user, cohortId);
+        } else {
+          assert.throws(() => assertCohortAccess(user, cohortId), AccessDeniedError);
+        }
+      });
+    }
+  }
+});
+
+describe('allowRoles', () => {
+  const check = allowRoles(ROLES.DISTRICT, ROLES.ADMIN);
+
+  for (const role of Object.values(ROLES)) {
+    const allowed = role === ROLES.DISTRICT || role === ROLES.ADMIN;
+    it(`${allowed ? 'allows' : 'denies'} ${role}`, () => {
+      if (allowed) {
+        check({ role });
+      } else {
+        assert.throws(() => check({ role }), AccessDeniedError);
+      }
+    });
+  }
+});
+
+describe('authorize', () => {
+  /**
+   * Run the middleware on a fake request; resolves to the response it sent, or 'next'
+   */
+  async function run(check, user = USERS.school) {
+    const response = {};
+    const res = {
+      status(code) {
+        response.status = code;
+        return this;
+      },
+      json(body) {
+        response.body = body;
+        return this;
+      },
+    };
+    let calledNext = false;
+    await authorize(check)({ method: 'GET', path: '/api/test', user }, res, () => { calledNext = true; });
+    return calledNext ? 'next' : response;
+  }
+
+  it('calls the next handler when the check passes', async () => {
+    assert.equal(await run(async () => {}), 'next');
+  });
+
+  it('answers 403 when the check denies access', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const response = await run(user => assertSchoolAccess(user, source, 'OG002'));
+    assert.equal(response.status, 403);
+    assert.deepEqual(response.body, { error: 'Access denied', details: 'You can only view school OG001' });
+  });
+
+  it('answers 500 when the check fails for another reason', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const response = await run(() => { throw new Error('Mapping unavailable'); });
+    assert.equal(response.status, 500);
+    assert.match(response.body.error, /Mapping unavailable/);
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Route Access
+ * Signs in as each role (student, school, district, admin) and calls every route
+ * of server.js, checking it answers 200 (or the route's success status) where the
+ * access policy allows it and 403 where it does not. The server runs as a child
+ * process against sample-data, with every file it writes in a temporary directory.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import http from 'node:http';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const BACKEND_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// sample-data: TN1000000001 is in OG001, TN1000000004 in OG002
+const STUDENT = 'TN1000000001';
+const OTHER_SCHOOL_STUDENT = 'TN1000000004';
+const SCHOOL = 'OG001';
+const OTHER_SCHOOL = 'OG002';
+const TEST = 'Aptitude Test';
+
+// users.example.json; the district officer has OG001 and OG002
+const CREDENTIALS = {
+  student: { type: 'student', username: STUDENT, secret: '14/03/2010' },
+  school: { type: 'staff', username: 'og001.coordinator', password: 'demo-coordinator' },
+  district: { type: 'staff', username: 'chennai.district', password: 'demo-district' },
+  admin: { type: 'staff', username: 'admin', password: 'demo-admin' },
+};
+const ROLES = Object.keys(CREDENTIALS);
+
+/**
+ * Expected status per role: `status` for the allowed roles, 403 for the others
+ */
+const allow = (roles, status = 200) => Object.fromEntries(ROLES.map(role => [role, roles.includes(role) ? status : 403]));
+
+const EVERYONE = allow(ROLES);
+const STAFF = allow(['school', 'district', 'admin']);
+const ORG_WIDE = allow(['district', 'admin']);
+const ADMIN = allow(['admin']);
+
+const studentQuery = (studentId) => `studentId=${studentId}`;
+const schoolQuery = (schoolId) => `schoolId=${schoolId}`;
+const testQuery = `testName=${encodeURIComponent(TEST)}`;
+
+// [method, path, expected status by role]; `{jobId}` is a finished report card job of SCHOOL
+const ROUTES = [
+  ['GET', '/', EVERYONE],
+  ['GET', '/health', EVERYONE],
+  ['GET', '/api/cohorts', EVERYONE],
+  ['GET', '/api/auth/me', EVERYONE],
+
+  ['POST', '/api/cache/invalidate', ADMIN],
+  ['GET', '/api/debug/master', ADMIN],
+  ['GET', `/api/test/enriched?${testQuery}`, ADMIN],
+  ['GET', '/api/admin/data-quality', ADMIN],
+  ['GET', '/api/admin/digests', ADMIN],
+  ['GET', `/api/admin/digests/preview?${schoolQuery(SCHOOL)}`, ADMIN],
+  ['POST', '/api/admin/digests/run', ADMIN],
+  ['GET', '/api/admin/webhooks', ADMIN],
+  ['POST', '/api/admin/webhooks/check', ADMIN],
+  ['POST', '/api/admin/webhooks/ping?webhookId=test-receiver', ADMIN],
+
+  ['GET', `/api/student/tests?${studentQuery(STUDENT)}`, EVERYONE],
+  ['GET', `/api/student/test-details?${studentQuery(STUDENT)}&${testQuery}`, EVERYONE],
+  ['GET', `/api/student/history?${studentQuery(STUDENT)}`, EVERYONE],
+  ['GET', `/api/student/report.pdf?${studentQuery(STUDENT)}`, EVERYONE],
+  ['GET', `/api/student/live?${studentQuery(STUDENT)}`, EVERYONE],
+  ['GET', `/api/student/tests?${studentQuery(OTHER_SCHOOL_STUDENT)}`, ORG_WIDE],
+  ['GET', `/api/student/test-details?${studentQuery(OTHER_SCHOOL_STUDENT)}&${testQuery}`, ORG_WIDE],
+  ['GET', `/api/student/history?${studentQuery(OTHER_SCHOOL_STUDENT)}`, ORG_WIDE],
+  ['GET', `/api/student/report.pdf?${studentQuery(OTHER_SCHOOL_STUDENT)}`, ORG_WIDE],
+  ['GET', `/api/student/live?${studentQuery(OTHER_SCHOOL_STUDENT)}`, ORG_WIDE],
+
+  ['GET', `/api/school/stats?${schoolQuery(SCHOOL)}`, STAFF],
+  ['GET', `/api/school/attendance?${schoolQuery(SCHOOL)}`, STAFF],
+  ['GET', `/api/school/absentees?${schoolQuery(SCHOOL)}`, STAFF],
+  ['GET', `/api/school/live?${schoolQuery(SCHOOL)}`, STAFF],
+  ['POST', `/api/school/report-cards?${schoolQuery(SCHOOL)}`, allow(['school', 'district', 'admin'], 202)],
+  ['GET', `/api/school/report-cards?${schoolQuery(SCHOOL)}`, STAFF],
+  ['GET', `/api/school/report-cards/download?${schoolQuery(SCHOOL)}&jobId={jobId}`, STAFF],
+  ['GET', `/api/school/stats?${schoolQuery(OTHER_SCHOOL)}`, ORG_WIDE],
+  ['GET', `/api/school/attendance?${schoolQuery(OTHER_SCHOOL)}`, ORG_WIDE],
+  ['GET', `/api/school/absentees?${schoolQuery(OTHER_SCHOOL)}`, ORG_WIDE],
+  ['GET', `/api/school/live?${schoolQuery(OTHER_SCHOOL)}`, ORG_WIDE],
+  ['POST', `/api/school/report-cards?${schoolQuery(OTHER_SCHOOL)}`, allow(['district', 'admin'], 202)],
+  ['GET', `/api/school/report-cards?${schoolQuery(OTHER_SCHOOL)}`, ORG_WIDE],
+
+  ['GET', '/api/org/stats', ORG_WIDE],
+];
+
+// Routes that stream (Server-Sent Events): only the response status is read
+const isStream = (routePath) => routePath.includes('/live?');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('route access by role', () => {
+  let server;
+  let serverLog = '';
+  let webhookReceiver;
+  let tempDir;
+  let baseUrl;
+  let jobId;
+  const tokens = {};
+
+  const request = async (method, routePath, role, { signal } = {}) => {
+    const headers = tokens[role] ? { Authorization: `Bearer ${tokens[role]}` } : {};
+    return fetch(`${baseUrl}${routePath.replace('{jobId}', jobId)}`, { method, headers, signal });
+  };
+
+  const json = async (method, routePath, role) => {
+    const response = await request(method, routePath, role);
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'route-access-'));
+
+    // Webhook pings go to a local receiver that accepts everything
+    webhookReceiver = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => res.end('ok'));
+    });
+    await new Promise(resolve => webhookReceiver.listen(0, '127.0.0.1', resolve));
+    const webhooksFile = path.join(tempDir, 'webhooks.json');
+    fs.writeFileSync(webhooksFile, JSON.stringify([{
+      id: 'test-receiver',
+      url: `http://127.0.0.1:${webhookReceiver.address().port}/hook`,
+      secret: 'test-secret',
+    }]));
+
+    // One local cohort on sample-data, without a SQLite mirror
+    const cohortsFile = path.join(tempDir, 'cohorts.json');
+    fs.writeFileSync(cohortsFile, JSON.stringify([{
+      id: 'sample',
+      name: 'Sample',
+      default: true,
+      dataSource: 'local',
+      dataDir: path.join(BACKEND_DIR, 'sample-data'),
+    }]));
+
+    const port = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    server = spawn(process.execPath, ['server.js'], {
+      cwd: BACKEND_DIR,
+      env: {
+        ...process.env,
+        PORT: String(port),
+        COHORTS_FILE: cohortsFile,
+        USERS_FILE: './users.example.json',
+        AUTH_SECRET: 'route-access-test',
+        WEBHOOKS_FILE: webhooksFile,
+        WEBHOOK_LOG_PATH: path.join(tempDir, 'webhook-deliveries.jsonl'),
+        CHANGE_STATE_PATH: path.join(tempDir, 'sheet-fingerprints.json'),
+        // Digests are on, but mail goes to a closed port and only fails
+        SMTP_HOST: '127.0.0.1',
+        SMTP_PORT: String(await freePort()),
+        DIGEST_LOG_PATH: path.join(tempDir, 'digest-log.jsonl'),
+      },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    server.stdout.on('data', chunk => { serverLog += chunk; });
+    server.stderr.on('data', chunk => { serverLog += chunk; });
+
+    // Ready once the cohort's data source is up, not just the HTTP listener
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const health = await (await fetch(`${baseUrl}/health`)).json();
+        if (health.cohorts.some(cohort => cohort.dataSource)) break;
+      } catch {
+        // Not listening yet
+      }
+      if (attempt >= 100 || server.exitCode !== null) {
+        throw new Error(`Server did not start:\n${serverLog}`);
+      }
+      await sleep(100);
+    }
+
+    for (const role of ROLES) {
+      const response = await fetch(`${baseUrl}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(CREDENTIALS[role]),
+      });
+      const body = await response.text();
+      assert.equal(response.status, 200, `${role} sign-in failed: ${body}`);
+      tokens[role] = JSON.parse(body).token;
+    }
+
+    // A finished report card job to download
+    const started = await json('POST', `/api/school/report-cards?${schoolQuery(SCHOOL)}`, 'admin');
+    assert.equal(started.status, 202);
+    jobId = started.body.jobId;
+    for (let attempt = 0; ; attempt++) {
+      const { body } = await json('GET', `/api/school/report-cards?${schoolQuery(SCHOOL)}&jobId=${jobId}`, 'admin');
+      if (body.job.status === 'done') break;
+      if (body.job.status === 'failed' || attempt >= 100) {
+        throw new Error(`Report card job did not finish: ${JSON.stringify(body.job)}`);
+      }
+      await sleep(100);
+    }
+  });
+
+  after(async () => {
+    server?.kill();
+    await new Promise(resolve => webhookReceiver?.close(resolve));
+    if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('rejects requests without a session', async () => {
+    for (const [method, routePath] of ROUTES.filter(([, routePath]) => routePath.startsWith('/api/') && !routePath.startsWith('/api/cohorts'))) {
+      const response = await request(method, routePath, null);
+      assert.equal(response.status, 401, `${method} ${routePath}`);
+      await response.body?.cancel();
+    }
+  });
+
+  for (const [method, routePath, expected] of ROUTES) {
+    for (const role of ROLES) {
+      it(`${method} ${routePath} as ${role} -> ${expected[role]}`, async () => {
+        const controller = new AbortController();
+        const response = await request(method, routePath, role, { signal: controller.signal });
+        const body = isStream(routePath) || response.status === expected[role] ? '' : await response.text();
+        controller.abort();
+        assert.equal(response.status, expected[role], `${method} ${routePath} as ${role}: ${body}`);
+      });
+    }
+  }
+});
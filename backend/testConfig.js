@@ -0,0 +1,201 @@
+/**
+ * Test Configuration
+ * Reads per-test metadata from the Config sheet. Each Config row describes one
+ * test sheet:
+ *
+ * | Test         | Display Name     | Subject | Test Date  | Max Marks | Pass Threshold | Score Column | Visible |
+ * |--------------|------------------|---------|------------|-----------|----------------|--------------|---------|
+ * | Aptitude Test| Aptitude (Term 1)| Aptitude| 2025-07-14 | 50        | 40%            | Score        | Yes     |
+ *
+ * Max Marks Column and Section Columns (comma-separated headers) are also read,
+ * see scoring.js. Only the Test column is required. Tests without a Config row
+ * use their sheet name, have no metadata and are visible.
+ */
+
+import { getColumnSchema, schemaOf } from './columnResolver.js';
+
+export const CONFIG_SHEET_NAME = 'Config';
+
+// Sheets that never hold test results
+const NON_TEST_SHEETS = ['mapping', 'config'];
+
+// Accepted header names (case-insensitive) for each Config column
+const CONFIG_COLUMNS = {
+  sheetName: ['test', 'test sheet', 'sheet', 'sheet name'],
+  displayName: ['display name', 'name', 'test name'],
+  subject: ['subject'],
+  testDate: ['test date', 'date'],
+  maxMarks: ['max marks', 'maximum marks', 'out of'],
+  passThreshold: ['pass threshold', 'pass marks', 'pass mark'],
+  scoreColumn: ['score column'],
+  maxMarksColumn: ['max marks column', 'out of column'],
+  sectionColumns: ['section columns', 'sections'],
+  visible: ['visible', 'visible to students', 'released'],
+};
+
+const HIDDEN_VALUES = ['no', 'n', 'false', '0', 'hidden', 'hide'];
+
+/**
+ * Parse a date written as YYYY-MM-DD, DD/MM/YYYY or DD-MM-YYYY into YYYY-MM-DD
+ */
+export function parseDate(value) {
+  if (!value) return null;
+  const str = value.toString().trim();
+
+  let match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    return toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+
+  // Day first, as entered in Indian locale sheets
+  match = str.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (match) {
+    return toIsoDate(Number(match[3]), Number(match[2]), Number(match[1]));
+  }
+
+  const parsed = new Date(str);
+  if (!isNaN(parsed.getTime())) {
+    return toIsoDate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+  }
+  return null;
+}
+
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === null || value.toString().trim() === '') return null;
+  const num = parseFloat(value.toString().replace(/,/g, ''));
+  return isNaN(num) ? null : num;
+}
+
+/**
+ * Pass threshold in marks. "40%" is converted using the test's max marks.
+ */
+function parsePassThreshold(value, maxMarks, sheetName) {
+  if (!value || value.toString().trim() === '') return null;
+  const str = value.toString().trim();
+  if (str.endsWith('%')) {
+    const percent = parseNumber(str.slice(0, -1));
+    if (percent === null) return null;
+    if (maxMarks === null) {
+      console.warn(`[TestConfig] Pass threshold "${str}" for "${sheetName}" is a percentage but Max Marks is not set`);
+      return null;
+    }
+    return Math.round((percent / 100) * maxMarks * 100) / 100;
+  }
+  return parseNumber(str);
+}
+
+function defaultMetadata(sheetName) {
+  return {
+    sheetName,
+    displayName: sheetName,
+    subject: null,
+    testDate: null,
+    maxMarks: null,
+    passThreshold: null,
+    scoreColumn: null,
+    maxMarksColumn: null,
+    sectionColumns: [],
+    visible: true,
+  };
+}
+
+export function isTestSheet(sheetName, schema = getColumnSchema()) {
+  const lower = sheetName.toLowerCase();
+  return !NON_TEST_SHEETS.includes(lower)
+    && lower !== schema.mapping.sheet.toLowerCase()
+    && lower !== schema.aliases.sheet.toLowerCase();
+}
+
+/**
+ * Read the Config sheet into a map of sheet name -> test metadata
+ */
+export async function loadTestConfig(source) {
+  const config = new Map();
+  const configSheet = (await source.listSheets()).find(name => name.toLowerCase() === CONFIG_SHEET_NAME.toLowerCase());
+  if (!configSheet) {
+    return config;
+  }
+
+  const configData = await source.readSheet(configSheet);
+
+  if (!configData || configData.length === 0) {
+    return config;
+  }
+
+  const header = configData[0].map(h => h?.toString().trim().toLowerCase() || '');
+  const indices = {};
+  for (const [field, names] of Object.entries(CONFIG_COLUMNS)) {
+    indices[field] = header.findIndex(h => names.includes(h));
+  }
+
+  if (indices.sheetName === -1) {
+    console.warn(`[TestConfig] Config sheet has no Test column. Header: ${JSON.stringify(configData[0])}`);
+    return config;
+  }
+
+  const cell = (row, field) => (indices[field] !== -1 ? row[indices[field]]?.toString().trim() || '' : '');
+
+  for (let i = 1; i < configData.length; i++) {
+    const row = configData[i];
+    if (!row || row.length === 0) continue;
+
+    const sheetName = cell(row, 'sheetName');
+    if (!sheetName) continue;
+
+    const maxMarks = parseNumber(cell(row, 'maxMarks'));
+    const visibleValue = cell(row, 'visible').toLowerCase();
+
+    config.set(sheetName, {
+      sheetName,
+      displayName: cell(row, 'displayName') || sheetName,
+      subject: cell(row, 'subject') || null,
+      testDate: parseDate(cell(row, 'testDate')),
+      maxMarks,
+      passThreshold: parsePassThreshold(cell(row, 'passThreshold'), maxMarks, sheetName),
+      scoreColumn: cell(row, 'scoreColumn') || null,
+      maxMarksColumn: cell(row, 'maxMarksColumn') || null,
+      sectionColumns: cell(row, 'sectionColumns').split(',').map(name => name.trim()).filter(Boolean),
+      visible: !HIDDEN_VALUES.includes(visibleValue),
+    });
+  }
+
+  return config;
+}
+
+/**
+ * List all test sheets with their metadata, ordered by test date.
+ * Tests without a date keep their spreadsheet tab order, after the dated ones.
+ */
+export async function listTests(source, { includeHidden = true } = {}) {
+  const allSheets = await source.listSheets();
+  const config = await loadTestConfig(source);
+
+  const tests = allSheets
+    .filter(sheetName => isTestSheet(sheetName, schemaOf(source)))
+    .map((sheetName, position) => ({
+      ...(config.get(sheetName) || defaultMetadata(sheetName)),
+      position,
+    }))
+    .filter(test => includeHidden || test.visible);
+
+  for (const sheetName of config.keys()) {
+    if (!allSheets.includes(sheetName)) {
+      console.warn(`[TestConfig] Config row "${sheetName}" does not match any sheet`);
+    }
+  }
+
+  tests.sort((a, b) => {
+    if (a.testDate && b.testDate) return a.testDate.localeCompare(b.testDate) || a.position - b.position;
+    if (a.testDate) return -1;
+    if (b.testDate) return 1;
+    return a.position - b.position;
+  });
+
+  return tests.map(({ position, ...test }) => test);
+}
@@ -0,0 +1,213 @@
+/**
+ * Webhooks
+ * Outbound HTTP notifications for integrations (LMS, messaging) that subscribe
+ * in the webhooks file (WEBHOOKS_FILE, see webhooks.example.json). Every event
+ * is POSTed as JSON to each subscribed URL, signed with the webhook's secret:
+ *
+ *   X-SchoolDash-Signature: sha256=<HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ * where <timestamp> is the X-SchoolDash-Timestamp header. A delivery that fails
+ * (network error, timeout, 429 or 5xx) is retried with backoff; every attempt is
+ * appended to the delivery log (WEBHOOK_LOG_PATH). Pending retries are kept in
+ * memory and lost when the server restarts.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+
+export const WEBHOOK_EVENTS = {
+  TEST_CREATED: 'test.created',
+  TEST_ROWS_ADDED: 'test.rows_added',
+  PING: 'ping',
+};
+
+export const DELIVERY_STATUS = {
+  DELIVERED: 'delivered',
+  RETRYING: 'retrying',
+  FAILED: 'failed',
+};
+
+// Wait before each retry; a delivery is attempted at most RETRY_DELAYS_MS.length + 1 times
+const RETRY_DELAYS_MS = [60, 5 * 60, 30 * 60, 2 * 60 * 60].map(seconds => seconds * 1000);
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+const logPath = () => process.env.WEBHOOK_LOG_PATH || './webhook-deliveries.jsonl';
+
+// Invalid entries of the webhooks file already reported, so they are logged once
+const reportedInvalid = new Set();
+
+/**
+ * Subscriptions from the webhooks file: [{ id, url, secret, events, cohorts }].
+ * `events` and `cohorts` are null when the webhook gets every event or cohort.
+ */
+export function loadWebhooks() {
+  const webhooksFile = process.env.WEBHOOKS_FILE || './webhooks.json';
+  if (!fs.existsSync(webhooksFile)) {
+    return [];
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(webhooksFile, 'utf8'));
+  } catch (error) {
+    console.error(`[Webhooks] Could not read webhooks file ${webhooksFile}:`, error.message);
+    return [];
+  }
+  if (!Array.isArray(entries)) return [];
+
+  return entries.flatMap((entry, i) => {
+    const id = entry.id?.toString().trim() || `webhook-${i + 1}`;
+    if (!entry.url || !entry.secret) {
+      if (!reportedInvalid.has(id)) {
+        reportedInvalid.add(id);
+        console.error(`[Webhooks] ${id} needs a "url" and a "secret", skipping it`);
+      }
+      return [];
+    }
+    return [{
+      id,
+      url: entry.url,
+      secret: entry.secret,
+      events: Array.isArray(entry.events) && entry.events.length > 0 ? entry.events : null,
+      cohorts: Array.isArray(entry.cohorts) && entry.cohorts.length > 0 ? entry.cohorts : null,
+    }];
+  });
+}
+
+/**
+ * A webhook without its secret
+ */
+export function describeWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+/**
+ * Signature header value of a request body sent at `timestamp` (seconds)
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Every logged delivery attempt, oldest first. Unreadable lines are skipped.
+ */
+export function readDeliveryLog() {
+  const file = logPath();
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        console.error(`[Webhooks] Skipping unreadable line in ${file}`);
+        return [];
+      }
+    });
+}
+
+function logAttempt(entry) {
+  fs.appendFileSync(logPath(), `${JSON.stringify(entry)}\n`);
+}
+
+const retryable = (httpStatus) => httpStatus === null || httpStatus === 429 || httpStatus >= 500;
+
+/**
+ * POST the event to the webhook once. Returns the logged attempt.
+ */
+async function attemptDelivery(webhook, event, deliveryId, attempt) {
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  let httpStatus = null;
+  let error = null;
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SchoolDash-Webhooks/1.0',
+        'X-SchoolDash-Event': event.type,
+        'X-SchoolDash-Delivery': deliveryId,
+        'X-SchoolDash-Timestamp': String(timestamp),
+        'X-SchoolDash-Signature': signPayload(webhook.secret, timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    httpStatus = response.status;
+    if (!response.ok) error = `HTTP ${response.status}`;
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s` : err.cause?.message || err.message;
+  }
+
+  let status = DELIVERY_STATUS.DELIVERED;
+  if (error) {
+    status = retryable(httpStatus) && attempt <= RETRY_DELAYS_MS.length ? DELIVERY_STATUS.RETRYING : DELIVERY_STATUS.FAILED;
+  }
+
+  const entry = {
+    deliveryId,
+    eventId: event.id,
+    event: event.type,
+    webhookId: webhook.id,
+    url: webhook.url,
+    attempt,
+    status,
+    httpStatus,
+    error,
+    durationMs: Date.now() - started,
+    at: new Date().toISOString(),
+  };
+  logAttempt(entry);
+
+  if (status === DELIVERY_STATUS.DELIVERED) {
+    console.log(`[Webhooks] Delivered ${event.type} to ${webhook.id} (attempt ${attempt})`);
+  } else {
+    console.error(`[Webhooks] ${event.type} to ${webhook.id} failed (attempt ${attempt}): ${error}${status === DELIVERY_STATUS.RETRYING ? ', will retry' : ''}`);
+  }
+  return entry;
+}
+
+/**
+ * Deliver the event to the webhook, retrying in the background on failure.
+ * Resolves with the first attempt.
+ */
+export async function deliver(webhook, event) {
+  const deliveryId = crypto.randomUUID();
+
+  const run = async (attempt) => {
+    const entry = await attemptDelivery(webhook, event, deliveryId, attempt);
+    if (entry.status === DELIVERY_STATUS.RETRYING) {
+      setTimeout(() => {
+        run(attempt + 1).catch(error => console.error(`[Webhooks] Retry of ${deliveryId} failed:`, error.message));
+      }, RETRY_DELAYS_MS[attempt - 1]).unref();
+    }
+    return entry;
+  };
+
+  return run(1);
+}
+
+/**
+ * A new event: { id, type, createdAt, ...data }
+ */
+export function createEvent(type, data) {
+  return { id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), ...data };
+}
+
+/**
+ * Deliver an event to every webhook subscribed to its type and cohort.
+ * Resolves with the first attempt of each delivery.
+ */
+export async function dispatchEvent(event, { cohortId = null } = {}) {
+  const webhooks = loadWebhooks().filter(webhook =>
+    (!webhook.events || webhook.events.includes(event.type)) &&
+    (!webhook.cohorts || !cohortId || webhook.cohorts.includes(cohortId)));
+
+  return Promise.all(webhooks.map(webhook => deliver(webhook, event)));
+}
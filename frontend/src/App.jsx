@@ -2,6 +2,8 @@ import { Routes, Route } from 'react-router-dom';
 import Home from './pages/Home';
 import StudentDashboard from './pages/StudentDashboard';
 import SchoolDashboard from './pages/SchoolDashboard';
+import OrgDashboard from './pages/OrgDashboard';
+import DataQuality from './pages/DataQuality';
 import './App.css';
 
 function App() {
@@ -11,6 +13,8 @@ function App() {
         <Route path="/" element={<Home />} />
         <Route path="/student" element={<StudentDashboard />} />
         <Route path="/school" element={<SchoolDashboard />} />
+        <Route path="/org" element={<OrgDashboard />} />
+        <Route path="/admin/data-quality" element={<DataQuality />} />
       </Routes>
     </div>
   );
@@ -0,0 +1,136 @@
+import { useState, useEffect } from 'react';
+import { schoolAPI } from '../services/api';
+import ExportButtons from './ExportButtons';
+
+/**
+ * Students who missed each test, and those who missed several, with downloads
+ * for following up. `grade` and `section` limit the lists to one class.
+ * A new `refreshedAt` fetches the lists again, e.g. when new results came in.
+ */
+function AbsenteeRoster({ schoolId, grade = null, section = null, refreshedAt = null }) {
+  const [minMissed, setMinMissed] = useState(2);
+  const [absentees, setAbsentees] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchAbsentees();
+  }, [schoolId, grade, section, minMissed, refreshedAt]);
+
+  const fetchAbsentees = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setAbsentees(await schoolAPI.getAbsentees(schoolId, { grade, section, minMissed }));
+    } catch (err) {
+      console.error('Error fetching absentees:', err);
+      setError(err.response?.data?.error || 'Failed to fetch absent students');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={{ marginTop: '40px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '10px', marginBottom: '15px' }}>
+        <h2>Absent Students</h2>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', alignItems: 'flex-end' }}>
+          <ExportButtons
+            label="Absences"
+            disabled={!absentees}
+            onExport={(format) => schoolAPI.exportAbsentees(schoolId, format, { grade, section, minMissed })}
+          />
+          <ExportButtons
+            label="Chronic absentees"
+            disabled={!absentees}
+            onExport={(format) => schoolAPI.exportAbsentees(schoolId, format, { grade, section, minMissed, list: 'chronic' })}
+          />
+        </div>
+      </div>
+
+      {error && <div className="error" style={{ marginBottom: '20px' }}>{error}</div>}
+      {loading && !absentees && <div className="loading">Loading absent students...</div>}
+
+      {absentees && (
+        <>
+          <h3 style={{ marginBottom: '15px', color: '#555' }}>
+            Missed{' '}
+            <input
+              type="number"
+              min="1"
+              max={Math.max(1, absentees.totalTests)}
+              value={minMissed}
+              onChange={(e) => setMinMissed(Math.max(1, Number(e.target.value) || 1))}
+              style={{ width: '60px', padding: '4px', borderRadius: '6px' }}
+            />{' '}
+            or more of {absentees.totalTests} tests
+          </h3>
+          {absentees.chronicAbsentees.length === 0 ? (
+            <p style={{ color: '#666', marginBottom: '20px' }}>No student missed {minMissed} or more tests.</p>
+          ) : (
+            <table className="table" style={{ marginBottom: '30px' }}>
+              <thead>
+                <tr>
+                  <th>Username</th>
+                  <th>Student Name</th>
+                  <th>Class</th>
+                  <th>Tests Missed</th>
+                  <th>Missed Tests</th>
+                </tr>
+              </thead>
+              <tbody>
+                {absentees.chronicAbsentees.map((student) => (
+                  <tr key={student.studentId}>
+                    <td>{student.studentId}</td>
+                    <td>{student.studentName || '-'}</td>
+                    <td>{student.className}</td>
+                    <td><span className="badge badge-danger">{student.missedCount}</span></td>
+                    <td>{student.missedTests.join(', ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {absentees.tests.map((test) => (
+            <details key={test.testName} style={{ marginBottom: '15px' }}>
+              <summary style={{ cursor: 'pointer', fontWeight: 600, color: '#555' }}>
+                {test.displayName || test.testName}{test.testDate ? ` (${test.testDate})` : ''}: {test.absentCount} of {test.totalStudents} absent
+                {test.needsReview.length > 0 && (
+                  <span className="badge badge-warning" style={{ marginLeft: '8px' }}>{test.needsReview.length} need review</span>
+                )}
+              </summary>
+              {test.absent.length > 0 && (
+                <table className="table" style={{ marginTop: '10px' }}>
+                  <thead>
+                    <tr>
+                      <th>Username</th>
+                      <th>Student Name</th>
+                      <th>Class</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {test.absent.map((student) => (
+                      <tr key={student.studentId}>
+                        <td>{student.studentId}</td>
+                        <td>{student.studentName || '-'}</td>
+                        <td>{student.className}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {test.needsReview.length > 0 && (
+                <p style={{ color: '#666', marginTop: '10px' }}>
+                  Not counted as absent, because a test row could be theirs: {test.needsReview.map(student => student.studentName || student.studentId).join(', ')}
+                </p>
+              )}
+            </details>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AbsenteeRoster;
@@ -0,0 +1,46 @@
+/**
+ * Horizontal box plot of a score distribution (min, Q1, median, Q3, max), on the
+ * same axis as its histogram. `distribution` is a testStats entry's distribution.
+ */
+function BoxPlot({ distribution, height = 60 }) {
+  const width = 400;
+  const padding = 20;
+  const top = 10;
+  const boxHeight = height - 30;
+  const { histogram } = distribution;
+  const min = histogram[0].start;
+  const max = histogram[histogram.length - 1].end;
+
+  const x = (value) => padding + ((value - min) / (max - min || 1)) * (width - 2 * padding);
+  const middle = top + boxHeight / 2;
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} width="100%" height={height} role="img"
+      aria-label={`Min ${distribution.min}, lower quartile ${distribution.q1}, median ${distribution.median}, upper quartile ${distribution.q3}, max ${distribution.max}`}
+    >
+      {/* Whiskers */}
+      <line x1={x(distribution.min)} x2={x(distribution.q1)} y1={middle} y2={middle} stroke="#555" />
+      <line x1={x(distribution.q3)} x2={x(distribution.max)} y1={middle} y2={middle} stroke="#555" />
+      <line x1={x(distribution.min)} x2={x(distribution.min)} y1={top + 5} y2={top + boxHeight - 5} stroke="#555" />
+      <line x1={x(distribution.max)} x2={x(distribution.max)} y1={top + 5} y2={top + boxHeight - 5} stroke="#555" />
+
+      {/* Interquartile box and median */}
+      <rect
+        x={x(distribution.q1)}
+        y={top}
+        width={Math.max(1, x(distribution.q3) - x(distribution.q1))}
+        height={boxHeight}
+        fill="#667eea"
+        fillOpacity="0.35"
+        stroke="#667eea"
+      />
+      <line x1={x(distribution.median)} x2={x(distribution.median)} y1={top} y2={top + boxHeight} stroke="#764ba2" strokeWidth="3" />
+
+      {/* Axis labels */}
+      <text x={padding} y={height - 4} fontSize="11" fill="#666" textAnchor="middle">{min}</text>
+      <text x={width - padding} y={height - 4} fontSize="11" fill="#666" textAnchor="middle">{max}</text>
+    </svg>
+  );
+}
+
+export default BoxPlot;
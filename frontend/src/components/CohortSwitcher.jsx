@@ -0,0 +1,61 @@
+import { useState, useEffect } from 'react';
+import { cohortAPI, getCohort, setCohort } from '../services/api';
+
+/**
+ * Cohort picker shown in page headers. Hidden when the server has a single cohort.
+ * Switching reloads the page so every chart is fetched for the new cohort.
+ */
+function CohortSwitcher({ style }) {
+  const [cohorts, setCohorts] = useState([]);
+  const [selected, setSelected] = useState(getCohort());
+
+  useEffect(() => {
+    cohortAPI.list()
+      .then((data) => {
+        const list = data.cohorts || [];
+        setCohorts(list);
+
+        // Forget a cohort that no longer exists on the server
+        const current = getCohort();
+        if (!current || !list.some(cohort => cohort.id === current)) {
+          setCohort(null);
+          setSelected(data.defaultCohort);
+        }
+      })
+      .catch((err) => {
+        console.error('Error fetching cohorts:', err);
+      });
+  }, []);
+
+  if (cohorts.length <= 1) {
+    return null;
+  }
+
+  const handleChange = (e) => {
+    setCohort(e.target.value);
+    window.location.reload();
+  };
+
+  return (
+    <select
+      aria-label="Cohort"
+      value={selected || ''}
+      onChange={handleChange}
+      style={{
+        padding: '10px',
+        fontSize: '14px',
+        border: '1px solid #ddd',
+        borderRadius: '8px',
+        backgroundColor: 'white',
+        cursor: 'pointer',
+        ...style
+      }}
+    >
+      {cohorts.map(cohort => (
+        <option key={cohort.id} value={cohort.id}>{cohort.name}</option>
+      ))}
+    </select>
+  );
+}
+
+export default CohortSwitcher;
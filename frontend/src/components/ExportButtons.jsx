@@ -0,0 +1,47 @@
+import { useState } from 'react';
+
+const FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'xlsx', label: 'Excel' },
+];
+
+/**
+ * "Label: CSV | Excel" download buttons. `onExport(format)` downloads the file.
+ */
+function ExportButtons({ label, onExport, disabled = false }) {
+  const [busy, setBusy] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  const handleExport = async (format) => {
+    try {
+      setBusy(format);
+      setFailed(false);
+      await onExport(format);
+    } catch (err) {
+      console.error(`Error exporting ${label}:`, err);
+      setFailed(true);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+      <span style={{ color: '#666' }}>{label}:</span>
+      {FORMATS.map(({ format, label: formatLabel }) => (
+        <button
+          key={format}
+          className="btn btn-secondary"
+          onClick={() => handleExport(format)}
+          disabled={disabled || busy !== null}
+          style={{ padding: '6px 12px' }}
+        >
+          {busy === format ? 'Downloading...' : `⬇ ${formatLabel}`}
+        </button>
+      ))}
+      {failed && <span className="badge badge-danger">Download failed</span>}
+    </div>
+  );
+}
+
+export default ExportButtons;
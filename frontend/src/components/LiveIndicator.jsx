@@ -0,0 +1,25 @@
+/**
+ * State of a dashboard's live updates and when its data was last refreshed.
+ * `status` is null while connecting, then 'live', 'reconnecting' or 'off'.
+ */
+function LiveIndicator({ status, lastUpdated }) {
+  const updated = lastUpdated ? `Updated ${lastUpdated.toLocaleTimeString()}` : null;
+
+  if (status === 'live') {
+    return (
+      <span style={{ color: '#666', fontSize: '0.9em' }} title="New results show up here without reloading the page">
+        <span style={{ color: '#28a745' }}>●</span> Live{updated ? ` · ${updated}` : ''}
+      </span>
+    );
+  }
+  if (status === 'reconnecting') {
+    return (
+      <span style={{ color: '#666', fontSize: '0.9em' }} title="Reload the page if this does not go away">
+        <span style={{ color: '#ffc107' }}>●</span> Reconnecting...{updated ? ` · ${updated}` : ''}
+      </span>
+    );
+  }
+  return updated ? <span style={{ color: '#666', fontSize: '0.9em' }}>{updated}</span> : null;
+}
+
+export default LiveIndicator;
@@ -0,0 +1,112 @@
+import { useState, useEffect } from 'react';
+import { schoolAPI } from '../services/api';
+
+const POLL_INTERVAL_MS = 2000;
+
+/**
+ * Report cards of every student of the school as one ZIP file: starts the
+ * server job, shows its progress and downloads the file when it is done.
+ * Picks up the school's latest job, so a job keeps going across page reloads.
+ */
+function ReportCardJob({ schoolId }) {
+  const [job, setJob] = useState(null);
+  const [starting, setStarting] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setJob(null);
+    schoolAPI.getReportCardJob(schoolId)
+      .then(setJob)
+      .catch(err => console.error('Error fetching report card job:', err));
+  }, [schoolId]);
+
+  // Poll while the job runs
+  useEffect(() => {
+    if (job?.status !== 'running') return undefined;
+    const timer = setTimeout(async () => {
+      try {
+        setJob(await schoolAPI.getReportCardJob(schoolId, job.jobId));
+      } catch (err) {
+        console.error('Error fetching report card job:', err);
+        setError(err.response?.data?.error || 'Lost track of the report card job');
+        setJob(null);
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [job, schoolId]);
+
+  const handleStart = async () => {
+    try {
+      setStarting(true);
+      setError(null);
+      setJob(await schoolAPI.startReportCards(schoolId));
+    } catch (err) {
+      console.error('Error starting report cards:', err);
+      setError(err.response?.data?.error || 'Failed to start the report cards');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      setDownloading(true);
+      setError(null);
+      await schoolAPI.downloadReportCards(schoolId, job.jobId);
+    } catch (err) {
+      console.error('Error downloading report cards:', err);
+      // The job expired on the server: offer to start a new one
+      if (err.response?.status === 404) setJob(null);
+      setError('Failed to download the report cards');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const running = job?.status === 'running';
+  const percent = job?.total ? Math.round((job.completed / job.total) * 100) : 0;
+
+  return (
+    <div style={{ marginBottom: '20px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap' }}>
+        <button className="btn btn-secondary" onClick={handleStart} disabled={starting || running}>
+          {running ? 'Building report cards...' : '🖨️ Report cards for every student'}
+        </button>
+        {job?.status === 'done' && (
+          <>
+            <button className="btn btn-primary" onClick={handleDownload} disabled={downloading}>
+              {downloading ? 'Downloading...' : `⬇ Download ZIP (${job.completed - job.failedStudents.length} report cards)`}
+            </button>
+            <span style={{ color: '#666', fontSize: '0.9em' }}>
+              Built {new Date(job.finishedAt).toLocaleString()}, available until {new Date(job.expiresAt).toLocaleTimeString()}
+            </span>
+          </>
+        )}
+      </div>
+
+      {running && (
+        <div style={{ marginTop: '10px', maxWidth: '500px' }}>
+          <div style={{ background: '#eee', borderRadius: '6px', height: '12px', overflow: 'hidden' }}>
+            <div style={{ width: `${percent}%`, height: '100%', background: '#667eea', transition: 'width 0.5s' }} />
+          </div>
+          <div style={{ color: '#666', fontSize: '0.9em', marginTop: '4px' }}>
+            {job.total === null ? 'Reading the roster...' : `${job.completed} of ${job.total} students (${percent}%)`}
+          </div>
+        </div>
+      )}
+
+      {job?.status === 'failed' && (
+        <div className="error" style={{ marginTop: '10px' }}>Report cards failed: {job.error}</div>
+      )}
+      {job?.failedStudents?.length > 0 && (
+        <div className="warning" style={{ marginTop: '10px' }}>
+          No report card for {job.failedStudents.map(student => student.studentId).join(', ')}
+        </div>
+      )}
+      {error && <div className="error" style={{ marginTop: '10px' }}>{error}</div>}
+    </div>
+  );
+}
+
+export default ReportCardJob;
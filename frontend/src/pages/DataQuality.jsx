@@ -0,0 +1,206 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { adminAPI, getSession, authAPI } from '../services/api';
+import CohortSwitcher from '../components/CohortSwitcher';
+import '../App.css';
+
+// Rows shown per category before "Show all"
+const PREVIEW_LIMIT = 50;
+
+function DataQuality() {
+  const navigate = useNavigate();
+
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [report, setReport] = useState(null);
+  const [expanded, setExpanded] = useState({});
+
+  useEffect(() => {
+    if (!getSession()) {
+      navigate('/');
+      return;
+    }
+
+    fetchReport();
+  }, []);
+
+  const handleLogout = () => {
+    authAPI.logout();
+    navigate('/');
+  };
+
+  const fetchReport = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await adminAPI.getDataQuality();
+
+      if (data.error) {
+        setError(data.details ? `${data.error}\n\nDetails: ${data.details}` : data.error);
+      } else {
+        setReport(data);
+      }
+    } catch (err) {
+      console.error('Error fetching data quality report:', err);
+      const errorData = err.response?.data || {};
+      let errorMessage = errorData.error || 'Failed to fetch data quality report';
+
+      if (errorData.details) {
+        errorMessage += `\n\nDetails: ${errorData.details}`;
+      }
+      if (!err.response) {
+        errorMessage += '\n\nNetwork Error: Could not connect to the server. Make sure the backend is running.';
+      }
+
+      setError(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="container">
+        <div className="card">
+          <div className="loading">Scanning spreadsheet...</div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error && !report) {
+    return (
+      <div className="container">
+        <div className="card">
+          <div className="error" style={{ whiteSpace: 'pre-line', lineHeight: '1.6' }}>
+            <strong>Error:</strong> {error}
+          </div>
+          <button className="btn btn-secondary" onClick={() => navigate('/')} style={{ marginTop: '20px' }}>
+            Go Back
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const categoriesWithIssues = report?.categories?.filter(category => category.count > 0) || [];
+
+  return (
+    <div className="container">
+      <div className="dashboard-header-with-logo">
+        <div className="logo-container-small">
+          <img src="/logo.png" alt="OpenGrad Logo" className="logo-small" />
+        </div>
+        <div style={{ flex: 1 }}>
+          <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
+            <CohortSwitcher />
+            <button className="btn btn-secondary" onClick={() => navigate('/')}>
+              ← Back to Home
+            </button>
+            <button className="btn btn-secondary" onClick={handleLogout}>
+              Sign Out
+            </button>
+          </div>
+        </div>
+      </div>
+      <div className="card">
+        <div className="dashboard-header">
+          <div>
+            <h1>Data Quality Report</h1>
+            <p style={{ color: '#666', marginTop: '5px' }}>
+              Generated {new Date(report.generatedAt).toLocaleString()} | {report.sheetsScanned.length} sheets scanned
+            </p>
+          </div>
+          <button className="btn btn-primary" onClick={fetchReport}>
+            Re-run Audit
+          </button>
+        </div>
+
+        {/* Summary Stats */}
+        <div className="stats-grid">
+          <div className="stat-card">
+            <h3>Total Issues</h3>
+            <div className="value">{report.summary.totalIssues}</div>
+          </div>
+          <div className="stat-card">
+            <h3>Errors</h3>
+            <div className="value">{report.summary.errors}</div>
+          </div>
+          <div className="stat-card">
+            <h3>Warnings</h3>
+            <div className="value">{report.summary.warnings}</div>
+          </div>
+        </div>
+
+        {categoriesWithIssues.length === 0 && (
+          <p style={{ color: '#155724', marginTop: '20px' }}>✅ No problems found in the spreadsheet.</p>
+        )}
+
+        {categoriesWithIssues.map((category) => {
+          const showAll = expanded[category.id];
+          const visibleIssues = showAll ? category.issues : category.issues.slice(0, PREVIEW_LIMIT);
+
+          return (
+            <div key={category.id} style={{ marginTop: '40px' }}>
+              <h2>
+                {category.label}{' '}
+                <span className={`badge ${category.severity === 'error' ? 'badge-danger' : 'badge-warning'}`}>
+                  {category.count} {category.severity === 'error' ? 'errors' : 'warnings'}
+                </span>
+              </h2>
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Sheet</th>
+                    <th>Row</th>
+                    <th>Cell</th>
+                    <th>Problem</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleIssues.map((issue, index) => (
+                    <tr key={index}>
+                      <td>{issue.sheet}</td>
+                      <td>{issue.rows ? issue.rows.join(', ') : issue.row || '-'}</td>
+                      <td>{issue.cells ? issue.cells.join(', ') : issue.cell || '-'}</td>
+                      <td>{issue.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {category.count > PREVIEW_LIMIT && (
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => setExpanded({ ...expanded, [category.id]: !showAll })}
+                  style={{ marginTop: '10px' }}
+                >
+                  {showAll ? 'Show less' : `Show all ${category.count}`}
+                </button>
+              )}
+            </div>
+          );
+        })}
+
+        <h2 style={{ marginTop: '40px' }}>Sheets Scanned</h2>
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Sheet</th>
+              <th>Data Rows</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.sheetsScanned.map((sheet) => (
+              <tr key={sheet.sheet}>
+                <td>{sheet.sheet}</td>
+                <td>{sheet.rows}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default DataQuality;
@@ -1,26 +1,63 @@
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { authAPI, getSession } from '../services/api';
+import CohortSwitcher from '../components/CohortSwitcher';
 import '../App.css';
 
 function Home() {
   const navigate = useNavigate();
-  const [viewType, setViewType] = useState('student'); // 'student' or 'school'
-  const [studentId, setStudentId] = useState('');
+  const [session, setSession] = useState(getSession());
+  const [loginType, setLoginType] = useState('student'); // 'student' or 'staff'
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
   const [schoolId, setSchoolId] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
 
-  const handleSubmit = (e) => {
+  const openDashboard = (user) => {
+    if (user.role === 'student') {
+      navigate('/student');
+    } else if (user.schoolCode) {
+      navigate(`/school?schoolId=${user.schoolCode}`);
+    }
+  };
+
+  const handleLogin = async (e) => {
     e.preventDefault();
-    if (viewType === 'student') {
-      if (studentId) {
-        navigate(`/student?studentId=${studentId}`);
-      }
-    } else {
-      if (schoolId) {
-        navigate(`/school?schoolId=${schoolId}`);
+    try {
+      setSubmitting(true);
+      setError(null);
+      const data = await authAPI.login(loginType, username, password);
+      setSession(data);
+      openDashboard(data.user);
+    } catch (err) {
+      console.error('Error signing in:', err);
+      let errorMessage = err.response?.data?.error || 'Failed to sign in';
+      if (!err.response) {
+        errorMessage += '\n\nNetwork Error: Could not connect to the server. Make sure the backend is running.';
       }
+      setError(errorMessage);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleLogout = () => {
+    authAPI.logout();
+    setSession(null);
+    setUsername('');
+    setPassword('');
+  };
+
+  const handleOpenSchool = (e) => {
+    e.preventDefault();
+    if (schoolId) {
+      navigate(`/school?schoolId=${schoolId}`);
     }
   };
 
+  const user = session?.user;
+
   return (
     <div className="container">
       <div className="header-section">
@@ -32,74 +69,126 @@ function Home() {
 
       <div style={{ maxWidth: '500px', margin: '0 auto' }}>
         <div className="card">
-          <div className="form-group">
-            <label htmlFor="viewType">Select Dashboard Type</label>
-            <select
-              id="viewType"
-              value={viewType}
-              onChange={(e) => {
-                setViewType(e.target.value);
-                setStudentId('');
-                setSchoolId('');
-              }}
-              style={{
-                width: '100%',
-                padding: '12px',
-                fontSize: '16px',
-                border: '1px solid #ddd',
-                borderRadius: '8px',
-                backgroundColor: 'white',
-                cursor: 'pointer'
-              }}
-            >
-              <option value="student">🎓 Student Dashboard</option>
-              <option value="school">🏫 School Dashboard</option>
-            </select>
-          </div>
+          <CohortSwitcher style={{ width: '100%', marginBottom: '20px' }} />
+          {user ? (
+            <>
+              <p style={{ color: '#666', marginBottom: '20px' }}>
+                Signed in as <strong>{user.name}</strong>
+              </p>
+              {(user.role === 'student' || user.schoolCode) && (
+                <button className="btn btn-primary" onClick={() => openDashboard(user)} style={{ width: '100%' }}>
+                  {user.role === 'student' ? 'View My Dashboard' : 'View School Dashboard'}
+                </button>
+              )}
+              {(user.role === 'admin' || user.role === 'district') && (
+                <form onSubmit={handleOpenSchool}>
+                  <div className="form-group">
+                    <label htmlFor="schoolId">School ID</label>
+                    <input
+                      id="schoolId"
+                      type="text"
+                      placeholder="e.g., SCHOOL001"
+                      value={schoolId}
+                      onChange={(e) => setSchoolId(e.target.value)}
+                      required
+                    />
+                  </div>
+                  <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
+                    View School Dashboard
+                  </button>
+                </form>
+              )}
+              {(user.role === 'admin' || user.role === 'district') && (
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => navigate('/org')}
+                  style={{ width: '100%', marginTop: '10px' }}
+                >
+                  Compare All Schools
+                </button>
+              )}
+              {user.role === 'admin' && (
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => navigate('/admin/data-quality')}
+                  style={{ width: '100%', marginTop: '10px' }}
+                >
+                  Spreadsheet Data Quality Report
+                </button>
+              )}
+              <button className="btn btn-secondary" onClick={handleLogout} style={{ width: '100%', marginTop: '10px' }}>
+                Sign Out
+              </button>
+            </>
+          ) : (
+            <>
+              <div className="form-group">
+                <label htmlFor="loginType">Sign in as</label>
+                <select
+                  id="loginType"
+                  value={loginType}
+                  onChange={(e) => {
+                    setLoginType(e.target.value);
+                    setUsername('');
+                    setPassword('');
+                    setError(null);
+                  }}
+                  style={{
+                    width: '100%',
+                    padding: '12px',
+                    fontSize: '16px',
+                    border: '1px solid #ddd',
+                    borderRadius: '8px',
+                    backgroundColor: 'white',
+                    cursor: 'pointer'
+                  }}
+                >
+                  <option value="student">🎓 Student</option>
+                  <option value="staff">🏫 School Coordinator / District Officer / Admin</option>
+                </select>
+              </div>
 
-          <form onSubmit={handleSubmit}>
-            {viewType === 'student' ? (
-              <>
+              <form onSubmit={handleLogin}>
                 <p style={{ color: '#666', marginBottom: '20px', marginTop: '10px' }}>
-                  View your test attendance and detailed performance metrics
+                  {loginType === 'student'
+                    ? 'View your test attendance and detailed performance metrics'
+                    : 'View aggregated statistics for all students in your school'}
                 </p>
                 <div className="form-group">
-                  <label htmlFor="studentId">Student ID</label>
+                  <label htmlFor="username">Username</label>
                   <input
-                    id="studentId"
+                    id="username"
                     type="text"
-                    placeholder="e.g., STU001"
-                    value={studentId}
-                    onChange={(e) => setStudentId(e.target.value)}
+                    placeholder={loginType === 'student' ? 'e.g., TN1015257176' : 'e.g., school.coordinator'}
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    autoComplete="username"
                     required
                   />
                 </div>
-                <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
-                  View My Dashboard
-                </button>
-              </>
-            ) : (
-              <>
-                <p style={{ color: '#666', marginBottom: '20px', marginTop: '10px' }}>
-                  View aggregated statistics for all students in your school
-                </p>
                 <div className="form-group">
-                  <label htmlFor="schoolId">School ID</label>
+                  <label htmlFor="password">{loginType === 'student' ? 'Date of Birth or PIN' : 'Password'}</label>
                   <input
-                    id="schoolId"
-                    type="text"
-                    placeholder="e.g., SCHOOL001"
-                    value={schoolId}
-                    onChange={(e) => setSchoolId(e.target.value)}
+                    id="password"
+                    type="password"
+                    placeholder={loginType === 'student' ? 'e.g., 14/03/2010' : ''}
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    autoComplete="current-password"
                     required
                   />
                 </div>
-                <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
-                  View School Dashboard
+                {error && (
+                  <div className="error" style={{ whiteSpace: 'pre-line', lineHeight: '1.6', marginBottom: '20px' }}>
+                    {error}
+                  </div>
+                )}
+                <button type="submit" className="btn btn-primary" style={{ width: '100%' }} disabled={submitting}>
+                  {submitting ? 'Signing in...' : 'Sign In'}
                 </button>
-              </>
-            )}
-          </form>
+              </form>
+            </>
+          )}
         </div>
       </div>
     </div>
@@ -107,4 +196,3 @@ function Home() {
 }
 
 export default Home;
-
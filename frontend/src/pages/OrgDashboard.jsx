@@ -0,0 +1,367 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { orgAPI, getSession, authAPI } from '../services/api';
+import CohortSwitcher from '../components/CohortSwitcher';
+import '../App.css';
+
+// Columns of the school league table
+const LEAGUE_COLUMNS = [
+  { key: 'schoolName', label: 'School' },
+  { key: 'schoolCode', label: 'School Code' },
+  { key: 'totalStudents', label: 'Students' },
+  { key: 'avgAttendance', label: 'Attendance %' },
+  { key: 'avgPercentage', label: 'Average Score %' },
+  { key: 'avgNormalizedScore', label: 'Normalized Score' },
+];
+
+const formatNormalized = (value) => `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+
+const HEATMAP_METRICS = {
+  attendancePercent: { label: 'Attendance %', format: (value) => `${value.toFixed(1)}%` },
+  avgScore: { label: 'Average Score', format: (value) => value.toFixed(1) },
+  avgPercentage: { label: 'Average Score %', format: (value) => `${value.toFixed(1)}%` },
+  avgNormalizedScore: { label: 'Normalized Score', format: formatNormalized },
+};
+
+const DISTRIBUTION_BINS = 8;
+
+/**
+ * Red (0) to green (1) background for heatmap cells
+ */
+function heatColor(fraction) {
+  const clamped = Math.max(0, Math.min(1, fraction));
+  return `hsl(${Math.round(clamped * 120)}, 65%, 82%)`;
+}
+
+/**
+ * Histogram of school average scores, as a percentage of max marks
+ */
+function buildDistribution(schools) {
+  const scores = schools.map(school => school.avgPercentage).filter(score => score !== null);
+  if (scores.length === 0) return [];
+
+  const min = Math.floor(Math.min(...scores));
+  const max = Math.ceil(Math.max(...scores));
+  const width = Math.max(1, Math.ceil((max - min) / DISTRIBUTION_BINS));
+
+  const bins = [];
+  for (let start = min; start < max || bins.length === 0; start += width) {
+    bins.push({ range: `${start}-${start + width}`, start, end: start + width, schools: 0 });
+  }
+  for (const score of scores) {
+    const bin = bins.find((b, i) => score < b.end || i === bins.length - 1);
+    bin.schools++;
+  }
+  return bins;
+}
+
+function OrgDashboard() {
+  const navigate = useNavigate();
+
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [orgStats, setOrgStats] = useState(null);
+  const [sort, setSort] = useState({ key: 'avgNormalizedScore', direction: 'desc' });
+  const [heatmapMetric, setHeatmapMetric] = useState('attendancePercent');
+
+  useEffect(() => {
+    if (!getSession()) {
+      navigate('/');
+      return;
+    }
+
+    fetchOrgStats();
+  }, []);
+
+  const handleLogout = () => {
+    authAPI.logout();
+    navigate('/');
+  };
+
+  const fetchOrgStats = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await orgAPI.getStats();
+
+      if (data.error) {
+        setError(data.details ? `${data.error}\n\nDetails: ${data.details}` : data.error);
+      } else {
+        setOrgStats(data);
+      }
+    } catch (err) {
+      console.error('Error fetching organization stats:', err);
+      const errorData = err.response?.data || {};
+      let errorMessage = errorData.error || 'Failed to fetch organization statistics';
+
+      if (errorData.details) {
+        errorMessage += `\n\nDetails: ${errorData.details}`;
+      }
+      if (!err.response) {
+        errorMessage += '\n\nNetwork Error: Could not connect to the server. Make sure the backend is running.';
+      }
+
+      setError(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSort = (key) => {
+    setSort(current => ({
+      key,
+      direction: current.key === key && current.direction === 'desc' ? 'asc' : 'desc',
+    }));
+  };
+
+  if (loading) {
+    return (
+      <div className="container">
+        <div className="card">
+          <div className="loading">Loading organization statistics...</div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error && !orgStats) {
+    return (
+      <div className="container">
+        <div className="card">
+          <div className="error" style={{ whiteSpace: 'pre-line', lineHeight: '1.6' }}>
+            <strong>Error:</strong> {error}
+          </div>
+          <button className="btn btn-secondary" onClick={() => navigate('/')} style={{ marginTop: '20px' }}>
+            Go Back
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const schools = orgStats?.schools || [];
+  const tests = orgStats?.tests || [];
+
+  const sortedSchools = [...schools].sort((a, b) => {
+    const aValue = a[sort.key];
+    const bValue = b[sort.key];
+    // Schools without a value (no scores) sort as lowest
+    const result = typeof aValue === 'number' || typeof bValue === 'number'
+      ? (aValue ?? -Infinity) - (bValue ?? -Infinity) || 0
+      : aValue.toString().localeCompare(bValue.toString());
+    return sort.direction === 'asc' ? result : -result;
+  });
+
+  // Rank is always by normalized score (the backend's order), whatever the table is sorted by
+  const rankBySchool = Object.fromEntries(schools.map((school, index) => [school.schoolCode, index + 1]));
+
+  // Highest average per test, used to scale score colours when a test has no max marks
+  const bestScoreByTest = Object.fromEntries(tests.map(test => [
+    test.testName,
+    Math.max(0, ...schools.map(school => school.tests.find(t => t.testName === test.testName)?.avgScore || 0)),
+  ]));
+
+  const heatFraction = (test, value) => {
+    if (heatmapMetric === 'attendancePercent' || heatmapMetric === 'avgPercentage') return value / 100;
+    // Normalized scores from two below to two above the organization average
+    if (heatmapMetric === 'avgNormalizedScore') return (value + 2) / 4;
+    const scale = test.maxMarks || bestScoreByTest[test.testName];
+    return scale ? value / scale : 0;
+  };
+
+  const distributionData = buildDistribution(schools);
+
+  return (
+    <div className="container">
+      <div className="dashboard-header-with-logo">
+        <div className="logo-container-small">
+          <img src="/logo.png" alt="OpenGrad Logo" className="logo-small" />
+        </div>
+        <div style={{ flex: 1 }}>
+          <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
+            <CohortSwitcher />
+            <button className="btn btn-secondary" onClick={() => navigate('/')}>
+              ← Back to Home
+            </button>
+            <button className="btn btn-secondary" onClick={handleLogout}>
+              Sign Out
+            </button>
+          </div>
+        </div>
+      </div>
+      <div className="card">
+        <div className="dashboard-header">
+          <div>
+            <h1>Organization Dashboard</h1>
+            <p style={{ color: '#666', marginTop: '5px' }}>
+              All schools | Generated {new Date(orgStats.generatedAt).toLocaleString()}
+            </p>
+          </div>
+          <button className="btn btn-primary" onClick={fetchOrgStats}>
+            Refresh
+          </button>
+        </div>
+
+        {orgStats?.warnings?.length > 0 && (
+          <div className="warning" style={{ lineHeight: '1.6' }}>
+            <strong>⚠️ Some test sheets could not be loaded, so this comparison is incomplete.</strong> Try again in a minute.
+            <ul>
+              {orgStats.warnings.map((warning) => (
+                <li key={warning.sheet}>{warning.message}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {orgStats?.ambiguousMatches?.length > 0 && (
+          <div className="warning" style={{ lineHeight: '1.6' }}>
+            <strong>⚠️ Some test rows could not be matched to a single student and are left out.</strong> Fix them in the spreadsheet or the Aliases sheet:
+            <ul>
+              {orgStats.ambiguousMatches.map((entry) => (
+                <li key={`${entry.sheet}-${entry.rows.join(',')}`}>{entry.sheet}, row{entry.rows.length > 1 ? 's' : ''} {entry.rows.join(', ')}: {entry.reason}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Summary Stats */}
+        <div className="stats-grid">
+          <div className="stat-card">
+            <h3>Schools</h3>
+            <div className="value">{orgStats.totalSchools}</div>
+          </div>
+          <div className="stat-card">
+            <h3>Total Students</h3>
+            <div className="value">{orgStats.totalStudents}</div>
+          </div>
+          <div className="stat-card">
+            <h3>Average Attendance</h3>
+            <div className="value">{orgStats.overallStats.avgAttendance.toFixed(1)}%</div>
+          </div>
+          <div className="stat-card">
+            <h3>Average Score</h3>
+            <div className="value">
+              {orgStats.overallStats.avgPercentage !== null
+                ? `${orgStats.overallStats.avgPercentage.toFixed(1)}%`
+                : '-'}
+            </div>
+          </div>
+        </div>
+
+        {/* League Table */}
+        <h2 style={{ marginTop: '40px' }}>School League Table</h2>
+        <p style={{ color: '#666', marginBottom: '10px' }}>
+          Click a column to sort, or a school to open its dashboard. The normalized score is how far above (+) or below (−) the average of everyone who took each test the school's students scored, in standard deviations.
+        </p>
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Rank</th>
+              {LEAGUE_COLUMNS.map(column => (
+                <th key={column.key} onClick={() => handleSort(column.key)} style={{ cursor: 'pointer', userSelect: 'none' }}>
+                  {column.label}
+                  {sort.key === column.key ? (sort.direction === 'desc' ? ' ▼' : ' ▲') : ''}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sortedSchools.map((school) => (
+              <tr
+                key={school.schoolCode}
+                className="clickable-row"
+                onClick={() => navigate(`/school?schoolId=${encodeURIComponent(school.schoolCode)}`)}
+              >
+                <td>#{rankBySchool[school.schoolCode]}</td>
+                <td><strong>{school.schoolName}</strong></td>
+                <td>{school.schoolCode}</td>
+                <td>{school.totalStudents}</td>
+                <td>{school.avgAttendance.toFixed(1)}%</td>
+                <td>{school.avgPercentage !== null ? `${school.avgPercentage.toFixed(1)}%` : '-'}</td>
+                <td>{school.avgNormalizedScore !== null ? formatNormalized(school.avgNormalizedScore) : '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {/* Heatmap */}
+        {tests.length > 0 && schools.length > 0 && (
+          <div style={{ marginTop: '40px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+              <h2>Schools by Test</h2>
+              <div style={{ display: 'flex', gap: '10px' }}>
+                {Object.entries(HEATMAP_METRICS).map(([metric, { label }]) => (
+                  <button
+                    key={metric}
+                    className={`btn ${heatmapMetric === metric ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => setHeatmapMetric(metric)}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div style={{ overflowX: 'auto' }}>
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>School</th>
+                    {tests.map(test => (
+                      <th key={test.testName}>
+                        {test.displayName || test.testName}
+                        {heatmapMetric === 'avgScore' && test.maxMarks ? ` (/ ${test.maxMarks})` : ''}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {sortedSchools.map(school => (
+                    <tr key={school.schoolCode}>
+                      <td><strong>{school.schoolName}</strong></td>
+                      {tests.map(test => {
+                        const result = school.tests.find(t => t.testName === test.testName);
+                        const value = result ? result[heatmapMetric] ?? null : null;
+                        return (
+                          <td
+                            key={test.testName}
+                            title={result ? `${result.attendedCount} of ${school.totalStudents} attended` : ''}
+                            style={{
+                              backgroundColor: value !== null ? heatColor(heatFraction(test, value)) : 'transparent',
+                              textAlign: 'center',
+                            }}
+                          >
+                            {value !== null ? HEATMAP_METRICS[heatmapMetric].format(value) : '-'}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {/* Distribution of School Averages */}
+        {distributionData.length > 0 && (
+          <div className="chart-container">
+            <h2>Distribution of School Average Scores (%)</h2>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={distributionData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="range" />
+                <YAxis allowDecimals={false} />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="schools" fill="#667eea" name="Schools" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default OrgDashboard;
@@ -1,9 +1,21 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { schoolAPI } from '../services/api';
+import { schoolAPI, adminAPI, getSession, authAPI } from '../services/api';
+import CohortSwitcher from '../components/CohortSwitcher';
+import BoxPlot from '../components/BoxPlot';
+import AbsenteeRoster from '../components/AbsenteeRoster';
+import ExportButtons from '../components/ExportButtons';
+import ReportCardJob from '../components/ReportCardJob';
+import LiveIndicator from '../components/LiveIndicator';
 import '../App.css';
 
+// Choices for the number of bars in the score histograms
+const HISTOGRAM_BIN_OPTIONS = [5, 10, 20];
+
+// Several tests usually change in one check of the sheets: refresh once for them
+const LIVE_REFRESH_DELAY_MS = 500;
+
 function SchoolDashboard() {
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
@@ -12,21 +24,69 @@ function SchoolDashboard() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [schoolStats, setSchoolStats] = useState(null);
+  const [bins, setBins] = useState(10);
+  // Label of the class to show ("10-A"), or '' for the whole school
+  const [classLabel, setClassLabel] = useState('');
+  const selectedClass = schoolStats?.availableClasses?.find(c => c.label === classLabel);
+  const classFilter = { grade: selectedClass?.grade, section: selectedClass?.section };
+  const isAdmin = getSession()?.user?.role === 'admin';
+  const [liveStatus, setLiveStatus] = useState(null);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  // Test name -> { at, addedRows } of the tests that changed since the page opened
+  const [updatedTests, setUpdatedTests] = useState({});
+  // Time of the latest live refresh, which also refreshes the absent students
+  const [resultsChangedAt, setResultsChangedAt] = useState(null);
+  const refreshRef = useRef(null);
+  refreshRef.current = () => {
+    setResultsChangedAt(new Date());
+    fetchSchoolStats({ silent: true });
+  };
 
   useEffect(() => {
-    if (!schoolId) {
+    if (!getSession() || !schoolId) {
       navigate('/');
       return;
     }
 
     fetchSchoolStats();
+  }, [schoolId, bins, classLabel]);
+
+  // Refresh the statistics in place when results for the school come in
+  useEffect(() => {
+    if (!getSession() || !schoolId) return undefined;
+
+    let refreshTimer = null;
+    const stop = schoolAPI.followUpdates(schoolId, {
+      onStatus: setLiveStatus,
+      onChange: (change) => {
+        setUpdatedTests(previous => ({
+          ...previous,
+          [change.test.name]: {
+            at: change.checkedAt,
+            addedRows: (previous[change.test.name]?.addedRows || 0) + change.school.addedRows,
+          },
+        }));
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(() => refreshRef.current(), LIVE_REFRESH_DELAY_MS);
+      },
+    });
+    return () => {
+      clearTimeout(refreshTimer);
+      stop();
+    };
   }, [schoolId]);
 
-  const fetchSchoolStats = async () => {
+  const handleLogout = () => {
+    authAPI.logout();
+    navigate('/');
+  };
+
+  // `silent` refreshes keep the page on screen instead of showing the loading state
+  const fetchSchoolStats = async ({ silent = false } = {}) => {
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       setError(null);
-      const data = await schoolAPI.getStats(schoolId);
+      const data = await schoolAPI.getStats(schoolId, { bins, ...classFilter });
       
       if (data.error) {
         // Build detailed error message
@@ -43,6 +103,7 @@ function SchoolDashboard() {
         setError(errorMessage);
       } else {
         setSchoolStats(data);
+        setLastUpdated(new Date());
       }
     } catch (err) {
       console.error('Error fetching school stats:', err);
@@ -95,9 +156,20 @@ function SchoolDashboard() {
 
   // Prepare chart data
   const attendanceData = schoolStats?.testStats?.map(test => ({
-    name: test.testName,
+    name: test.displayName || test.testName,
     attendance: test.attendancePercent,
-    avgScore: test.avgScore,
+    avgPercentage: test.avgPercentage,
+  })) || [];
+
+  const formatNormalized = (value) => (value !== null && value !== undefined ? `${value > 0 ? '+' : ''}${value.toFixed(2)}` : '-');
+
+  // Classes that can be chosen: students without a grade or section can't be filtered to
+  const classOptions = schoolStats?.availableClasses?.filter(c => c.grade || c.section) || [];
+
+  const classData = schoolStats?.classes?.map(c => ({
+    name: c.label,
+    attendance: c.avgAttendance,
+    avgPercentage: c.avgPercentage,
   })) || [];
 
   return (
@@ -107,9 +179,15 @@ function SchoolDashboard() {
           <img src="/logo.png" alt="OpenGrad Logo" className="logo-small" />
         </div>
         <div style={{ flex: 1 }}>
-          <button className="btn btn-secondary" onClick={() => navigate('/')} style={{ marginLeft: 'auto', display: 'block' }}>
-            ← Back to Home
-          </button>
+          <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
+            <CohortSwitcher />
+            <button className="btn btn-secondary" onClick={() => navigate('/')}>
+              ← Back to Home
+            </button>
+            <button className="btn btn-secondary" onClick={handleLogout}>
+              Sign Out
+            </button>
+          </div>
         </div>
       </div>
       <div className="card">
@@ -119,7 +197,19 @@ function SchoolDashboard() {
             <p style={{ color: '#666', marginTop: '5px' }}>
               School ID: {schoolId}
             </p>
+            <LiveIndicator status={liveStatus} lastUpdated={lastUpdated} />
           </div>
+          {classOptions.length > 0 && (
+            <label style={{ color: '#666' }}>
+              Class:{' '}
+              <select value={classLabel} onChange={(e) => setClassLabel(e.target.value)} style={{ padding: '6px', borderRadius: '6px' }}>
+                <option value="">All classes</option>
+                {classOptions.map(c => (
+                  <option key={c.label} value={c.label}>{c.label} ({c.totalStudents})</option>
+                ))}
+              </select>
+            </label>
+          )}
         </div>
 
         {error && (
@@ -128,6 +218,35 @@ function SchoolDashboard() {
           </div>
         )}
 
+        {schoolStats?.warnings?.length > 0 && (
+          <div className="warning" style={{ lineHeight: '1.6' }}>
+            <strong>⚠️ Some test sheets could not be loaded, so these statistics is incomplete.</strong> Try again in a minute.
+            <ul>
+              {schoolStats.warnings.map((warning) => (
+                <li key={warning.sheet}>{warning.message}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {schoolStats?.ambiguousMatches?.length > 0 && (
+          <div className="warning" style={{ lineHeight: '1.6' }}>
+            <strong>⚠️ Some test rows could not be matched to a single student and are left out.</strong> Fix them in the spreadsheet or the Aliases sheet:
+            <ul>
+              {schoolStats.ambiguousMatches.map((entry) => (
+                <li key={`${entry.sheet}-${entry.rows.join(',')}`}>{entry.sheet}, row{entry.rows.length > 1 ? 's' : ''} {entry.rows.join(', ')}: {entry.reason}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Exports */}
+        <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap', marginBottom: '20px' }}>
+          <ExportButtons label="Statistics" onExport={(format) => schoolAPI.exportStats(schoolId, format, classFilter)} />
+          <ExportButtons label="Attendance by student" onExport={(format) => schoolAPI.exportAttendance(schoolId, format, classFilter)} />
+        </div>
+        <ReportCardJob schoolId={schoolId} />
+
         {/* Summary Stats */}
         <div className="stats-grid">
           <div className="stat-card">
@@ -140,10 +259,60 @@ function SchoolDashboard() {
           </div>
           <div className="stat-card">
             <h3>Average Score</h3>
-            <div className="value">{schoolStats?.overallStats?.avgScore?.toFixed(1) || 0}</div>
+            <div className="value">
+              {schoolStats?.overallStats?.avgPercentage !== null && schoolStats?.overallStats?.avgPercentage !== undefined
+                ? `${schoolStats.overallStats.avgPercentage.toFixed(1)}%`
+                : '-'}
+            </div>
+          </div>
+          <div className="stat-card" title="Standard deviations above (+) or below (−) the average of everyone who took each test">
+            <h3>Normalized Score</h3>
+            <div className="value">{formatNormalized(schoolStats?.overallStats?.avgNormalizedScore)}</div>
           </div>
         </div>
 
+        {/* Class Comparison */}
+        {schoolStats?.classes?.length > 1 && (
+          <div style={{ marginTop: '40px' }}>
+            <h2>Class Comparison</h2>
+            <div className="chart-container">
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={classData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis domain={[0, 100]} />
+                  <Tooltip />
+                  <Legend />
+                  <Bar dataKey="attendance" fill="#667eea" name="Attendance %" />
+                  <Bar dataKey="avgPercentage" fill="#764ba2" name="Average Score %" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Class</th>
+                  <th>Students</th>
+                  <th>Attendance %</th>
+                  <th>Average %</th>
+                  <th>Normalized</th>
+                </tr>
+              </thead>
+              <tbody>
+                {schoolStats.classes.map((c) => (
+                  <tr key={c.label}>
+                    <td><strong>{c.label}</strong></td>
+                    <td>{c.totalStudents}</td>
+                    <td>{c.avgAttendance.toFixed(1)}%</td>
+                    <td>{c.avgPercentage !== null ? `${c.avgPercentage.toFixed(1)}%` : '-'}</td>
+                    <td>{formatNormalized(c.avgNormalizedScore)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
         {/* Attendance Chart */}
         {attendanceData.length > 0 && (
           <div className="chart-container">
@@ -164,45 +333,161 @@ function SchoolDashboard() {
         {/* Average Score Chart */}
         {attendanceData.length > 0 && (
           <div className="chart-container">
-            <h2>Average Score by Test</h2>
+            <h2>Average Score by Test (% of max marks)</h2>
             <ResponsiveContainer width="100%" height={300}>
               <BarChart data={attendanceData}>
                 <CartesianGrid strokeDasharray="3 3" />
                 <XAxis dataKey="name" />
-                <YAxis />
+                <YAxis domain={[0, 100]} />
                 <Tooltip />
                 <Legend />
-                <Bar dataKey="avgScore" fill="#764ba2" name="Average Score" />
+                <Bar dataKey="avgPercentage" fill="#764ba2" name="Average Score %" />
               </BarChart>
             </ResponsiveContainer>
           </div>
         )}
 
+        {/* Score Distributions */}
+        {schoolStats?.testStats?.some(test => test.distribution) && (
+          <div style={{ marginTop: '40px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+              <h2>Score Distribution by Test</h2>
+              <label style={{ color: '#666' }}>
+                Bars:{' '}
+                <select value={bins} onChange={(e) => setBins(Number(e.target.value))} style={{ padding: '6px', borderRadius: '6px' }}>
+                  {HISTOGRAM_BIN_OPTIONS.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            {schoolStats.testStats
+              .filter(test => test.distribution)
+              .map((test) => {
+                const { distribution } = test;
+                return (
+                  <div key={test.testName} className="chart-container">
+                    <h3 style={{ marginBottom: '10px', color: '#555' }}>{test.displayName || test.testName}</h3>
+                    <p style={{ color: '#666', marginBottom: '10px' }}>
+                      {distribution.count} scores · Min {distribution.min} · Q1 {distribution.q1} · Median {distribution.median} · Q3 {distribution.q3} · Max {distribution.max} · Std. dev. {distribution.stdDev}
+                    </p>
+                    <ResponsiveContainer width="100%" height={220}>
+                      <BarChart data={distribution.histogram.map(bin => ({ ...bin, range: `${bin.start}-${bin.end}` }))}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="range" />
+                        <YAxis allowDecimals={false} />
+                        <Tooltip />
+                        <Bar dataKey="count" fill="#667eea" name="Students" />
+                      </BarChart>
+                    </ResponsiveContainer>
+                    <BoxPlot distribution={distribution} />
+                  </div>
+                );
+              })}
+          </div>
+        )}
+
+        {/* Section Breakdown */}
+        {schoolStats?.testStats?.some(test => test.sections?.length > 0) && (
+          <div style={{ marginTop: '40px' }}>
+            <h2>Section Breakdown</h2>
+            {schoolStats.testStats
+              .filter(test => test.sections?.length > 0)
+              .map((test) => (
+                <div key={test.testName} style={{ marginBottom: '30px' }}>
+                  <h3 style={{ marginBottom: '15px', color: '#555' }}>{test.displayName || test.testName}</h3>
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Section</th>
+                        <th>Scored</th>
+                        <th>Average Score</th>
+                        <th>Average %</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {test.sections.map((section) => (
+                        <tr key={section.name}>
+                          <td>
+                            <strong>{section.name}</strong>
+                            {test.weakestSection?.name === section.name && (
+                              <span className="badge badge-danger" style={{ marginLeft: '8px' }}>Weakest</span>
+                            )}
+                          </td>
+                          <td>{section.scoredCount}</td>
+                          <td>
+                            {section.avgScore !== null ? section.avgScore.toFixed(1) : '-'}
+                            {section.maxMarks ? ` / ${section.maxMarks}` : ''}
+                          </td>
+                          <td>{section.avgPercentage !== null ? `${section.avgPercentage.toFixed(1)}%` : '-'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ))}
+          </div>
+        )}
+
         {/* Test Statistics Table */}
         <h2 style={{ marginTop: '40px' }}>Test Statistics</h2>
         <table className="table">
           <thead>
             <tr>
               <th>Test Name</th>
+              <th>Subject</th>
+              <th>Date</th>
               <th>Total Students</th>
               <th>Attended</th>
               <th>Attendance %</th>
+              <th>Scored</th>
               <th>Average Score</th>
+              <th>Average %</th>
+              <th>Normalized</th>
+              <th>Passed</th>
+              {isAdmin && <th>Sheet</th>}
             </tr>
           </thead>
           <tbody>
             {schoolStats?.testStats?.map((test) => (
               <tr key={test.testName}>
-                <td><strong>{test.testName}</strong></td>
+                <td>
+                  <strong>{test.displayName || test.testName}</strong>
+                  {test.visible === false && (
+                    <span className="badge badge-warning" style={{ marginLeft: '8px' }}>Hidden from students</span>
+                  )}
+                  {updatedTests[test.testName] && (
+                    <span className="badge badge-success" style={{ marginLeft: '8px' }}>
+                      Updated {new Date(updatedTests[test.testName].at).toLocaleTimeString()}
+                      {updatedTests[test.testName].addedRows > 0 ? ` (+${updatedTests[test.testName].addedRows} rows)` : ''}
+                    </span>
+                  )}
+                </td>
+                <td>{test.subject || '-'}</td>
+                <td>{test.testDate || '-'}</td>
                 <td>{test.totalStudents}</td>
                 <td>{test.attendedCount}</td>
                 <td>{test.attendancePercent.toFixed(1)}%</td>
-                <td>{test.avgScore.toFixed(1)}</td>
+                <td>{test.scoredCount}</td>
+                <td>
+                  {test.avgScore.toFixed(1)}
+                  {test.maxMarks ? ` / ${test.maxMarks}` : ''}
+                </td>
+                <td>{test.avgPercentage !== null ? `${test.avgPercentage.toFixed(1)}%` : '-'}</td>
+                <td>{formatNormalized(test.avgNormalizedScore)}</td>
+                <td>{test.passCount !== null && test.passCount !== undefined ? test.passCount : '-'}</td>
+                {isAdmin && (
+                  <td title="The whole test sheet, every school, with Mapping columns added">
+                    <ExportButtons label="Export" onExport={(format) => adminAPI.exportEnrichedTest(test.testName, format)} />
+                  </td>
+                )}
               </tr>
             ))}
           </tbody>
         </table>
 
+        <AbsenteeRoster schoolId={schoolId} {...classFilter} refreshedAt={resultsChangedAt} />
+
         {/* Top Performers */}
         {schoolStats?.testStats?.some(test => test.topPerformers?.length > 0) && (
           <div style={{ marginTop: '40px' }}>
@@ -211,13 +496,15 @@ function SchoolDashboard() {
               .filter(test => test.topPerformers?.length > 0)
               .map((test) => (
                 <div key={test.testName} style={{ marginBottom: '30px' }}>
-                  <h3 style={{ marginBottom: '15px', color: '#555' }}>{test.testName}</h3>
+                  <h3 style={{ marginBottom: '15px', color: '#555' }}>{test.displayName || test.testName}</h3>
                   <table className="table">
                     <thead>
                       <tr>
                         <th>Rank</th>
                         <th>Student ID</th>
                         <th>Score</th>
+                        <th>%</th>
+                        <th>Normalized</th>
                       </tr>
                     </thead>
                     <tbody>
@@ -226,6 +513,8 @@ function SchoolDashboard() {
                           <td>#{index + 1}</td>
                           <td>{performer.studentId}</td>
                           <td><strong>{performer.score.toFixed(1)}</strong></td>
+                          <td>{performer.percentage !== null ? `${performer.percentage.toFixed(1)}%` : '-'}</td>
+                          <td>{formatNormalized(performer.normalizedScore)}</td>
                         </tr>
                       ))}
                     </tbody>
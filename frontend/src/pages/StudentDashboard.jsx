@@ -1,12 +1,161 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
-import { studentAPI } from '../services/api';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { studentAPI, getSession, authAPI } from '../services/api';
+import CohortSwitcher from '../components/CohortSwitcher';
+import ExportButtons from '../components/ExportButtons';
+import LiveIndicator from '../components/LiveIndicator';
 import '../App.css';
 
+// Match methods (see backend identity.js), shown with test details
+const MATCH_METHOD_LABELS = {
+  exact: 'username',
+  email: 'email address',
+  alias: 'alias',
+  emisId: 'EMIS ID',
+};
+
+/**
+ * "42 / 50 (84%)", or just the raw score when max marks are unknown
+ */
+function formatScore(score) {
+  if (!score) return '-';
+  const raw = `${score.raw}${score.maxMarks ? ` / ${score.maxMarks}` : ''}`;
+  return score.percentage !== null ? `${raw} (${score.percentage.toFixed(1)}%)` : raw;
+}
+
+/**
+ * Grouped bars of the student's section scores against the school average.
+ * Percentages are compared when every section has max marks, raw marks otherwise.
+ */
+function SectionChart({ sections }) {
+  const byPercentage = sections.every(section => section.maxMarks > 0);
+  const data = sections.map(section => ({
+    name: section.maxMarks ? `${section.name} (/ ${section.maxMarks})` : section.name,
+    student: byPercentage ? section.percentage : section.score,
+    school: byPercentage ? section.schoolAvgPercentage : section.schoolAvgScore,
+  }));
+
+  return (
+    <div className="chart-container">
+      <h3 style={{ marginBottom: '10px', color: '#555' }}>
+        Sections{byPercentage ? ' (% of section marks)' : ''}
+      </h3>
+      <ResponsiveContainer width="100%" height={300}>
+        <BarChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="name" />
+          <YAxis domain={byPercentage ? [0, 100] : [0, 'auto']} />
+          <Tooltip />
+          <Legend />
+          <Bar dataKey="student" fill="#667eea" name="Student" />
+          <Bar dataKey="school" fill="#764ba2" name="School average" />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+// Several tests usually change in one check of the sheets: refresh once for them
+const LIVE_REFRESH_DELAY_MS = 500;
+
+// Trend indicators (see progress in /api/student/tests)
+const TRENDS = {
+  improving: { icon: '📈', label: 'Improving', className: 'badge-success' },
+  declining: { icon: '📉', label: 'Declining', className: 'badge-danger' },
+  stable: { icon: '➡️', label: 'Stable', className: 'badge-warning' },
+};
+
+const formatChange = (change) => `${change > 0 ? '+' : ''}${change.toFixed(2)}`;
+
+/**
+ * Badge for a trend, with the change in normalized score when given
+ */
+function TrendBadge({ trend, change = null }) {
+  const info = TRENDS[trend];
+  if (!info) return null;
+  return (
+    <span className={`badge ${info.className}`}>
+      {info.icon} {info.label}{change !== null ? ` (${formatChange(change)})` : ''}
+    </span>
+  );
+}
+
+/**
+ * Normalized score of each scored test over time, against the school average
+ */
+function ProgressChart({ tests, progress }) {
+  const data = tests
+    .filter(test => test.score)
+    .map(test => ({
+      name: test.testDate ? `${test.displayName || test.name} (${test.testDate})` : test.displayName || test.name,
+      student: test.score.normalizedScore,
+      school: test.schoolAverage?.avgNormalizedScore ?? null,
+    }));
+
+  if (data.length === 0) return null;
+
+  return (
+    <div className="chart-container">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px', flexWrap: 'wrap' }}>
+        <h2>Progress Over Time</h2>
+        {progress?.trend && (
+          <div>
+            Overall: <TrendBadge trend={progress.trend} />
+            {progress.lastChange !== null && (
+              <span style={{ marginLeft: '10px', color: '#666' }}>
+                {formatChange(progress.lastChange)} since the previous test
+              </span>
+            )}
+          </div>
+        )}
+      </div>
+      <p style={{ color: '#666', margin: '10px 0' }}>
+        Normalized score: standard deviations above (+) or below (−) the average of everyone who took each test.
+      </p>
+      <ResponsiveContainer width="100%" height={300}>
+        <LineChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="name" />
+          <YAxis />
+          <Tooltip />
+          <Legend />
+          <ReferenceLine y={0} stroke="#999" />
+          <Line type="monotone" dataKey="student" stroke="#667eea" strokeWidth={3} name="Student" />
+          <Line type="monotone" dataKey="school" stroke="#764ba2" strokeDasharray="5 5" name="School average" connectNulls />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+/**
+ * Attendance badge for a test
+ */
+function StatusBadge({ test }) {
+  if (test.status === 'Unknown') {
+    return <span className="badge badge-warning">⚠️ Could not load</span>;
+  }
+  if (test.status === 'Ambiguous') {
+    return (
+      <span className="badge badge-warning" title={test.ambiguity?.reason}>
+        ⚠️ Needs review
+      </span>
+    );
+  }
+  return (
+    <span className={`badge ${test.status === 'Attended' ? 'badge-success' : 'badge-danger'}`}>
+      {test.status === 'Attended' ? '✅ Attended' : '❌ Absent'}
+    </span>
+  );
+}
+
 function StudentDashboard() {
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
-  const studentId = searchParams.get('studentId');
+  const session = getSession();
+  // Students always see their own dashboard, staff pick a student in the URL
+  const studentId = session?.user?.role === 'student' ? session.user.username : searchParams.get('studentId');
   const schoolId = searchParams.get('schoolId'); // Optional, will be fetched from backend if not provided
 
   const [loading, setLoading] = useState(true);
@@ -15,19 +164,75 @@ function StudentDashboard() {
   const [selectedTest, setSelectedTest] = useState(null);
   const [testDetails, setTestDetails] = useState(null);
   const [loadingDetails, setLoadingDetails] = useState(false);
+  const [history, setHistory] = useState(null);
+  // null, 'loading' or 'failed'
+  const [reportCardState, setReportCardState] = useState(null);
+  const [liveStatus, setLiveStatus] = useState(null);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  // Test name -> time it changed, for the tests that changed since the page opened
+  const [updatedTests, setUpdatedTests] = useState({});
+  const refreshRef = useRef(null);
+  refreshRef.current = (testNames) => {
+    fetchStudentTests({ silent: true });
+    if (selectedTest && testNames.includes(selectedTest)) {
+      refreshTestDetails(selectedTest);
+    }
+  };
 
   useEffect(() => {
-    if (!studentId) {
+    if (!session || !studentId) {
       navigate('/');
       return;
     }
 
     fetchStudentTests();
+    fetchHistory();
+  }, [studentId]);
+
+  // Refresh the tests in place when their results change
+  useEffect(() => {
+    if (!session || !studentId) return undefined;
+
+    let refreshTimer = null;
+    let changedTests = [];
+    const stop = studentAPI.followUpdates(studentId, {
+      onStatus: setLiveStatus,
+      onChange: (change) => {
+        setUpdatedTests(previous => ({ ...previous, [change.test.name]: change.checkedAt }));
+        changedTests.push(change.test.name);
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(() => {
+          refreshRef.current(changedTests);
+          changedTests = [];
+        }, LIVE_REFRESH_DELAY_MS);
+      },
+    });
+    return () => {
+      clearTimeout(refreshTimer);
+      stop();
+    };
   }, [studentId]);
 
-  const fetchStudentTests = async () => {
+  const handleReportCard = async () => {
     try {
-      setLoading(true);
+      setReportCardState('loading');
+      await studentAPI.downloadReportCard(studentId);
+      setReportCardState(null);
+    } catch (err) {
+      console.error('Error downloading report card:', err);
+      setReportCardState('failed');
+    }
+  };
+
+  const handleLogout = () => {
+    authAPI.logout();
+    navigate('/');
+  };
+
+  // `silent` refreshes keep the page on screen instead of showing the loading state
+  const fetchStudentTests = async ({ silent = false } = {}) => {
+    try {
+      if (!silent) setLoading(true);
       setError(null);
       const data = await studentAPI.getTests(studentId, schoolId);
       
@@ -39,6 +244,7 @@ function StudentDashboard() {
         setError(errorMessage);
       } else {
         setStudentData(data);
+        setLastUpdated(new Date());
       }
     } catch (err) {
       console.error('Error fetching student tests:', err);
@@ -58,6 +264,17 @@ function StudentDashboard() {
     }
   };
 
+  // Tests from every cohort the student is in; the page works without it
+  const fetchHistory = async () => {
+    try {
+      const data = await studentAPI.getHistory(studentId);
+      setHistory(data.cohorts || []);
+    } catch (err) {
+      console.error('Error fetching student history:', err);
+      setHistory(null);
+    }
+  };
+
   const fetchTestDetails = async (testName) => {
     if (!testName || selectedTest === testName) {
       setSelectedTest(null);
@@ -84,6 +301,23 @@ function StudentDashboard() {
     }
   };
 
+  // Details of the open test after its results changed; it closes when they are gone
+  const refreshTestDetails = async (testName) => {
+    try {
+      const data = await studentAPI.getTestDetails(studentId, testName);
+      if (data.error) {
+        setSelectedTest(null);
+        setTestDetails(null);
+      } else {
+        setTestDetails(data);
+      }
+    } catch (err) {
+      console.error('Error refreshing test details:', err);
+      setSelectedTest(null);
+      setTestDetails(null);
+    }
+  };
+
   if (loading) {
     return (
       <div className="container">
@@ -117,9 +351,15 @@ function StudentDashboard() {
             <img src="/logo.png" alt="OpenGrad Logo" className="logo-small" />
           </div>
           <div style={{ flex: 1 }}>
-            <button className="btn btn-secondary" onClick={() => navigate('/')} style={{ marginLeft: 'auto', display: 'block' }}>
-              ← Back to Home
-            </button>
+            <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
+              <CohortSwitcher />
+              <button className="btn btn-secondary" onClick={() => navigate('/')}>
+                ← Back to Home
+              </button>
+              <button className="btn btn-secondary" onClick={handleLogout}>
+                Sign Out
+              </button>
+            </div>
           </div>
         </div>
         <div className="dashboard-header">
@@ -130,7 +370,17 @@ function StudentDashboard() {
                 Student ID: {studentData.student.studentId} | School: {studentData.student.schoolId}
               </p>
             )}
+            <LiveIndicator status={liveStatus} lastUpdated={lastUpdated} />
           </div>
+          {studentData?.student && (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', alignItems: 'flex-end' }}>
+              <button className="btn btn-primary" onClick={handleReportCard} disabled={reportCardState === 'loading'}>
+                {reportCardState === 'loading' ? 'Preparing report card...' : '🖨️ Download report card'}
+              </button>
+              {reportCardState === 'failed' && <span className="badge badge-danger">Could not build the report card</span>}
+              <ExportButtons label="All results" onExport={(format) => studentAPI.exportHistory(studentId, format)} />
+            </div>
+          )}
         </div>
 
         {error && (
@@ -139,23 +389,68 @@ function StudentDashboard() {
           </div>
         )}
 
+        {studentData?.warnings?.length > 0 && (
+          <div className="warning" style={{ lineHeight: '1.6' }}>
+            <strong>⚠️ Some test sheets could not be loaded, so this list is incomplete.</strong> Try again in a minute.
+            <ul>
+              {studentData.warnings.map((warning) => (
+                <li key={warning.sheet}>{warning.message}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {studentData?.tests?.some(test => test.status === 'Ambiguous') && (
+          <div className="warning" style={{ lineHeight: '1.6' }}>
+            <strong>⚠️ Some test rows could not be matched to this student with certainty.</strong> They are not shown until the spreadsheet is corrected:
+            <ul>
+              {studentData.tests.filter(test => test.status === 'Ambiguous').map((test) => (
+                <li key={test.name}>{test.displayName || test.name}: {test.ambiguity.reason}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <ProgressChart tests={studentData?.tests || []} progress={studentData?.progress} />
+
         <h2>Test Attendance</h2>
         <table className="table">
           <thead>
             <tr>
               <th>Test Name</th>
+              <th>Subject</th>
+              <th>Date</th>
               <th>Status</th>
+              <th>Score</th>
+              <th>Percentile</th>
+              <th>Change</th>
               <th>Action</th>
             </tr>
           </thead>
           <tbody>
             {studentData?.tests?.map((test) => (
               <tr key={test.name} className={test.hasData ? 'clickable-row' : ''}>
-                <td>{test.name}</td>
                 <td>
-                  <span className={`badge ${test.status === 'Attended' ? 'badge-success' : 'badge-danger'}`}>
-                    {test.status === 'Attended' ? '✅ Attended' : '❌ Absent'}
-                  </span>
+                  {test.displayName || test.name}
+                  {updatedTests[test.name] && (
+                    <span className="badge badge-success" style={{ marginLeft: '8px' }}>
+                      Updated {new Date(updatedTests[test.name]).toLocaleTimeString()}
+                    </span>
+                  )}
+                </td>
+                <td>{test.subject || '-'}</td>
+                <td>{test.testDate || '-'}</td>
+                <td>
+                  <StatusBadge test={test} />
+                </td>
+                <td>{test.status === 'Attended' ? formatScore(test.score) : '-'}</td>
+                <td>
+                  {test.score?.percentileRank
+                    ? `School ${test.score.percentileRank.school.toFixed(0)} · Cohort ${test.score.percentileRank.cohort.toFixed(0)}`
+                    : '-'}
+                </td>
+                <td>
+                  {test.progress?.trend ? <TrendBadge trend={test.progress.trend} change={test.progress.change} /> : '-'}
                 </td>
                 <td>
                   {test.hasData ? (
@@ -175,10 +470,85 @@ function StudentDashboard() {
           </tbody>
         </table>
 
+        {history?.length > 1 && (
+          <div style={{ marginTop: '40px' }}>
+            <h2>History Across Cohorts</h2>
+            {history.map((entry) => (
+              <div key={entry.cohort.id} className="chart-container">
+                <h3>
+                  {entry.cohort.name}
+                  {entry.student?.schoolId && (
+                    <span style={{ color: '#666', fontWeight: 'normal' }}> | School: {entry.student.schoolId}</span>
+                  )}
+                </h3>
+                {entry.error ? (
+                  <div className="warning">⚠️ {entry.error}</div>
+                ) : (
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Test Name</th>
+                        <th>Subject</th>
+                        <th>Date</th>
+                        <th>Status</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {entry.tests.map((test) => (
+                        <tr key={test.name}>
+                          <td>{test.displayName || test.name}</td>
+                          <td>{test.subject || '-'}</td>
+                          <td>{test.testDate || '-'}</td>
+                          <td>
+                            <StatusBadge test={test} />
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
         {testDetails && (
           <div style={{ marginTop: '40px' }}>
-            <h2>Test Details: {testDetails.testName}</h2>
-            <div className="chart-container">
+            <h2>Test Details: {testDetails.test?.displayName || testDetails.testName}</h2>
+            {testDetails.match && (
+              <p style={{ color: '#666', marginBottom: '10px' }}>
+                Matched by {MATCH_METHOD_LABELS[testDetails.match.method] || testDetails.match.method}, row {testDetails.match.row} of the test sheet
+              </p>
+            )}
+            {testDetails.score && (
+              <div className="stats-grid">
+                <div className="stat-card">
+                  <h3>Score</h3>
+                  <div className="value">{testDetails.score.raw}{testDetails.score.maxMarks ? ` / ${testDetails.score.maxMarks}` : ''}</div>
+                </div>
+                {testDetails.score.percentage !== null && (
+                  <div className="stat-card">
+                    <h3>Percentage</h3>
+                    <div className="value">{testDetails.score.percentage.toFixed(1)}%</div>
+                  </div>
+                )}
+                <div className="stat-card" title="Standard deviations above (+) or below (−) the average of everyone who took this test">
+                  <h3>Normalized Score</h3>
+                  <div className="value">{testDetails.score.normalizedScore > 0 ? '+' : ''}{testDetails.score.normalizedScore.toFixed(2)}</div>
+                </div>
+                {testDetails.score.percentileRank && (
+                  <div className="stat-card" title="Share of students who scored lower, within the school and within the cohort">
+                    <h3>Percentile Rank</h3>
+                    <div className="value" style={{ fontSize: '1.5rem' }}>
+                      School {testDetails.score.percentileRank.school.toFixed(0)} · Cohort {testDetails.score.percentileRank.cohort.toFixed(0)}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+            {testDetails.sections?.length > 0 && <SectionChart sections={testDetails.sections} />}
+            <details className="chart-container" open={!(testDetails.sections?.length > 0)}>
+              <summary style={{ cursor: 'pointer', fontWeight: 'bold', color: '#555' }}>All columns in the test sheet</summary>
               <table className="table">
                 <thead>
                   <tr>
@@ -195,7 +565,7 @@ function StudentDashboard() {
                   ))}
                 </tbody>
               </table>
-            </div>
+            </details>
           </div>
         )}
       </div>
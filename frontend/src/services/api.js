@@ -4,11 +4,212 @@ import axios from 'axios';
 // Set VITE_API_URL env variable to override (e.g., for production)
 const API_BASE_URL = import.meta.env.VITE_API_URL || '';
 
+const SESSION_KEY = 'schoolDashSession';
+const COHORT_KEY = 'schoolDashCohort';
+
 const api = axios.create({
   baseURL: API_BASE_URL,
   timeout: 30000, // 30 second timeout
 });
 
+/**
+ * Signed-in session ({ token, user }) or null
+ */
+export const getSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Selected cohort ID, or null for the server's default
+ */
+export const getCohort = () => localStorage.getItem(COHORT_KEY);
+
+export const setCohort = (cohortId) => {
+  if (cohortId) {
+    localStorage.setItem(COHORT_KEY, cohortId);
+  } else {
+    localStorage.removeItem(COHORT_KEY);
+  }
+};
+
+// Send the session token and the selected cohort with every request
+api.interceptors.request.use((config) => {
+  const session = getSession();
+  if (session?.token) {
+    config.headers.Authorization = `Bearer ${session.token}`;
+  }
+  const cohort = getCohort();
+  if (cohort && !config.params?.cohort) {
+    config.params = { ...config.params, cohort };
+  }
+  return config;
+});
+
+// Expired or invalid session: sign out and go back to the login screen
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    if (error.response?.status === 401 && !error.config?.url?.includes('/api/auth/login')) {
+      localStorage.removeItem(SESSION_KEY);
+      window.location.assign('/');
+    }
+    return Promise.reject(error);
+  }
+);
+
+const schoolParams = (schoolId, { grade, section, minMissed = null }) => {
+  const params = { schoolId };
+  if (grade) params.grade = grade;
+  if (section) params.section = section;
+  if (minMissed) params.minMissed = minMissed;
+  return params;
+};
+
+/**
+ * Save a downloaded file (a Blob) under `filename`
+ */
+const saveFile = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// e.g. "attendance-OG001-10-A"
+const schoolFileName = (prefix, schoolId, { grade, section }) =>
+  [prefix, schoolId, grade, section].filter(Boolean).join('-');
+
+/**
+ * Download an API response as a CSV or XLSX file (`format`) named `basename`
+ */
+const downloadExport = async (path, params, format, basename) => {
+  const response = await api.get(path, {
+    params: { ...params, format },
+    responseType: 'blob',
+    timeout: 120000, // reads every test sheet
+  });
+  saveFile(response.data, `${basename}.${format}`);
+};
+
+// Wait before reconnecting to a live update stream that dropped
+const LIVE_RETRY_MS = 5000;
+
+/**
+ * Follow a Server-Sent Events stream of the API, reconnecting when it drops.
+ * Read with fetch since EventSource cannot send the session token.
+ * Calls onChange(change) for each change, and onStatus(status) with 'live',
+ * 'reconnecting' or 'off' (the stream is refused). Returns a function that stops.
+ */
+const followLiveUpdates = (path, params, { onChange, onStatus = () => {} }) => {
+  let controller = null;
+  let retryTimer = null;
+  let stopped = false;
+
+  const reconnect = () => {
+    if (stopped) return;
+    onStatus('reconnecting');
+    retryTimer = setTimeout(connect, LIVE_RETRY_MS);
+  };
+
+  // One event: "event: <name>" and "data: <json>" lines; comments keep the stream open
+  const handleEvent = (block) => {
+    let name = 'message';
+    const data = [];
+    block.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) name = line.slice(6).trim();
+      if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    });
+    if (data.length === 0) return;
+    if (name === 'ready') onStatus('live');
+    if (name === 'change') onChange(JSON.parse(data.join('\n')));
+  };
+
+  const connect = async () => {
+    controller = new AbortController();
+    // Leave out missing values; a null would be sent as the string "null"
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+    const cohort = getCohort();
+    if (cohort) query.set('cohort', cohort);
+    const session = getSession();
+
+    try {
+      const response = await fetch(`${API_BASE_URL}${path}?${query}`, {
+        headers: session?.token ? { Authorization: `Bearer ${session.token}` } : {},
+        signal: controller.signal,
+      });
+      if (response.status === 401) {
+        localStorage.removeItem(SESSION_KEY);
+        window.location.assign('/');
+        return;
+      }
+      // Reconnecting cannot help when the stream is refused
+      if (response.status >= 400 && response.status < 500) {
+        onStatus('off');
+        return;
+      }
+      if (!response.ok) {
+        reconnect();
+        return;
+      }
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value;
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+        events.forEach(handleEvent);
+      }
+      reconnect();
+    } catch (err) {
+      if (stopped) return;
+      console.error(`Live updates from ${path} dropped:`, err);
+      reconnect();
+    }
+  };
+
+  connect();
+  return () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    controller?.abort();
+  };
+};
+
+export const authAPI = {
+  login: async (type, username, password) => {
+    const body = type === 'student'
+      ? { type, username, secret: password }
+      : { type, username, password };
+    const response = await api.post('/api/auth/login', { ...body, cohort: getCohort() || undefined });
+    const { cohort, ...session } = response.data;
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    setCohort(cohort?.id);
+    return response.data;
+  },
+
+  logout: () => {
+    localStorage.removeItem(SESSION_KEY);
+  },
+};
+
+export const cohortAPI = {
+  list: async () => {
+    const response = await api.get('/api/cohorts');
+    return response.data;
+  },
+};
+
 export const studentAPI = {
   getTests: async (studentId, schoolId = null) => {
     const params = { studentId };
@@ -19,21 +220,129 @@ export const studentAPI = {
     return response.data;
   },
 
-  getTestDetails: async (studentId, testName) => {
-    const response = await api.get('/api/student/test-details', {
-      params: { studentId, testName },
+  getTestDetails: async (studentId, testName, cohort = null) => {
+    const params = { studentId, testName };
+    if (cohort) {
+      params.cohort = cohort;
+    }
+    const response = await api.get('/api/student/test-details', { params });
+    return response.data;
+  },
+
+  getHistory: async (studentId) => {
+    const response = await api.get('/api/student/history', {
+      params: { studentId },
+      timeout: 120000, // reads every cohort
     });
     return response.data;
   },
+
+  // Every result in every cohort
+  exportHistory: async (studentId, format) => {
+    await downloadExport('/api/student/history', { studentId }, format, `results-${studentId}`);
+  },
+
+  // Printable PDF report card
+  downloadReportCard: async (studentId) => {
+    const response = await api.get('/api/student/report.pdf', {
+      params: { studentId },
+      responseType: 'blob',
+      timeout: 120000, // reads every test sheet
+    });
+    saveFile(response.data, `report-card-${studentId}.pdf`);
+  },
+
+  // Calls `onChange` when the results of one of the student's released tests change (returns a stop function)
+  followUpdates: (studentId, handlers) => followLiveUpdates('/api/student/live', { studentId }, handlers),
 };
 
 export const schoolAPI = {
-  getStats: async (schoolId) => {
-    const response = await api.get('/api/school/stats', {
-      params: { schoolId },
+  // `grade` and `section` limit the stats to one class
+  getStats: async (schoolId, { bins = null, grade = null, section = null } = {}) => {
+    const params = { schoolId };
+    if (bins) params.bins = bins;
+    if (grade) params.grade = grade;
+    if (section) params.section = section;
+    const response = await api.get('/api/school/stats', { params });
+    return response.data;
+  },
+
+  getAbsentees: async (schoolId, { grade = null, section = null, minMissed = null } = {}) => {
+    const response = await api.get('/api/school/absentees', {
+      params: schoolParams(schoolId, { grade, section, minMissed }),
     });
     return response.data;
   },
+
+  // Every absence, or the chronic absentees when `list` is 'chronic'
+  exportAbsentees: async (schoolId, format, { grade = null, section = null, minMissed = null, list = null } = {}) => {
+    const params = schoolParams(schoolId, { grade, section, minMissed });
+    if (list) params.list = list;
+    await downloadExport('/api/school/absentees', params, format,
+      schoolFileName(list === 'chronic' ? 'chronic-absentees' : 'absentees', schoolId, { grade, section }));
+  },
+
+  // Tests and top performers
+  exportStats: async (schoolId, format, { grade = null, section = null } = {}) => {
+    await downloadExport('/api/school/stats', schoolParams(schoolId, { grade, section }), format,
+      schoolFileName('school-stats', schoolId, { grade, section }));
+  },
+
+  // Attendance of every student in every test
+  exportAttendance: async (schoolId, format, { grade = null, section = null } = {}) => {
+    await downloadExport('/api/school/attendance', schoolParams(schoolId, { grade, section }), format,
+      schoolFileName('attendance', schoolId, { grade, section }));
+  },
+
+  // Start building every student's report card in the background (returns the job)
+  startReportCards: async (schoolId) => {
+    const response = await api.post('/api/school/report-cards', null, { params: { schoolId } });
+    return response.data;
+  },
+
+  // Progress of a report card job, or of the school's latest job when `jobId` is null
+  getReportCardJob: async (schoolId, jobId = null) => {
+    const params = { schoolId };
+    if (jobId) params.jobId = jobId;
+    const response = await api.get('/api/school/report-cards', { params });
+    return response.data.job;
+  },
+
+  // ZIP of a finished job's report cards and school summary
+  downloadReportCards: async (schoolId, jobId) => {
+    const response = await api.get('/api/school/report-cards/download', {
+      params: { schoolId, jobId },
+      responseType: 'blob',
+      timeout: 300000, // one PDF per student
+    });
+    saveFile(response.data, `report-cards-${schoolId}.zip`);
+  },
+
+  // Calls `onChange` when the school's rows of a test change (returns a stop function)
+  followUpdates: (schoolId, handlers) => followLiveUpdates('/api/school/live', { schoolId }, handlers),
+};
+
+export const orgAPI = {
+  getStats: async () => {
+    const response = await api.get('/api/org/stats', {
+      timeout: 120000, // reads every test sheet
+    });
+    return response.data;
+  },
+};
+
+export const adminAPI = {
+  getDataQuality: async () => {
+    const response = await api.get('/api/admin/data-quality', {
+      timeout: 120000, // scans every sheet
+    });
+    return response.data;
+  },
+
+  // A test sheet with the Mapping columns added
+  exportEnrichedTest: async (testName, format) => {
+    await downloadExport('/api/test/enriched', { testName }, format, testName);
+  },
 };
 
 export default api;